@@ -0,0 +1,76 @@
+const Backtester = require('./services/backtester');
+const logger = require('./utils/logger');
+
+// 用法: node src/backtest.js <klines.json|klines.csv> [--symbol BTCUSDT] [--interval 1h] [--balance 10000] [--verbose]
+function parseArgs(argv) {
+    const args = { file: null, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--verbose') {
+            args.verbose = true;
+        } else if (arg.startsWith('--')) {
+            args[arg.slice(2)] = argv[++i];
+        } else {
+            args.file = arg;
+        }
+    }
+    return args;
+}
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16);
+}
+
+function printReport(report) {
+    console.log(`\n回测结果 ${report.symbol} ${report.interval}`);
+    console.table(report.trades.map((trade, index) => ({
+        '#': index + 1,
+        方向: trade.direction === 'long' ? '多' : '空',
+        开仓时间: formatTime(trade.entryTime),
+        平仓时间: formatTime(trade.exitTime),
+        开仓价: trade.entryPrice.toFixed(2),
+        平仓价: trade.exitPrice.toFixed(2),
+        数量: trade.qty,
+        手续费: trade.fees.toFixed(2),
+        盈亏: trade.pnl.toFixed(2),
+        强平: trade.liquidated ? '是' : ''
+    })));
+
+    console.log(`交易次数: ${report.trades.length}`);
+    console.log(`初始资金: ${report.initialBalance.toFixed(2)} USDT`);
+    console.log(`最终资金: ${report.finalBalance.toFixed(2)} USDT`);
+    console.log(`净盈亏:   ${report.netPnl.toFixed(2)} USDT (${(report.returnPercent * 100).toFixed(2)}%)`);
+    console.log(`手续费:   ${report.totalFees.toFixed(2)} USDT`);
+    console.log(`胜率:     ${(report.winRate * 100).toFixed(2)}%`);
+    console.log(`最大回撤: ${report.maxDrawdown.toFixed(2)} USDT (${(report.maxDrawdownPercent * 100).toFixed(2)}%)`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file) {
+        console.error('用法: node src/backtest.js <klines.json|klines.csv> [--symbol BTCUSDT] [--interval 1h] [--balance 10000] [--verbose]');
+        process.exit(1);
+    }
+
+    if (!args.verbose) {
+        logger.level = 'warn';
+    }
+
+    const backtester = new Backtester({
+        symbol: args.symbol,
+        interval: args.interval,
+        exchange: args.balance ? { initialBalance: parseFloat(args.balance) } : {}
+    });
+
+    try {
+        const klines = Backtester.loadKlines(args.file);
+        const report = await backtester.run(klines);
+        printReport(report);
+        process.exit(0);
+    } catch (error) {
+        logger.error('回测失败', { error: error.message });
+        process.exit(1);
+    }
+}
+
+main();
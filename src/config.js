@@ -3,29 +3,120 @@ require('dotenv').config();
 const config = {
     // 交易配置
     trading: {
-        symbol: 'BTCUSDT',         // 交易对
+        symbols: [                 // 交易对列表，可单独覆盖 market/interval/leverage/positionSize/strategy
+            { symbol: 'BTCUSDT' },
+            // { symbol: 'ETHUSDT', leverage: 20, positionSize: 0.03 },
+            // { symbol: 'BTCUSD_PERP', market: 'coinm', leverage: 10 },
+            // { symbol: 'BNBUSDT', market: 'spot', positionSize: 0.2 },
+            // { symbol: 'SOLUSDT', market: 'bybit', leverage: 10 },
+        ],
+        market: 'usdm',            // 市场类型: usdm U本位合约 / coinm 币本位合约 / spot 现货 / bybit Bybit USDT永续，同一交易对名称只能配置一次
+        strategy: 'emaArc',        // 交易策略名称或策略模块路径 (见 src/strategies)
         interval: '1h',            // K线周期
         leverage: 50,              // 杠杆倍数
         positionSize: 0.05,         // 使用账户余额的比例
-        minEmaDiff: 1000,          // EMA差值阈值
-        maxPositions: 3,           // 最大持仓数量
+        minEmaDiff: 1000,          // 圆弧顶/底点与EMA50的最小差值，阈值可写为数值(USDT)、{ percent: 0.01 } 价格比例或 { atr: 2 } ATR倍数
+        arc: {
+            window: 5,                 // 圆弧顶/底检测使用最近多少个EMA5值
+            leftStrength: 2,           // 顶/底点左侧至少连续多少个值更低/更高
+            rightStrength: 2,          // 顶/底点右侧至少连续多少个值更低/更高
+        },
+        maxPositions: 3,           // 最大持仓数量 (所有交易对合计)
         stopLoss: 0.02,            // 止损比例 (2%)
         takeProfit: 0.05,          // 止盈比例 (5%)
         trailingStop: 0.01,        // 追踪止损比例 (1%)
+        sizing: {
+            mode: 'balance',           // balance: 可用余额 * positionSize * 杠杆 / atr: 按ATR止损距离和单笔风险计算数量
+            riskPerTrade: 0.01,        // atr 模式下止损时亏损占账户权益的比例
+            atrMultiplier: 2,          // atr 模式下止损距离为 atrMultiplier 倍ATR，同时用于交易所止损单
+        },
+        trendFilter: {
+            intervals: [],             // 用于确认趋势的其他周期，如 ['4h']，为空时不过滤
+            ema: true,                 // 要求 EMA5/EMA50 排列与开仓方向一致
+            rsi: false,                // 要求 RSI 处于多头 (>50) / 空头 (<50) 区间
+            macd: false,               // 要求 MACD 柱方向与开仓方向一致
+        },
+        pyramiding: {
+            enabled: false,            // 盈利方向加仓
+            maxAdds: 2,                // 每笔交易最多加仓次数，每次加仓占用一个 maxPositions 额度
+            sizeFractions: [0.5, 0.25], // 每次加仓数量占首次开仓数量的比例
+            triggerMove: 0.01,         // 价格相对上次成交价朝持仓方向移动该比例时加仓 (0 表示关闭)
+            onSignal: true,            // 出现同方向的新信号时加仓
+        },
+        protectiveOrders: {
+            enabled: true,             // 开仓后在交易所挂保护单
+            stopLoss: true,            // STOP_MARKET 止损单 (按 stopLoss 比例)
+            takeProfit: true,          // TAKE_PROFIT_MARKET 止盈单 (按 takeProfit 比例)
+            trailingStop: false,       // TRAILING_STOP_MARKET 追踪止损单 (按 trailingStop 比例)
+            workingType: 'MARK_PRICE', // 触发价格类型: MARK_PRICE / CONTRACT_PRICE
+        },
+        execution: {
+            mode: 'market',            // 开仓/加仓下单方式: market 市价单 / chase 在买一/卖一挂只挂单 (GTX) 并追价，平仓始终使用市价单
+            chaseInterval: 5000,       // chase 模式下挂单未完全成交时每隔多久按最新盘口重新挂单 (毫秒)
+            maxChase: 0.002,           // 挂单价相对首次挂单价最多追价的比例 (0.2%)
+            timeout: 30000,            // 超过该时间仍未完全成交时撤单 (毫秒)
+            marketFallback: true,      // 超时后剩余数量以市价单成交，关闭时只保留已成交的部分
+        },
         emergencyStopLoss: 0.05,    // 5%紧急止损
         maxDrawdown: 0.1,         // 10%最大回撤
         minProfitToClose: 0.01,    // 1%最小获利平仓
-        maxPriceDiff: 100,         // 100u价格差异
-        maxExtremeDiff: 50,        // 50u极值差异
+        maxPriceDiff: 100,         // 圆弧信号时价格与突破价的最大差异 (阈值写法同 minEmaDiff)
+        maxExtremeDiff: 50,        // 圆弧信号时价格与第二极值点的最大差异 (阈值写法同 minEmaDiff)
     },
 
     // API配置
     api: {
-        baseUrl: 'https://fapi.binance.com',
-        wsUrl: 'wss://fstream.binance.com/ws',
         apiKey: process.env.BINANCE_API_KEY,
         apiSecret: process.env.BINANCE_API_SECRET,
         recvWindow: 5000,
+        timeout: 10000,                // 请求超时 (毫秒)
+        timeSyncInterval: 30 * 60 * 1000, // 服务器时间同步间隔 (毫秒)
+        weightThreshold: 0.9,          // 已用权重超过该比例时等待下一分钟
+        maxRetries: 3,                 // 429/418/5xx/-1021 最大重试次数
+        retryDelay: 500,               // 首次重试等待时间 (毫秒)，之后按2倍递增
+    },
+
+    // 各市场的接口地址，Binance 各市场共用 api 中的密钥
+    markets: {
+        usdm: {
+            baseUrl: 'https://fapi.binance.com',
+            wsUrl: 'wss://fstream.binance.com/ws',
+            streamUrl: 'wss://fstream.binance.com/stream', // 组合流
+            weightLimit: 2400,         // 每分钟请求权重上限
+        },
+        coinm: {
+            baseUrl: 'https://dapi.binance.com',
+            wsUrl: 'wss://dstream.binance.com/ws',
+            streamUrl: 'wss://dstream.binance.com/stream',
+            weightLimit: 2400,
+        },
+        spot: {
+            baseUrl: 'https://api.binance.com',
+            wsUrl: 'wss://stream.binance.com:9443/ws',
+            streamUrl: 'wss://stream.binance.com:9443/stream',
+            weightLimit: 6000,
+        },
+        bybit: {
+            baseUrl: 'https://api.bybit.com',
+            streamUrl: 'wss://stream.bybit.com/v5/public/linear',
+            apiKey: process.env.BYBIT_API_KEY,
+            apiSecret: process.env.BYBIT_API_SECRET,
+            accountType: 'UNIFIED',    // 统一交易账户
+        },
+    },
+
+    // 交易所配置
+    exchange: {
+        mode: 'live',                // live: 实盘交易, paper: 模拟盘交易
+        hedgeMode: false,            // 合约账户使用双向持仓，多空两腿分别开平 (账户与其他程序共用且需要双向持仓时开启，模拟盘不支持)
+        rulesRefreshInterval: 60 * 60 * 1000, // 交易对规则 (最小下单量/价格精度等) 刷新间隔 (毫秒)
+        paper: {
+            initialBalance: 10000,   // 模拟盘初始资金 (USDT)
+            feeRate: 0.0004,         // 模拟手续费率 (0.04%)
+            maintMarginRate: 0.004,  // 维持保证金率 (0.4%)
+            stateFile: 'data/paper-state.json', // 模拟盘状态文件
+            priceMaxAge: 60000,      // 推送价格有效期，超时则通过REST获取
+        },
     },
 
     // WebSocket配置
@@ -37,6 +128,13 @@ const config = {
         messageTimeout: 120000,       // 消息超时时间（2分钟）
     },
 
+    // 用户数据流配置
+    userDataStream: {
+        enabled: true,               // 通过推送维护持仓和余额缓存
+        keepAliveInterval: 1800000,  // 30分钟延长一次listenKey
+        fillTimeout: 5000,           // 等待成交回报的超时时间
+    },
+
     // 技术指标配置
     indicators: {
         ema5Period: 5,
@@ -47,6 +145,9 @@ const config = {
         macdSignal: 9,
         bbPeriod: 20,
         bbStdDev: 2,
+        atrPeriod: 14,
+        volumeSpikePeriod: 20,       // 放量判断使用的平均成交量周期
+        volumeSpikeMultiplier: 2,    // 成交量超过平均值的倍数视为放量
         historyLimit: 100,           // 历史数据条数
         maxEma5History: 20,          // EMA5历史记录最大长度
         maxClosingPrices: 200,       // 收盘价历史记录最大长度
@@ -58,6 +159,68 @@ const config = {
         maxDrawdown: 0.15,           // 最大回撤比例 (15%)
         maxLeverage: 50,             // 最大杠杆倍数
         minBalance: 100,             // 最小账户余额 (USDT)
+        minBalances: {               // 按保证金资产设置最小余额，币本位合约以币计，未设置的资产使用 minBalance
+            BTC: 0.002,
+            ETH: 0.05,
+        },
+        checkInterval: 30000,        // 风控检查间隔
+    },
+
+    // 交易日志配置
+    journal: {
+        enabled: true,
+        file: 'data/trades.jsonl',   // 每行一条开仓/平仓记录
+    },
+
+    // 状态快照配置
+    state: {
+        enabled: true,
+        dir: 'data/state',                  // 每个交易对一个快照文件
+        maxIndicatorAge: 2 * 60 * 60 * 1000, // 指标快照超过该时间不恢复，按历史K线重新计算 (毫秒)
+        orphanPosition: 'adopt',           // 交易所有持仓但本地无记录: adopt 接管并补挂保护单 / close 平仓 / ignore 仅记录
+        unknownOrders: 'cancel',           // 交易所有本地未记录的挂单: cancel 撤销 / adopt 接管减仓单 / ignore 仅记录
+    },
+
+    // K线缓存配置
+    candles: {
+        persist: true,
+        dir: 'data/candles',               // 每个交易对每个周期一个文件
+        maxCandles: 1000,                  // 每个周期保留的K线数量，停机超过该数量的K线时重新获取
+    },
+
+    // 交易信号通知配置
+    notifier: {
+        retries: 3,                // 发送失败重试次数
+        retryDelay: 1000,          // 首次重试等待时间 (毫秒)，之后按2倍递增
+        timeout: 5000,             // 单次请求超时 (毫秒)
+        queueSize: 100,            // 每个渠道最多排队的消息数
+        // 渠道类型: webhook / discord / slack / dingtalk / wecom / feishu
+        // events 可选 open / close / error / risk-breach / info，不填则接收全部事件
+        // template 可以是字符串或按事件区分的对象，支持 {{text}} {{symbol}} {{price}} 等占位符
+        sinks: [
+            // { type: 'webhook', url: process.env.SIGNAL_WEBHOOK_URL, secret: process.env.SIGNAL_WEBHOOK_SECRET },
+            // { type: 'dingtalk', url: 'https://oapi.dingtalk.com/robot/send?access_token=xxx', secret: 'SECxxx', events: ['open', 'close', 'risk-breach'] },
+            // { type: 'discord', url: 'https://discord.com/api/webhooks/xxx', template: { open: '开仓 {{symbol}} {{direction}} @ {{price}}', default: '{{text}}' } },
+        ],
+    },
+
+    // 本地HTTP控制接口
+    controlServer: {
+        enabled: false,
+        host: '127.0.0.1',                 // 默认只允许本机访问
+        port: 8787,
+        token: process.env.CONTROL_TOKEN,  // 请求头 Authorization: Bearer <token>，SSE 也可使用 ?token=
+        heartbeatInterval: 15000,          // SSE 心跳间隔 (毫秒)
+    },
+
+    // 回测配置
+    backtest: {
+        initialBalance: 10000,       // 初始资金 (USDT)
+        feeRate: 0.0004,             // 吃单手续费率 (0.04%)
+        maintMarginRate: 0.004,      // 维持保证金率 (0.4%)
+        stepSize: 0.001,             // 数量步长 (LOT_SIZE)
+        minQty: 0.001,               // 最小下单数量
+        tickSize: 0.1,               // 价格步长
     },
 
     // 日志配置
@@ -77,7 +240,14 @@ const config = {
             enabled: false,
             botToken: process.env.TELEGRAM_BOT_TOKEN,
             chatId: process.env.TELEGRAM_CHAT_ID,
+            apiUrl: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
             level: 'warn',
+            batchInterval: 5000,       // 合并发送的时间窗口 (毫秒)
+            maxMessagesPerMinute: 20,  // 每分钟最多发送的消息数
+            commands: {
+                enabled: false,        // 接收 /status /position /pnl /pause /resume /close 命令
+                pollTimeout: 30,       // getUpdates 长轮询超时 (秒)
+            }
         }
     }
 };
@@ -0,0 +1,51 @@
+const TradeJournal = require('./services/tradeJournal');
+const { exportToExcel } = require('./services/journalExporter');
+const logger = require('./utils/logger');
+
+// 用法: node src/exportJournal.js [--from 2025-01-01] [--to 2025-01-31] [--out trades.xlsx] [--file data/trades.jsonl]
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        args[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return args;
+}
+
+// 日期按UTC解析，结束日期包含当天
+function parseDate(value, endOfDay) {
+    if (!value) return null;
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`无效的日期: ${value}`);
+    }
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? date.getTime() + 24 * 60 * 60 * 1000 - 1
+        : date.getTime();
+}
+
+async function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const from = parseDate(args.from, false);
+        const to = parseDate(args.to, true);
+        const outFile = args.out || `trades-${new Date().toISOString().slice(0, 10)}.xlsx`;
+
+        const journal = new TradeJournal(args.file);
+        const records = journal.read({
+            from: from === null ? 0 : from,
+            to: to === null ? Infinity : to
+        });
+
+        await exportToExcel(records, outFile, {
+            from: from === null ? '全部' : new Date(from).toISOString(),
+            to: to === null ? '全部' : new Date(to).toISOString()
+        });
+        console.log(`已导出 ${records.length} 条记录到 ${outFile}`);
+        process.exit(0);
+    } catch (error) {
+        logger.error('导出交易日志失败', { error: error.message });
+        process.exit(1);
+    }
+}
+
+main();
@@ -1,14 +1,13 @@
-const TradingBot = require('./services/tradingBot');
+const BotManager = require('./services/botManager');
 const logger = require('./utils/logger');
-const config = require('./config');
+const { getTradingSymbols } = require('./utils/symbolSettings');
 
 async function main() {
     logger.info('交易机器人启动中...', {
-        symbol: config.trading.symbol,
-        interval: config.trading.interval
+        symbols: getTradingSymbols().map(({ symbol, interval }) => `${symbol}@${interval}`)
     });
 
-    const bot = new TradingBot();
+    const bot = new BotManager();
 
     // 优雅退出处理
     process.on('SIGINT', async () => {
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const RiskManager = require('./riskManager');
+const SimulatedExchange = require('./simulatedExchange');
+const TradingBot = require('./tradingBot');
+const { getSymbolSettings } = require('../utils/symbolSettings');
+
+class Backtester {
+    constructor(options = {}) {
+        this.settings = getSymbolSettings(options.symbol || config.trading.symbols[0]);
+        if (options.interval) {
+            this.settings.interval = options.interval;
+        }
+        // 回测只使用单一周期的K线
+        if (this.settings.trendFilter.intervals.length > 0) {
+            logger.warn('回测不支持多周期趋势确认，已忽略', { intervals: this.settings.trendFilter.intervals });
+            this.settings.trendFilter = { ...this.settings.trendFilter, intervals: [] };
+        }
+        // 回测没有盘口，只按市价成交
+        if (this.settings.execution.mode !== 'market') {
+            logger.warn('回测不支持限价追单，按市价单成交', { mode: this.settings.execution.mode });
+            this.settings.execution = { ...this.settings.execution, mode: 'market' };
+        }
+        this.symbol = this.settings.symbol;
+        this.interval = this.settings.interval;
+        this.warmup = options.warmup || config.indicators.historyLimit;
+        this.exchangeOptions = options.exchange || {};
+        this.equityCurve = [];
+    }
+
+    // 读取Binance /fapi/v1/klines 格式的K线文件（JSON数组或CSV）
+    static loadKlines(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        let rows;
+
+        if (path.extname(filePath).toLowerCase() === '.json') {
+            rows = JSON.parse(content);
+        } else {
+            rows = content
+                .split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => line.length > 0)
+                .map(line => line.split(','))
+                .filter(fields => !isNaN(parseFloat(fields[0]))); // 跳过表头
+        }
+
+        return rows
+            .map(row => [
+                Number(row[0]),       // 开盘时间
+                String(row[1]),       // 开盘价
+                String(row[2]),       // 最高价
+                String(row[3]),       // 最低价
+                String(row[4]),       // 收盘价
+                String(row[5]),       // 成交量
+                Number(row[6])        // 收盘时间
+            ])
+            .sort((a, b) => a[0] - b[0]);
+    }
+
+    // 用OHLC模拟K线内的价格路径: 阳线 O→L→H→C，阴线 O→H→L→C
+    static buildTicks(kline) {
+        const [, open, high, low, close] = kline;
+        return parseFloat(close) >= parseFloat(open)
+            ? [open, low, high, close]
+            : [open, high, low, close];
+    }
+
+    formatKline(kline, price, isClosed) {
+        return {
+            e: 'kline',
+            E: isClosed ? kline[6] : kline[0],
+            k: {
+                t: kline[0],
+                T: kline[6],
+                s: this.symbol,
+                i: this.interval,
+                o: kline[1],
+                h: kline[2],
+                l: kline[3],
+                c: price,
+                v: kline[5],
+                x: isClosed
+            }
+        };
+    }
+
+    async run(klines) {
+        if (klines.length <= this.warmup) {
+            throw new Error(`K线数量 ${klines.length} 不足，至少需要 ${this.warmup + 1} 根`);
+        }
+
+        const exchange = new SimulatedExchange({
+            ...this.exchangeOptions,
+            klines: { [this.symbol]: klines }
+        });
+        // 账户风控按模拟时间切换交易日
+        const bot = new TradingBot({
+            settings: this.settings,
+            binanceApi: exchange,
+            riskManager: new RiskManager({
+                asset: exchange.market.getMarginAsset(this.symbol),
+                now: () => exchange.now(),
+                notify: (text, data) => bot.notify('risk-breach', text, data),
+                onBreach: () => bot.emergencyClosePosition()
+            }),
+            hedgeMode: false,
+            journal: null,
+            stateStore: null,
+            persistCandles: false,
+            notifyEnabled: false
+        });
+
+        // 预热阶段: 只让机器人看到前 warmup 根K线
+        const lastWarmupKline = klines[this.warmup - 1];
+        exchange.setHistoryEnd(this.symbol, this.warmup);
+        exchange.setTime(lastWarmupKline[6]);
+        exchange.updateMarkPrice(this.symbol, parseFloat(lastWarmupKline[4]));
+        await bot.initializeHistoricalData();
+
+        logger.info('开始回测', {
+            symbol: this.symbol,
+            interval: this.interval,
+            candles: klines.length - this.warmup
+        });
+
+        for (let i = this.warmup; i < klines.length; i++) {
+            const kline = klines[i];
+            exchange.setHistoryEnd(this.symbol, i + 1);
+
+            for (const price of Backtester.buildTicks(kline)) {
+                exchange.setTime(kline[0]);
+                exchange.updateMarkPrice(this.symbol, parseFloat(price));
+                await bot.handleKline(this.formatKline(kline, price, false));
+            }
+
+            exchange.setTime(kline[6]);
+            exchange.updateMarkPrice(this.symbol, parseFloat(kline[4]));
+            await bot.handleKline(this.formatKline(kline, kline[4], true));
+
+            this.equityCurve.push({ time: kline[6], equity: exchange.getEquity() });
+        }
+
+        // 回测结束时平掉剩余持仓
+        const position = await exchange.getCurrentPosition(this.symbol);
+        if (position.type) {
+            await exchange.placeOrder(
+                this.symbol,
+                position.type === 'long' ? 'SELL' : 'BUY',
+                position.qty,
+                true
+            );
+            this.equityCurve.push({ time: exchange.now(), equity: exchange.getEquity() });
+        }
+
+        return this.buildReport(exchange);
+    }
+
+    buildReport(exchange) {
+        const trades = exchange.trades;
+        const wins = trades.filter(trade => trade.pnl > 0);
+
+        let peak = exchange.initialBalance;
+        let maxDrawdown = 0;
+        let maxDrawdownPercent = 0;
+        for (const point of this.equityCurve) {
+            peak = Math.max(peak, point.equity);
+            const drawdown = peak - point.equity;
+            if (drawdown > maxDrawdown) {
+                maxDrawdown = drawdown;
+                maxDrawdownPercent = drawdown / peak;
+            }
+        }
+
+        const finalBalance = exchange.walletBalance;
+        return {
+            symbol: this.symbol,
+            interval: this.interval,
+            trades,
+            initialBalance: exchange.initialBalance,
+            finalBalance,
+            netPnl: finalBalance - exchange.initialBalance,
+            returnPercent: (finalBalance - exchange.initialBalance) / exchange.initialBalance,
+            totalFees: exchange.totalFees,
+            winRate: trades.length > 0 ? wins.length / trades.length : 0,
+            maxDrawdown,
+            maxDrawdownPercent
+        };
+    }
+}
+
+module.exports = Backtester;
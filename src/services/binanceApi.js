@@ -1,42 +1,48 @@
-const axios = require('axios');
-const crypto = require('crypto');
 const config = require('../config');
 const logger = require('../utils/logger');
+const BinanceRestClient = require('./binanceRestClient');
+const ExchangeApi = require('./exchangeApi');
+const { getMarket } = require('./markets');
 
-class BinanceApi {
-    constructor(apiKey = config.api.apiKey, apiSecret = config.api.apiSecret) {
+// 只挂单 (GTX) 会立即成交被拒绝
+const POST_ONLY_REJECTED = -5022;
+
+// K线接口权重随 limit 变化
+function getKlinesWeight(limit) {
+    if (limit < 100) return 1;
+    if (limit < 500) return 2;
+    if (limit <= 1000) return 5;
+    return 10;
+}
+
+// U本位和币本位合约的交易接口，接口路径由 market 决定，现货见 BinanceSpotApi
+class BinanceApi extends ExchangeApi {
+    constructor(market = getMarket(), apiKey = config.api.apiKey, apiSecret = config.api.apiSecret) {
+        super(market);
         this.apiKey = apiKey;
         this.apiSecret = apiSecret;
-        this.baseUrl = config.api.baseUrl;
-    }
-
-    sign(query) {
-        return crypto
-            .createHmac('sha256', this.apiSecret)
-            .update(query)
-            .digest('hex');
+        this.baseUrl = market.baseUrl;
+        this.client = new BinanceRestClient({ apiKey, apiSecret, market });
     }
 
-    async getHistoricalKlines(symbol, interval, limit) {
+    // options: { startTime, endTime }
+    async getHistoricalKlines(symbol, interval, limit, options = {}) {
         try {
-            const endpoint = '/fapi/v1/klines';
-            const url = `${this.baseUrl}${endpoint}`;
-            
-            const response = await axios.get(url, {
-                params: {
-                    symbol,
-                    interval,
-                    limit
-                }
-            });
+            const klines = await this.client.request('GET', this.market.path('klines'), {
+                symbol,
+                interval,
+                limit,
+                startTime: options.startTime,
+                endTime: options.endTime
+            }, { operation: 'getHistoricalKlines', weight: getKlinesWeight(limit) });
 
             logger.info('获取历史K线数据成功', {
                 symbol,
                 interval,
-                count: response.data.length
+                count: klines.length
             });
 
-            return response.data;
+            return klines;
         } catch (error) {
             logger.error('获取历史K线数据失败', {
                 error: error.message,
@@ -47,33 +53,42 @@ class BinanceApi {
         }
     }
 
-    async getAccountInfo() {
+    requestAccount(operation) {
+        return this.client.request('GET', this.market.path('account'), {}, {
+            operation,
+            signed: true,
+            weight: 5
+        });
+    }
+
+    formatBalances(accountInfo) {
+        return accountInfo.assets.map(item => ({
+            asset: item.asset,
+            walletBalance: parseFloat(item.walletBalance),
+            crossWalletBalance: parseFloat(item.crossWalletBalance)
+        }));
+    }
+
+    // asset 为保证金资产，返回的余额和盈亏都以该资产计
+    async getAccountInfo(asset = this.market.defaultAsset) {
         try {
-            const endpoint = '/fapi/v2/account';
-            const timestamp = Date.now();
-            const queryString = `timestamp=${timestamp}`;
-            const signature = this.sign(queryString);
-            const url = `${this.baseUrl}${endpoint}?${queryString}&signature=${signature}`;
-            
-            const response = await axios.get(url, {
-                headers: { 'X-MBX-APIKEY': this.apiKey }
-            });
-            
-            const accountInfo = response.data;
-            const usdtAsset = accountInfo.assets.find(asset => asset.asset === 'USDT');
+            const accountInfo = await this.requestAccount('getAccountInfo');
+            const marginAsset = accountInfo.assets.find(item => item.asset === asset);
             
-            if (!usdtAsset) {
-                throw new Error('未找到USDT资产信息');
+            if (!marginAsset) {
+                throw new Error(`未找到${asset}资产信息`);
             }
 
             // 返回格式化的账户信息
             return {
-                totalWalletBalance: parseFloat(usdtAsset.walletBalance),
-                availableBalance: parseFloat(usdtAsset.availableBalance),
-                unrealizedProfit: parseFloat(usdtAsset.unrealizedProfit),
-                marginBalance: parseFloat(usdtAsset.marginBalance),
-                maintMargin: parseFloat(usdtAsset.maintMargin),
-                initialMargin: parseFloat(usdtAsset.initialMargin),
+                asset,
+                totalWalletBalance: parseFloat(marginAsset.walletBalance),
+                availableBalance: parseFloat(marginAsset.availableBalance),
+                unrealizedProfit: parseFloat(marginAsset.unrealizedProfit),
+                marginBalance: parseFloat(marginAsset.marginBalance),
+                maintMargin: parseFloat(marginAsset.maintMargin),
+                initialMargin: parseFloat(marginAsset.initialMargin),
+                balances: this.formatBalances(accountInfo),
                 positions: accountInfo.positions || []
             };
         } catch (error) {
@@ -85,24 +100,37 @@ class BinanceApi {
         }
     }
 
-    async getCurrentPosition(symbol) {
+    // 全部资产的余额和持仓，不要求账户中有某个保证金资产 (币本位按币种分别计保证金)
+    async getAccountSnapshot() {
         try {
-            const accountInfo = await this.getAccountInfo();
-            const position = accountInfo.positions.find(p => p.symbol === symbol);
-            
-            if (!position || parseFloat(position.positionAmt) === 0) {
-                return { type: null, qty: 0 };
-            }
-
-            const positionAmt = parseFloat(position.positionAmt);
+            const accountInfo = await this.requestAccount('getAccountSnapshot');
             return {
-                type: positionAmt > 0 ? 'long' : 'short',
-                qty: Math.abs(positionAmt),
-                leverage: parseInt(position.leverage),
-                entryPrice: parseFloat(position.entryPrice),
-                markPrice: parseFloat(position.markPrice),
-                unrealizedProfit: parseFloat(position.unrealizedProfit)
+                balances: this.formatBalances(accountInfo),
+                positions: accountInfo.positions || []
             };
+        } catch (error) {
+            logger.error('获取账户快照失败', {
+                error: error.message,
+                details: error.response?.data
+            });
+            throw error;
+        }
+    }
+
+    async getCurrentPosition(symbol) {
+        try {
+            const accountInfo = await this.getAccountInfo(this.market.getMarginAsset(symbol));
+            // 双向持仓时同一交易对有 LONG 和 SHORT 两条记录
+            return this.buildPosition(accountInfo.positions
+                .filter(p => p.symbol === symbol)
+                .map(position => ({
+                    positionSide: position.positionSide,
+                    amount: parseFloat(position.positionAmt),
+                    leverage: parseInt(position.leverage),
+                    entryPrice: parseFloat(position.entryPrice),
+                    markPrice: parseFloat(position.markPrice),
+                    unrealizedProfit: parseFloat(position.unrealizedProfit)
+                })));
         } catch (error) {
             logger.error('获取持仓信息失败', { 
                 error: error.message,
@@ -114,23 +142,19 @@ class BinanceApi {
 
     async setLeverage(symbol, leverage) {
         try {
-            const endpoint = '/fapi/v1/leverage';
-            const timestamp = Date.now();
-            const queryString = `symbol=${symbol}&leverage=${leverage}&timestamp=${timestamp}`;
-            const signature = this.sign(queryString);
-            const url = `${this.baseUrl}${endpoint}?${queryString}&signature=${signature}`;
-            
-            const response = await axios.post(url, null, {
-                headers: { 'X-MBX-APIKEY': this.apiKey }
-            });
+            // 设置杠杆结果确定，可以重试
+            const result = await this.client.request('POST', this.market.path('leverage'), {
+                symbol,
+                leverage
+            }, { operation: 'setLeverage', signed: true, idempotent: true });
 
             logger.info('设置杠杆倍数成功', {
                 symbol,
                 leverage,
-                response: response.data
+                response: result
             });
 
-            return response.data;
+            return result;
         } catch (error) {
             // 如果已经是目标杠杆倍数，忽略错误
             if (error.response?.data?.code === -4046) {
@@ -148,15 +172,9 @@ class BinanceApi {
 
     async setPositionMode(dualSidePosition = false) {
         try {
-            const endpoint = '/fapi/v1/positionSide/dual';
-            const timestamp = Date.now();
-            const queryString = `dualSidePosition=${dualSidePosition}&timestamp=${timestamp}`;
-            const signature = this.sign(queryString);
-            const url = `${this.baseUrl}${endpoint}?${queryString}&signature=${signature}`;
-            
-            await axios.post(url, null, {
-                headers: { 'X-MBX-APIKEY': this.apiKey }
-            });
+            await this.client.request('POST', this.market.path('positionMode'), {
+                dualSidePosition
+            }, { operation: 'setPositionMode', signed: true, idempotent: true });
 
             logger.info('设置持仓模式成功', {
                 mode: dualSidePosition ? '双向持仓' : '单向持仓'
@@ -172,46 +190,41 @@ class BinanceApi {
         }
     }
 
-    async placeOrder(symbol, side, quantity, reduceOnly = false) {
+    // options: { type, price, timeInForce, stopPrice, callbackRate, activationPrice, workingType, positionSide }
+    async placeOrder(symbol, side, quantity, reduceOnly = false, options = {}) {
+        const type = options.type || 'MARKET';
         try {
-            const endpoint = '/fapi/v1/order';
-            const timestamp = Date.now();
-            
-            // 基础参数
-            const params = {
-                symbol,
-                side,
-                type: 'MARKET',
-                quantity,
-                timestamp
-            };
-
-            // 只有在平仓时才添加 reduceOnly 参数
-            if (reduceOnly) {
-                params.reduceOnly = true;
-            }
-            
-            const queryString = Object.entries(params)
-                .map(([key, value]) => `${key}=${value}`)
-                .join('&');
-            
-            const signature = this.sign(queryString);
-            const url = `${this.baseUrl}${endpoint}?${queryString}&signature=${signature}`;
-            
-            const response = await axios.post(url, null, {
-                headers: { 'X-MBX-APIKEY': this.apiKey }
-            });
+            const params = this.buildOrderParams(symbol, side, type, quantity, reduceOnly, options);
+            const order = this.formatOrder(
+                await this.client.request('POST', this.market.path('order'), params, { operation: 'placeOrder', signed: true })
+            );
 
             logger.info('下单成功', {
                 symbol,
                 side,
+                type,
                 quantity,
                 reduceOnly,
-                orderId: response.data.orderId
+                stopPrice: options.stopPrice,
+                orderId: order.orderId
             });
 
-            return response.data;
+            return order;
         } catch (error) {
+            // 只挂单被拒绝是正常的盘口变化，按 Binance 早期的行为返回 EXPIRED 订单
+            if (options.timeInForce === 'GTX' && this.isPostOnlyRejected(error)) {
+                logger.debug('只挂单会立即成交，已被拒绝', { symbol, side, price: options.price });
+                return {
+                    orderId: null,
+                    symbol,
+                    side,
+                    type,
+                    status: 'EXPIRED',
+                    origQty: String(quantity),
+                    executedQty: '0',
+                    avgPrice: '0'
+                };
+            }
             // console.log('error',error);
             logger.error('下单失败', {
                 error: error.message,
@@ -219,28 +232,116 @@ class BinanceApi {
                 params: {
                     symbol,
                     side,
+                    type,
                     quantity,
-                    reduceOnly
+                    reduceOnly,
+                    ...options
                 }
             });
             throw error;
         }
     }
 
-    async cancelAllOrders(symbol) {
+    buildOrderParams(symbol, side, type, quantity, reduceOnly, options) {
+        // 基础参数
+        const params = {
+            symbol,
+            side,
+            type,
+            quantity
+        };
+
+        // 只有在平仓时才添加 reduceOnly 参数，双向持仓由 positionSide 决定平哪一腿，不能传 reduceOnly
+        if (reduceOnly && !options.positionSide) {
+            params.reduceOnly = true;
+        }
+
+        // 限价单和条件单的附加参数
+        this.market.orderOptions.forEach(key => {
+            if (options[key] !== undefined && options[key] !== null) {
+                params[key] = options[key];
+            }
+        });
+        // 市价单直接返回成交结果
+        if (type === 'MARKET') {
+            params.newOrderRespType = 'RESULT';
+        }
+        return params;
+    }
+
+    isPostOnlyRejected(error) {
+        return error.response?.data?.code === POST_ONLY_REJECTED;
+    }
+
+    // 合约的下单响应已包含成交均价
+    formatOrder(order) {
+        return order;
+    }
+
+    async getOrder(symbol, orderId) {
         try {
-            const endpoint = '/fapi/v1/allOpenOrders';
-            const timestamp = Date.now();
-            const queryString = `symbol=${symbol}&timestamp=${timestamp}`;
-            const signature = this.sign(queryString);
-            const url = `${this.baseUrl}${endpoint}?${queryString}&signature=${signature}`;
-            
-            const response = await axios.delete(url, {
-                headers: { 'X-MBX-APIKEY': this.apiKey }
+            const order = await this.client.request('GET', this.market.path('order'), {
+                symbol,
+                orderId
+            }, { operation: 'getOrder', signed: true });
+            return this.formatOrder(order);
+        } catch (error) {
+            // 订单不存在
+            if (error.response?.data?.code === -2013) {
+                return null;
+            }
+            logger.error('查询订单失败', {
+                error: error.message,
+                symbol,
+                orderId
+            });
+            throw error;
+        }
+    }
+
+    async cancelOrder(symbol, orderId) {
+        try {
+            const result = await this.client.request('DELETE', this.market.path('order'), {
+                symbol,
+                orderId
+            }, { operation: 'cancelOrder', signed: true });
+
+            logger.info('撤单成功', { symbol, orderId });
+            return result;
+        } catch (error) {
+            // 订单已成交或已撤销
+            if (error.response?.data?.code === -2011) {
+                logger.debug('订单不存在或已完成', { symbol, orderId });
+                return null;
+            }
+            logger.error('撤单失败', {
+                error: error.message,
+                details: error.response?.data,
+                symbol,
+                orderId
             });
+            throw error;
+        }
+    }
+
+    async getOpenOrders(symbol) {
+        try {
+            return await this.client.request('GET', this.market.path('openOrders'), { symbol }, { operation: 'getOpenOrders', signed: true });
+        } catch (error) {
+            logger.error('获取挂单失败', {
+                error: error.message,
+                symbol
+            });
+            throw error;
+        }
+    }
+
+    async cancelAllOrders(symbol) {
+        try {
+            const result = await this.client.request('DELETE', this.market.path('allOpenOrders'), { symbol }, { operation: 'cancelAllOrders', signed: true });
 
             logger.info('取消所有订单成功', { symbol });
-            return response.data;
+            return result;
         } catch (error) {
             logger.error('取消所有订单失败', {
                 error: error.message,
@@ -250,25 +351,67 @@ class BinanceApi {
         }
     }
 
+    // 创建用户数据流 listenKey
+    async createListenKey() {
+        try {
+            // 有效期内重复创建返回同一个 listenKey，可以重试
+            const result = await this.client.request('POST', this.market.path('listenKey'), {}, {
+                operation: 'createListenKey',
+                apiKey: true,
+                idempotent: true
+            });
+
+            logger.info('创建listenKey成功');
+            return result.listenKey;
+        } catch (error) {
+            logger.error('创建listenKey失败', {
+                error: error.message,
+                details: error.response?.data
+            });
+            throw error;
+        }
+    }
+
+    // 延长 listenKey 有效期
+    async keepAliveListenKey() {
+        try {
+            const result = await this.client.request('PUT', this.market.path('listenKey'), {}, { operation: 'keepAliveListenKey', apiKey: true });
+
+            logger.debug('延长listenKey成功');
+            return result;
+        } catch (error) {
+            logger.error('延长listenKey失败', {
+                error: error.message,
+                details: error.response?.data
+            });
+            throw error;
+        }
+    }
+
+    async closeListenKey() {
+        try {
+            await this.client.request('DELETE', this.market.path('listenKey'), {}, { operation: 'closeListenKey', apiKey: true });
+
+            logger.info('关闭listenKey成功');
+        } catch (error) {
+            logger.error('关闭listenKey失败', { error: error.message });
+            throw error;
+        }
+    }
+
     // 获取账户交易手续费率
     async getCommissionRate(symbol) {
         try {
-            const endpoint = '/fapi/v1/commissionRate';
-            const timestamp = Date.now();
-            const queryString = `symbol=${symbol}&timestamp=${timestamp}`;
-            const signature = this.sign(queryString);
-            const url = `${this.baseUrl}${endpoint}?${queryString}&signature=${signature}`;
-            
-            const response = await axios.get(url, {
-                headers: { 'X-MBX-APIKEY': this.apiKey }
-            });
+            const rates = await this.client.request('GET', this.market.path('commissionRate'), {
+                symbol
+            }, { operation: 'getCommissionRate', signed: true, weight: 20 });
 
             logger.info('获取手续费率成功', {
                 symbol,
-                rates: response.data
+                rates
             });
 
-            return response.data;
+            return rates;
         } catch (error) {
             logger.error('获取手续费率失败', {
                 error: error.message,
@@ -278,21 +421,22 @@ class BinanceApi {
         }
     }
 
-    // 获取交易所信息,symbol参数用于过滤特定交易对的信息,但目前未使用
+    // 获取交易所信息，传入 symbol 时只返回该交易对
     async getExchangeInfo(symbol) {
         try {
-            const endpoint = '/fapi/v1/exchangeInfo';
-            const url = `${this.baseUrl}${endpoint}`;
-            
-            const response = await axios.get(url);
-            // console.log('response',response.data);
+            const exchangeInfo = await this.client.request('GET', this.market.path('exchangeInfo'), {}, { operation: 'getExchangeInfo' });
             logger.debug('获取交易所信息成功', {
-                symbol,  // 这里symbol参数实际上没有被使用
+                symbol,
                 timestamp: new Date().toISOString()
             });
 
-            // TODO: 可以根据symbol参数过滤出特定交易对的信息
-            return response.data;
+            if (!symbol) {
+                return exchangeInfo;
+            }
+            return {
+                ...exchangeInfo,
+                symbols: exchangeInfo.symbols.filter(s => s.symbol === symbol)
+            };
         } catch (error) {
             logger.error('获取交易所信息失败', {
                 error: error.message,
@@ -305,11 +449,10 @@ class BinanceApi {
     // 添加获取最新价格的方法
     async getLatestPrice(symbol) {
         try {
-            const endpoint = '/fapi/v1/ticker/price';
-            const url = `${this.baseUrl}${endpoint}?symbol=${symbol}`;
-            
-            const response = await axios.get(url);
-            const price = parseFloat(response.data.price);
+            const result = await this.client.request('GET', this.market.path('tickerPrice'), { symbol }, { operation: 'getLatestPrice' });
+            // 币本位合约返回数组
+            const ticker = Array.isArray(result) ? result[0] : result;
+            const price = parseFloat(ticker.price);
 
             logger.debug('获取最新价格', {
                 symbol,
@@ -325,6 +468,26 @@ class BinanceApi {
             throw error;
         }
     }
+
+    // 买一/卖一价
+    async getBookTicker(symbol) {
+        try {
+            const result = await this.client.request('GET', this.market.path('bookTicker'), { symbol }, { operation: 'getBookTicker', weight: 2 });
+            // 币本位合约返回数组
+            const ticker = Array.isArray(result) ? result[0] : result;
+            return {
+                symbol,
+                bidPrice: parseFloat(ticker.bidPrice),
+                askPrice: parseFloat(ticker.askPrice)
+            };
+        } catch (error) {
+            logger.error('获取盘口价格失败', {
+                error: error.message,
+                symbol
+            });
+            throw error;
+        }
+    }
 }
 
 module.exports = BinanceApi; 
\ No newline at end of file
@@ -0,0 +1,216 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getMarket } = require('./markets');
+const { metrics } = require('./metrics');
+
+const MINUTE_MS = 60 * 1000;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Binance REST 请求层: 服务器时间同步、签名、请求权重控制和失败重试
+// 只有幂等请求在5xx/网络错误时重试，下单等请求结果未知时直接抛出，避免重复下单
+// options.market 为 Market，决定接口地址、时间接口和权重上限
+class BinanceRestClient {
+    constructor(options = {}) {
+        const market = options.market || getMarket();
+        const settings = { ...config.api, weightLimit: market.weightLimit, baseUrl: market.baseUrl, ...options };
+        this.market = market;
+        this.baseUrl = settings.baseUrl;
+        this.apiKey = settings.apiKey;
+        this.apiSecret = settings.apiSecret;
+        this.recvWindow = settings.recvWindow;
+        this.timeout = settings.timeout;
+        this.timeSyncInterval = settings.timeSyncInterval;
+        this.weightLimit = settings.weightLimit;
+        this.weightThreshold = settings.weightThreshold;
+        this.maxRetries = settings.maxRetries;
+        this.retryDelay = settings.retryDelay;
+
+        this.timeOffset = 0;          // 服务器时间 - 本地时间
+        this.lastTimeSync = 0;
+        this.timeSyncing = null;
+        this.usedWeight = 0;          // 当前分钟已使用的权重 (来自 X-MBX-USED-WEIGHT-1M)
+        this.weightMinute = null;
+        this.blockedUntil = 0;        // 429/418 后暂停请求到该时间
+    }
+
+    now() {
+        return Date.now() + this.timeOffset;
+    }
+
+    sign(query) {
+        return crypto
+            .createHmac('sha256', this.apiSecret)
+            .update(query)
+            .digest('hex');
+    }
+
+    async syncTime() {
+        if (this.timeSyncing) return this.timeSyncing;
+
+        this.timeSyncing = (async () => {
+            try {
+                const start = Date.now();
+                const response = await axios.get(`${this.baseUrl}${this.market.path('time')}`, { timeout: this.timeout });
+                const end = Date.now();
+                // 以请求往返的中点估算本地时间
+                this.timeOffset = response.data.serverTime - Math.round((start + end) / 2);
+                this.lastTimeSync = end;
+                logger.debug('服务器时间已同步', { offset: this.timeOffset, latency: end - start });
+            } catch (error) {
+                logger.error('同步服务器时间失败', { error: error.message });
+                throw error;
+            } finally {
+                this.timeSyncing = null;
+            }
+        })();
+        return this.timeSyncing;
+    }
+
+    // options: { operation, signed, apiKey, weight, idempotent }，operation 为监控指标中的接口名
+    async request(method, endpoint, params = {}, options = {}) {
+        const operation = options.operation || endpoint;
+        const signed = options.signed || false;
+        const weight = options.weight || 1;
+        const idempotent = options.idempotent !== undefined ? options.idempotent : method !== 'POST';
+
+        for (let attempt = 0; ; attempt++) {
+            if (signed && Date.now() - this.lastTimeSync > this.timeSyncInterval) {
+                await this.syncTime();
+            }
+            await this.waitForCapacity(weight);
+
+            const start = Date.now();
+            try {
+                const response = await axios.request({
+                    method,
+                    url: this.buildUrl(endpoint, params, signed),
+                    headers: signed || options.apiKey ? { 'X-MBX-APIKEY': this.apiKey } : undefined,
+                    timeout: this.timeout
+                });
+                this.recordMetrics(operation, start, response.status);
+                this.updateWeight(response.headers);
+                return response.data;
+            } catch (error) {
+                this.recordMetrics(operation, start, error.response ? error.response.status : 'error');
+                if (error.response) {
+                    this.updateWeight(error.response.headers);
+                }
+
+                const retryDelay = this.getRetryDelay(error, attempt, idempotent);
+                if (retryDelay === null) {
+                    throw error;
+                }
+
+                logger.warn('Binance请求失败，准备重试', {
+                    method,
+                    endpoint,
+                    attempt: attempt + 1,
+                    delay: retryDelay,
+                    status: error.response?.status,
+                    code: error.response?.data?.code,
+                    error: error.message
+                });
+                await sleep(retryDelay);
+            }
+        }
+    }
+
+    buildUrl(endpoint, params, signed) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                query.append(key, value);
+            }
+        });
+
+        if (signed) {
+            query.append('recvWindow', this.recvWindow);
+            query.append('timestamp', this.now());
+            query.append('signature', this.sign(query.toString()));
+        }
+
+        const queryString = query.toString();
+        return `${this.baseUrl}${endpoint}${queryString ? `?${queryString}` : ''}`;
+    }
+
+    // 返回重试前的等待时间，不应重试时返回 null
+    getRetryDelay(error, attempt, idempotent) {
+        if (attempt >= this.maxRetries) return null;
+
+        const status = error.response?.status;
+        const code = error.response?.data?.code;
+        const backoff = this.retryDelay * Math.pow(2, attempt);
+
+        // 429 超频 / 418 IP被封禁: 按 Retry-After 暂停所有请求，请求未被执行可以安全重试
+        if (status === 429 || status === 418) {
+            const retryAfter = parseInt(error.response.headers['retry-after']) * 1000;
+            const delay = Number.isNaN(retryAfter) ? Math.max(backoff, MINUTE_MS) : retryAfter;
+            this.blockedUntil = Math.max(this.blockedUntil, Date.now() + delay);
+            logger.error('Binance请求频率超限，暂停请求', {
+                status,
+                until: new Date(this.blockedUntil).toISOString()
+            });
+            return delay;
+        }
+
+        // -1021 时间戳超出 recvWindow: 重新同步时间，请求未被执行可以安全重试
+        if (code === -1021) {
+            this.lastTimeSync = 0;
+            return 0;
+        }
+
+        if (!idempotent) return null;
+
+        // 5xx 或网络错误 (无响应)
+        if (!error.response || status >= 500) {
+            return backoff;
+        }
+        return null;
+    }
+
+    // 按市场和调用的接口方法 (placeOrder、getAccountInfo 等) 统计
+    recordMetrics(operation, start, status) {
+        const labels = { market: this.market.type, operation };
+        metrics.restDuration.observe(labels, (Date.now() - start) / 1000);
+        metrics.restRequests.inc({ ...labels, status });
+    }
+
+    updateWeight(headers = {}) {
+        const used = parseInt(headers['x-mbx-used-weight-1m']);
+        if (Number.isNaN(used)) return;
+
+        this.usedWeight = used;
+        metrics.usedWeight.set({ market: this.market.type }, used);
+        this.weightMinute = Math.floor(this.now() / MINUTE_MS);
+    }
+
+    // 权重接近上限时等到下一分钟，避免触发429和IP封禁
+    async waitForCapacity(weight) {
+        if (Date.now() < this.blockedUntil) {
+            await sleep(this.blockedUntil - Date.now());
+        }
+
+        const minute = Math.floor(this.now() / MINUTE_MS);
+        if (minute !== this.weightMinute) {
+            this.usedWeight = 0;
+            this.weightMinute = minute;
+        }
+
+        if (this.usedWeight + weight > this.weightLimit * this.weightThreshold) {
+            const delay = (minute + 1) * MINUTE_MS - this.now();
+            logger.warn('请求权重接近上限，等待下一分钟', {
+                usedWeight: this.usedWeight,
+                limit: this.weightLimit,
+                delay
+            });
+            await sleep(delay);
+            this.usedWeight = 0;
+            this.weightMinute = minute + 1;
+        }
+        this.usedWeight += weight;
+    }
+}
+
+module.exports = BinanceRestClient;
@@ -0,0 +1,162 @@
+const logger = require('../utils/logger');
+const BinanceApi = require('./binanceApi');
+const { getMarket } = require('./markets');
+const { SymbolRulesCache } = require('./symbolRules');
+
+// 现货交易接口，返回格式与合约接口一致
+// 持仓为基础资产余额 (只有多头)，没有开仓价；账户权益为计价资产余额加持有币按最新价计算的价值
+class BinanceSpotApi extends BinanceApi {
+    constructor(market = getMarket('spot'), apiKey, apiSecret) {
+        super(market, apiKey, apiSecret);
+        this.symbolRules = new SymbolRulesCache(this);
+    }
+
+    async getAccountInfo(asset = this.market.defaultAsset) {
+        try {
+            const [account, tickers] = await Promise.all([
+                this.client.request('GET', this.market.path('account'), {}, { operation: 'getAccountInfo', signed: true, weight: 20 }),
+                this.client.request('GET', this.market.path('tickerPrice'), {}, { operation: 'getAccountInfo', weight: 4 })
+            ]);
+            const prices = new Map(tickers.map(ticker => [ticker.symbol, parseFloat(ticker.price)]));
+            const balances = account.balances.map(balance => ({
+                asset: balance.asset,
+                free: parseFloat(balance.free),
+                walletBalance: parseFloat(balance.free) + parseFloat(balance.locked)
+            }));
+
+            // 以 asset 计价的交易对视为持仓
+            const positions = [];
+            let holdingValue = 0;
+            balances.forEach(balance => {
+                const price = prices.get(`${balance.asset}${asset}`);
+                if (balance.asset === asset || balance.walletBalance === 0 || !price) return;
+
+                holdingValue += balance.walletBalance * price;
+                positions.push({
+                    symbol: `${balance.asset}${asset}`,
+                    positionAmt: balance.walletBalance.toString(),
+                    entryPrice: '0',
+                    markPrice: price.toString(),
+                    unrealizedProfit: '0',
+                    leverage: '1'
+                });
+            });
+
+            const quote = balances.find(balance => balance.asset === asset) || { free: 0, walletBalance: 0 };
+            return {
+                asset,
+                totalWalletBalance: quote.walletBalance + holdingValue,
+                availableBalance: quote.free,
+                unrealizedProfit: 0,
+                marginBalance: quote.walletBalance + holdingValue,
+                maintMargin: 0,
+                initialMargin: 0,
+                balances: balances.map(({ asset: name, walletBalance }) => ({
+                    asset: name,
+                    walletBalance,
+                    crossWalletBalance: walletBalance
+                })),
+                positions
+            };
+        } catch (error) {
+            logger.error('获取现货账户信息失败', {
+                error: error.message,
+                details: error.response?.data
+            });
+            throw error;
+        }
+    }
+
+    // 不足最小下单量的余额 (手续费留下的零头) 不算持仓
+    async getCurrentPosition(symbol) {
+        try {
+            const rules = await this.symbolRules.get(symbol);
+            const account = await this.client.request('GET', this.market.path('account'), {}, {
+                operation: 'getCurrentPosition',
+                signed: true,
+                weight: 20
+            });
+            const balance = account.balances.find(item => item.asset === rules.baseAsset);
+            const qty = balance ? parseFloat(balance.free) + parseFloat(balance.locked) : 0;
+
+            if (qty === 0 || rules.roundQuantity(qty) < rules.marketMinQty) {
+                return { type: null, qty: 0 };
+            }
+
+            return {
+                type: 'long',
+                qty,
+                leverage: 1,
+                entryPrice: null
+            };
+        } catch (error) {
+            logger.error('获取现货持仓失败', {
+                error: error.message,
+                symbol
+            });
+            throw error;
+        }
+    }
+
+    // 现货没有 reduceOnly，市价单返回成交明细用于计算均价和手续费
+    // 现货没有 GTX，只挂单使用 LIMIT_MAKER 类型
+    buildOrderParams(symbol, side, type, quantity, reduceOnly, options) {
+        const params = super.buildOrderParams(symbol, side, type, quantity, false, options);
+        if (type === 'MARKET') {
+            params.newOrderRespType = 'FULL';
+        }
+        if (type === 'LIMIT' && options.timeInForce === 'GTX') {
+            params.type = 'LIMIT_MAKER';
+            delete params.timeInForce;
+        }
+        return params;
+    }
+
+    // LIMIT_MAKER 会立即成交时返回 -2010 Order would immediately match and take
+    isPostOnlyRejected(error) {
+        const data = error.response?.data;
+        return data?.code === -2010 && /immediately match/i.test(data.msg || '');
+    }
+
+    formatOrder(order) {
+        const executedQty = parseFloat(order.executedQty) || 0;
+        const fills = order.fills || [];
+        return {
+            ...order,
+            avgPrice: executedQty > 0 ? (parseFloat(order.cummulativeQuoteQty) / executedQty).toString() : '0',
+            commission: fills.length > 0
+                ? fills.reduce((sum, fill) => sum + parseFloat(fill.commission), 0).toString()
+                : undefined,
+            commissionAsset: fills.length > 0 ? fills[0].commissionAsset : undefined
+        };
+    }
+
+    // 转换为合约接口的格式
+    async getCommissionRate(symbol) {
+        try {
+            const result = await this.client.request('GET', this.market.path('commissionRate'), {
+                symbol
+            }, { operation: 'getCommissionRate', signed: true, weight: 20 });
+            const rates = {
+                symbol,
+                makerCommissionRate: result.standardCommission.maker,
+                takerCommissionRate: result.standardCommission.taker
+            };
+
+            logger.info('获取手续费率成功', {
+                symbol,
+                rates
+            });
+
+            return rates;
+        } catch (error) {
+            logger.error('获取手续费率失败', {
+                error: error.message,
+                symbol
+            });
+            throw error;
+        }
+    }
+}
+
+module.exports = BinanceSpotApi;
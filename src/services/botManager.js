@@ -0,0 +1,361 @@
+const EventEmitter = require('events');
+const config = require('../config');
+const logger = require('../utils/logger');
+const ControlServer = require('./controlServer');
+const { createExchange, createMarketStream } = require('./exchangeFactory');
+const { metrics } = require('./metrics');
+const { getNotifier } = require('./notifier');
+const PositionBudget = require('./positionBudget');
+const RiskManager = require('./riskManager');
+const StateStore = require('./stateStore');
+const { SymbolRulesCache } = require('./symbolRules');
+const TelegramCommands = require('./telegramCommands');
+const TradeJournal = require('./tradeJournal');
+const TradingBot = require('./tradingBot');
+const UserDataStream = require('./userDataStream');
+const { getTradingSymbols } = require('../utils/symbolSettings');
+
+// 为每个交易对创建一个交易机器人，同一市场的交易对共享交易接口和WebSocket连接，所有交易对共享持仓额度
+class BotManager {
+    constructor() {
+        this.positionBudget = new PositionBudget(config.trading.maxPositions);
+        this.exchanges = new Map(); // 市场类型 -> { market, binanceApi, symbolRules, accountStream, wsManager }
+        this.accounts = new Map();  // 市场:保证金资产 -> { key, market, asset, binanceApi, riskManager, bots }
+        this.bots = new Map();
+        this.riskTimer = null;
+        this.paused = false;
+        this.events = new EventEmitter(); // 各交易对的 tick / fill 事件
+        this.events.setMaxListeners(0);
+
+        this.telegramCommands = config.logging.telegram.commands.enabled
+            ? new TelegramCommands(this)
+            : null;
+        this.controlServer = config.controlServer.enabled ? new ControlServer(this) : null;
+        this.journal = config.journal.enabled ? new TradeJournal() : null;
+
+        for (const settings of getTradingSymbols()) {
+            const exchange = this.getExchange(settings.market);
+            const account = this.getAccount(exchange, settings.marginAsset || exchange.market.getMarginAsset(settings.symbol));
+            const bot = new TradingBot({
+                settings,
+                binanceApi: exchange.binanceApi,
+                positionBudget: this.positionBudget,
+                symbolRules: exchange.symbolRules,
+                riskManager: account.riskManager,
+                accountStream: exchange.accountStream,
+                journal: this.journal,
+                events: this.events
+            });
+            account.bots.push(bot);
+            this.bots.set(settings.symbol, bot);
+        }
+    }
+
+    getExchange(marketType) {
+        if (!this.exchanges.has(marketType)) {
+            const binanceApi = createExchange(config.exchange.mode, marketType);
+            const market = binanceApi.market;
+            this.exchanges.set(marketType, {
+                market,
+                binanceApi,
+                // 现货接口自带规则缓存 (下单时按规则处理数量)，与机器人共用
+                symbolRules: binanceApi.symbolRules instanceof SymbolRulesCache
+                    ? binanceApi.symbolRules
+                    : new SymbolRulesCache(binanceApi),
+                // 用户数据流只用于支持 listenKey 的实盘合约
+                accountStream: config.exchange.mode === 'live' && market.accountStream && config.userDataStream.enabled
+                    ? new UserDataStream(binanceApi)
+                    : null,
+                wsManager: null
+            });
+        }
+        return this.exchanges.get(marketType);
+    }
+
+    // 同一市场同一保证金资产的交易对共用余额，账户风控分别计算
+    getAccount(exchange, asset) {
+        const key = `${exchange.market.type}:${asset}`;
+        if (!this.accounts.has(key)) {
+            const account = {
+                key,
+                market: exchange.market,
+                asset,
+                binanceApi: exchange.binanceApi,
+                bots: []
+            };
+            account.riskManager = new RiskManager({
+                asset,
+                onBreach: () => this.closeAllPositions(account.bots),
+                stateStore: config.state.enabled ? new StateStore(`risk-${exchange.market.type}-${asset}`) : null
+            });
+            this.accounts.set(key, account);
+        }
+        return this.accounts.get(key);
+    }
+
+    async start() {
+        try {
+            for (const exchange of this.exchanges.values()) {
+                // 合约按配置设置单向或双向持仓模式
+                if (exchange.market.futures) {
+                    await exchange.binanceApi.setPositionMode(config.exchange.hedgeMode);
+                }
+
+                await exchange.symbolRules.refresh();
+                exchange.symbolRules.start();
+
+                if (exchange.accountStream) {
+                    await exchange.accountStream.start();
+                }
+            }
+
+            for (const bot of this.bots.values()) {
+                await bot.start();
+            }
+
+            this.startWebSocket();
+            this.startRiskMonitor();
+            if (this.telegramCommands) {
+                this.telegramCommands.start();
+            }
+            if (this.controlServer) {
+                await this.controlServer.start();
+            }
+            logger.info('所有交易机器人启动成功', {
+                symbols: Array.from(this.bots.keys())
+            });
+        } catch (error) {
+            logger.error('交易机器人启动失败', { error: error.message });
+            throw error;
+        }
+    }
+
+    // 每个市场一个行情连接
+    startWebSocket() {
+        for (const exchange of this.exchanges.values()) {
+            const streams = Array.from(this.bots.values())
+                .filter(bot => bot.market === exchange.market)
+                .flatMap(bot => bot.getIntervals().map(interval => ({ symbol: bot.symbol, interval })));
+            exchange.wsManager = createMarketStream(this.handleMessage.bind(this), streams, exchange.market);
+            exchange.wsManager.connect();
+        }
+    }
+
+    // 定时检查各账户的风控和单个持仓的紧急止损
+    startRiskMonitor() {
+        this.riskTimer = setInterval(async () => {
+            for (const account of this.accounts.values()) {
+                try {
+                    const accountInfo = await account.binanceApi.getAccountInfo(account.asset);
+                    this.updateAccountMetrics(account, accountInfo);
+                    await account.riskManager.evaluate(accountInfo);
+
+                    for (const bot of account.bots) {
+                        await bot.checkEmergencyStop(accountInfo.marginBalance);
+                    }
+                } catch (error) {
+                    logger.error('风控检查失败', { account: account.key, error: error.message });
+                }
+            }
+        }, config.riskManagement.checkInterval);
+    }
+
+    updateAccountMetrics(account, accountInfo) {
+        metrics.equity.set({ market: account.market.type, asset: account.asset }, accountInfo.marginBalance);
+        // 双向持仓时同一交易对有多空两腿，单向持仓按数量正负归到对应方向
+        for (const { symbol } of account.bots) {
+            const size = { long: 0, short: 0 };
+            let unrealizedPnl = 0;
+            for (const position of accountInfo.positions.filter(p => p.symbol === symbol)) {
+                const amount = parseFloat(position.positionAmt) || 0;
+                size[amount < 0 ? 'short' : 'long'] += amount;
+                unrealizedPnl += parseFloat(position.unrealizedProfit) || 0;
+            }
+            metrics.positionSize.set({ symbol, side: 'long' }, size.long);
+            metrics.positionSize.set({ symbol, side: 'short' }, size.short);
+            metrics.unrealizedPnl.set({ symbol }, unrealizedPnl);
+        }
+    }
+
+    // 各交易对同时平仓，任何一个失败都抛出汇总错误，列出失败的交易对
+    async closeAllPositions(bots = Array.from(this.bots.values())) {
+        const results = await Promise.allSettled(bots.map(bot => bot.emergencyClosePosition()));
+        const failed = [];
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                const symbol = bots[index].symbol;
+                logger.error('平仓失败', {
+                    symbol,
+                    error: result.reason.message
+                });
+                failed.push({ symbol, error: result.reason });
+            }
+        });
+        if (failed.length > 0) {
+            throw new AggregateError(
+                failed.map(item => item.error),
+                `平仓失败: ${failed.map(item => `${item.symbol} (${item.error.message})`).join(', ')}`
+            );
+        }
+    }
+
+    // 双向持仓时 direction 指定只平多单或空单
+    async closePosition(symbol, direction) {
+        await this.getBot(symbol).emergencyClosePosition(direction);
+    }
+
+    resetRisk() {
+        this.accounts.forEach(account => account.riskManager.reset());
+    }
+
+    // 暂停只阻止开新仓，平仓信号和保护单照常执行
+    pause() {
+        this.paused = true;
+        this.bots.forEach(bot => { bot.paused = true; });
+        logger.warn('已暂停开仓');
+    }
+
+    resume() {
+        this.paused = false;
+        this.bots.forEach(bot => { bot.paused = false; });
+        logger.info('已恢复开仓');
+    }
+
+    getStatus() {
+        return {
+            mode: config.exchange.mode,
+            paused: this.paused,
+            symbols: Array.from(this.bots.keys()),
+            positionsUsed: this.positionBudget.used(),
+            maxPositions: this.positionBudget.maxPositions,
+            accounts: Array.from(this.accounts.values()).map(account => ({
+                account: account.key,
+                risk: account.riskManager.getStatus()
+            }))
+        };
+    }
+
+    async getPositions() {
+        const positions = [];
+        for (const bot of this.bots.values()) {
+            const position = await bot.getPosition();
+            positions.push({ symbol: bot.symbol, lastPrice: bot.lastPrice, ...position });
+        }
+        return positions;
+    }
+
+    // 每个账户一条，金额以账户的保证金资产计
+    async getPnl() {
+        const results = [];
+        for (const account of this.accounts.values()) {
+            const accountInfo = await account.binanceApi.getAccountInfo(account.asset);
+            const risk = account.riskManager.getStatus();
+            results.push({
+                account: account.key,
+                asset: account.asset,
+                marginBalance: accountInfo.marginBalance,
+                availableBalance: accountInfo.availableBalance,
+                unrealizedProfit: accountInfo.unrealizedProfit,
+                dailyRealizedPnl: risk.dailyRealizedPnl,
+                dailyPnl: risk.dailyPnl
+            });
+        }
+        return results;
+    }
+
+    getBot(symbol) {
+        const bot = this.bots.get(symbol);
+        if (!bot) {
+            throw new Error(`未配置交易对 ${symbol}`);
+        }
+        return bot;
+    }
+
+    getBotStatuses() {
+        return Array.from(this.bots.values()).map(bot => bot.getStatus());
+    }
+
+    // 按市场类型返回行情连接状态
+    getWebSocketHealth() {
+        const health = {};
+        for (const [marketType, exchange] of this.exchanges) {
+            health[marketType] = exchange.wsManager ? exchange.wsManager.getHealth() : { connected: false };
+        }
+        return health;
+    }
+
+    getIndicators(symbol) {
+        const bots = symbol ? [this.getBot(symbol)] : Array.from(this.bots.values());
+        return bots.map(bot => ({
+            symbol: bot.symbol,
+            ...bot.technicalAnalysis.calculateAllIndicators()
+        }));
+    }
+
+    getTrades({ from, to, symbol, limit } = {}) {
+        if (!this.journal) return [];
+
+        const trades = this.journal.read({ from, to })
+            .filter(trade => !symbol || trade.symbol === symbol);
+        return limit ? trades.slice(-limit) : trades;
+    }
+
+    // 修改运行中的交易参数，不传 symbol 时修改所有交易对，重启后恢复为配置文件的值
+    updateSettings(symbol, changes) {
+        const bots = symbol ? [this.getBot(symbol)] : Array.from(this.bots.values());
+        for (const bot of bots) {
+            for (const [key, value] of Object.entries(changes)) {
+                const [group, field] = key.split('.');
+                if (field) {
+                    // 分组配置与全局配置共用同一对象，复制后再修改，避免影响其他交易对
+                    bot.settings[group] = { ...bot.settings[group], [field]: value };
+                } else {
+                    bot.settings[group] = value;
+                }
+            }
+        }
+        logger.warn('交易参数已修改', { symbol: symbol || 'ALL', changes });
+        return bots.map(bot => ({ symbol: bot.symbol, settings: bot.settings }));
+    }
+
+    // 按交易对分发K线消息
+    handleMessage(message) {
+        if (message.e !== 'kline') return;
+
+        const bot = this.bots.get(message.k.s);
+        if (bot) {
+            if (message.E) {
+                metrics.wsLag.set({ symbol: bot.symbol }, (Date.now() - message.E) / 1000);
+            }
+            bot.handleKline(message);
+        }
+    }
+
+    async stop() {
+        if (this.controlServer) {
+            await this.controlServer.stop();
+        }
+        if (this.telegramCommands) {
+            await this.telegramCommands.stop();
+        }
+        if (this.riskTimer) {
+            clearInterval(this.riskTimer);
+            this.riskTimer = null;
+        }
+        for (const exchange of this.exchanges.values()) {
+            exchange.symbolRules.stop();
+            if (exchange.wsManager) {
+                exchange.wsManager.close();
+            }
+            if (exchange.accountStream) {
+                await exchange.accountStream.close();
+            }
+        }
+        for (const bot of this.bots.values()) {
+            bot.stop();
+        }
+        await getNotifier().flush();
+    }
+}
+
+module.exports = BotManager;
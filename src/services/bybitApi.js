@@ -0,0 +1,612 @@
+const logger = require('../utils/logger');
+const BybitRestClient = require('./bybitRestClient');
+const ExchangeApi = require('./exchangeApi');
+const { intervalToMs } = require('./candleStore');
+const { getMarket } = require('./markets');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// K线周期 Binance -> Bybit
+const INTERVALS = {
+    '1m': '1', '3m': '3', '5m': '5', '15m': '15', '30m': '30',
+    '1h': '60', '2h': '120', '4h': '240', '6h': '360', '12h': '720',
+    '1d': 'D', '1w': 'W', '1M': 'M'
+};
+
+// 订单状态 Bybit -> Binance，条件单触发前为 Untriggered
+const ORDER_STATUS = {
+    Created: 'NEW',
+    New: 'NEW',
+    Untriggered: 'NEW',
+    Triggered: 'NEW',
+    PartiallyFilled: 'PARTIALLY_FILLED',
+    Filled: 'FILLED',
+    Cancelled: 'CANCELED',
+    PartiallyFilledCanceled: 'CANCELED',
+    Rejected: 'REJECTED',
+    Deactivated: 'EXPIRED'
+};
+
+const TIME_IN_FORCE = { GTC: 'GTC', IOC: 'IOC', FOK: 'FOK', GTX: 'PostOnly' };
+
+// 条件单触发方向: 1 价格上涨到触发价，2 价格下跌到触发价
+const RISE = 1;
+const FALL = 2;
+const STOP_TYPES = ['STOP', 'STOP_MARKET'];
+const TAKE_PROFIT_TYPES = ['TAKE_PROFIT', 'TAKE_PROFIT_MARKET'];
+
+// positionIdx: 0 单向持仓，1 双向持仓的多头，2 双向持仓的空头
+const POSITION_SIDES = ['BOTH', 'LONG', 'SHORT'];
+
+// 错误码
+const NOT_MODIFIED_LEVERAGE = 110043;
+const NOT_MODIFIED_POSITION_MODE = 110025;
+const ORDER_NOT_EXISTS = 110001;
+
+// 市价单状态查询次数和间隔，Bybit 下单响应只有 orderId
+const ORDER_QUERY_ATTEMPTS = 5;
+const ORDER_QUERY_DELAY = 200;
+
+function toBybitInterval(interval) {
+    const bybitInterval = INTERVALS[interval];
+    if (!bybitInterval) {
+        throw new Error(`Bybit不支持K线周期 ${interval}`);
+    }
+    return bybitInterval;
+}
+
+function fromBybitInterval(bybitInterval) {
+    return Object.keys(INTERVALS).find(interval => INTERVALS[interval] === bybitInterval) || bybitInterval;
+}
+
+// 卖出止损和买入止盈在价格下跌时触发，反之在上涨时触发
+function getTriggerDirection(type, side) {
+    if (STOP_TYPES.includes(type)) return side === 'SELL' ? FALL : RISE;
+    return side === 'SELL' ? RISE : FALL;
+}
+
+// Bybit USDT永续 (v5 接口) 的交易接口，参数和返回值转换为 BinanceApi 的格式
+// 使用统一交易账户，双向持仓时订单按 positionSide 设置 positionIdx
+class BybitApi extends ExchangeApi {
+    constructor(market = getMarket('bybit'), apiKey = market.apiKey, apiSecret = market.apiSecret) {
+        super(market);
+        this.category = 'linear';
+        this.accountType = market.accountType || 'UNIFIED';
+        this.client = new BybitRestClient({ apiKey, apiSecret, market });
+    }
+
+    now() {
+        return this.client.now();
+    }
+
+    // options: { startTime, endTime }
+    // Bybit 按时间倒序返回区间内最新的 limit 根，传入 startTime 时收窄 endTime 使结果从 startTime 开始，与 Binance 一致
+    async getHistoricalKlines(symbol, interval, limit, options = {}) {
+        try {
+            const intervalMs = intervalToMs(interval);
+            let endTime = options.endTime;
+            if (options.startTime !== undefined && intervalMs) {
+                const rangeEnd = options.startTime + limit * intervalMs - 1;
+                endTime = endTime !== undefined ? Math.min(endTime, rangeEnd) : rangeEnd;
+            }
+
+            const result = await this.client.request('GET', this.market.path('klines'), {
+                category: this.category,
+                symbol,
+                interval: toBybitInterval(interval),
+                start: options.startTime,
+                end: endTime,
+                limit
+            }, { operation: 'getHistoricalKlines' });
+
+            // [startTime, open, high, low, close, volume, turnover] -> Binance 格式，收盘时间为下一根开盘时间 - 1
+            const klines = result.list.map(item => {
+                const openTime = parseInt(item[0]);
+                return [
+                    openTime,
+                    item[1],
+                    item[2],
+                    item[3],
+                    item[4],
+                    item[5],
+                    intervalMs ? openTime + intervalMs - 1 : openTime
+                ];
+            }).reverse();
+
+            logger.info('获取历史K线数据成功', {
+                symbol,
+                interval,
+                count: klines.length
+            });
+
+            return klines;
+        } catch (error) {
+            logger.error('获取历史K线数据失败', {
+                error: error.message,
+                symbol,
+                interval
+            });
+            throw error;
+        }
+    }
+
+    // 统一账户的可用余额以美元计，USDT 按1:1使用
+    async getAccountInfo(asset = this.market.defaultAsset) {
+        try {
+            const [wallet, positions] = await Promise.all([
+                this.client.request('GET', this.market.path('account'), {
+                    accountType: this.accountType
+                }, { operation: 'getAccountInfo', signed: true }),
+                this.client.request('GET', this.market.path('positions'), {
+                    category: this.category,
+                    settleCoin: asset,
+                    limit: 200
+                }, { operation: 'getAccountInfo', signed: true })
+            ]);
+            const account = wallet.list[0];
+            const coin = account.coin.find(item => item.coin === asset);
+
+            if (!coin) {
+                throw new Error(`未找到${asset}资产信息`);
+            }
+
+            return {
+                asset,
+                totalWalletBalance: parseFloat(coin.walletBalance),
+                availableBalance: parseFloat(account.totalAvailableBalance),
+                unrealizedProfit: parseFloat(coin.unrealisedPnl),
+                marginBalance: parseFloat(coin.equity),
+                maintMargin: parseFloat(coin.totalPositionMM) || 0,
+                initialMargin: (parseFloat(coin.totalPositionIM) || 0) + (parseFloat(coin.totalOrderIM) || 0),
+                balances: account.coin.map(item => ({
+                    asset: item.coin,
+                    walletBalance: parseFloat(item.walletBalance),
+                    crossWalletBalance: parseFloat(item.walletBalance)
+                })),
+                positions: positions.list.map(position => this.formatPosition(position))
+            };
+        } catch (error) {
+            logger.error('获取账户信息失败', {
+                error: error.message,
+                details: error.response?.data
+            });
+            throw error;
+        }
+    }
+
+    // 持仓方向在 side 字段 (Buy / Sell / 空字符串)，转换为带符号的 positionAmt
+    formatPosition(position) {
+        const size = parseFloat(position.size) || 0;
+        return {
+            symbol: position.symbol,
+            positionSide: POSITION_SIDES[position.positionIdx] || 'BOTH',
+            positionAmt: (position.side === 'Sell' ? -size : size).toString(),
+            entryPrice: position.avgPrice,
+            markPrice: position.markPrice,
+            unrealizedProfit: position.unrealisedPnl,
+            leverage: position.leverage
+        };
+    }
+
+    async getCurrentPosition(symbol) {
+        try {
+            const result = await this.client.request('GET', this.market.path('positions'), {
+                category: this.category,
+                symbol
+            }, { operation: 'getCurrentPosition', signed: true });
+            // 双向持仓时同一交易对有多空两条记录
+            return this.buildPosition(result.list
+                .map(item => this.formatPosition(item))
+                .filter(position => position.symbol === symbol)
+                .map(position => ({
+                    positionSide: position.positionSide,
+                    amount: parseFloat(position.positionAmt),
+                    leverage: parseInt(position.leverage),
+                    entryPrice: parseFloat(position.entryPrice),
+                    markPrice: parseFloat(position.markPrice),
+                    unrealizedProfit: parseFloat(position.unrealizedProfit)
+                })));
+        } catch (error) {
+            logger.error('获取持仓信息失败', {
+                error: error.message,
+                symbol
+            });
+            throw error;
+        }
+    }
+
+    async setLeverage(symbol, leverage) {
+        try {
+            const result = await this.client.request('POST', this.market.path('leverage'), {
+                category: this.category,
+                symbol,
+                buyLeverage: String(leverage),
+                sellLeverage: String(leverage)
+            }, { operation: 'setLeverage', signed: true, idempotent: true });
+
+            logger.info('设置杠杆倍数成功', {
+                symbol,
+                leverage
+            });
+
+            return result;
+        } catch (error) {
+            if (error.code === NOT_MODIFIED_LEVERAGE) {
+                logger.debug('杠杆倍数已经是目标设置');
+                return;
+            }
+            logger.error('设置杠杆倍数失败', {
+                error: error.message,
+                symbol,
+                leverage
+            });
+            throw error;
+        }
+    }
+
+    // mode: 0 单向持仓，3 双向持仓，按结算币设置
+    async setPositionMode(dualSidePosition = false) {
+        try {
+            await this.client.request('POST', this.market.path('positionMode'), {
+                category: this.category,
+                coin: this.market.defaultAsset,
+                mode: dualSidePosition ? 3 : 0
+            }, { operation: 'setPositionMode', signed: true, idempotent: true });
+
+            logger.info('设置持仓模式成功', {
+                mode: dualSidePosition ? '双向持仓' : '单向持仓'
+            });
+        } catch (error) {
+            if (error.code === NOT_MODIFIED_POSITION_MODE) {
+                logger.debug('持仓模式已经是目标设置');
+                return;
+            }
+            logger.error('设置持仓模式失败', { error: error.message });
+            throw error;
+        }
+    }
+
+    // options: { type, price, timeInForce, stopPrice, workingType, positionSide }
+    // 市价单下单后查询订单获取成交均价，条件单直接返回
+    async placeOrder(symbol, side, quantity, reduceOnly = false, options = {}) {
+        const type = options.type || 'MARKET';
+        try {
+            const params = this.buildOrderParams(symbol, side, type, quantity, reduceOnly, options);
+            const result = await this.client.request('POST', this.market.path('order'), params, { operation: 'placeOrder', signed: true });
+
+            const order = type === 'MARKET'
+                ? await this.waitForOrder(symbol, result.orderId)
+                : null;
+
+            logger.info('下单成功', {
+                symbol,
+                side,
+                type,
+                quantity,
+                reduceOnly,
+                stopPrice: options.stopPrice,
+                orderId: result.orderId
+            });
+
+            return order || {
+                orderId: result.orderId,
+                symbol,
+                side,
+                type,
+                status: 'NEW',
+                origQty: String(quantity),
+                executedQty: '0',
+                avgPrice: '0'
+            };
+        } catch (error) {
+            logger.error('下单失败', {
+                error: error.message,
+                details: error.response?.data,
+                params: {
+                    symbol,
+                    side,
+                    type,
+                    quantity,
+                    reduceOnly,
+                    ...options
+                }
+            });
+            throw error;
+        }
+    }
+
+    // Binance 订单类型 -> Bybit: 止损/止盈单为带 triggerPrice 的条件单
+    buildOrderParams(symbol, side, type, quantity, reduceOnly, options) {
+        const isStop = STOP_TYPES.includes(type) || TAKE_PROFIT_TYPES.includes(type);
+        if (!isStop && !['MARKET', 'LIMIT'].includes(type)) {
+            throw new Error(`${this.market.name}不支持订单类型 ${type}`);
+        }
+
+        const params = {
+            category: this.category,
+            symbol,
+            side: side === 'BUY' ? 'Buy' : 'Sell',
+            orderType: type.endsWith('MARKET') ? 'Market' : 'Limit',
+            qty: String(quantity),
+            positionIdx: Math.max(0, POSITION_SIDES.indexOf(options.positionSide))
+        };
+
+        if (reduceOnly) {
+            params.reduceOnly = true;
+        }
+        if (params.orderType === 'Limit') {
+            params.price = String(options.price);
+            params.timeInForce = TIME_IN_FORCE[options.timeInForce || 'GTC'];
+        }
+        if (isStop) {
+            params.triggerPrice = String(options.stopPrice);
+            params.triggerDirection = getTriggerDirection(type, side);
+            params.triggerBy = options.workingType === 'MARK_PRICE' ? 'MarkPrice' : 'LastPrice';
+        }
+        return params;
+    }
+
+    // 订单查询结果 -> Binance 订单格式，条件单按触发方向还原为止损或止盈
+    formatOrder(order) {
+        const side = order.side === 'Buy' ? 'BUY' : 'SELL';
+        const triggerPrice = parseFloat(order.triggerPrice) || 0;
+        let type = order.orderType === 'Market' ? 'MARKET' : 'LIMIT';
+        if (triggerPrice > 0) {
+            const isStop = getTriggerDirection('STOP_MARKET', side) === order.triggerDirection;
+            type = `${isStop ? 'STOP' : 'TAKE_PROFIT'}${order.orderType === 'Market' ? '_MARKET' : ''}`;
+        }
+
+        return {
+            orderId: order.orderId,
+            symbol: order.symbol,
+            side,
+            type,
+            positionSide: POSITION_SIDES[order.positionIdx] || 'BOTH',
+            status: ORDER_STATUS[order.orderStatus] || order.orderStatus,
+            reduceOnly: order.reduceOnly === true,
+            closePosition: order.closeOnTrigger === true,
+            price: order.price,
+            stopPrice: order.triggerPrice,
+            origQty: order.qty,
+            executedQty: order.cumExecQty,
+            avgPrice: order.avgPrice || '0',
+            commission: order.cumExecFee,
+            commissionAsset: this.market.defaultAsset,
+            updateTime: parseInt(order.updatedTime)
+        };
+    }
+
+    // 查询订单直到成交或结束，最近的订单在 realtime 接口，已结束的订单可能只在历史接口
+    async waitForOrder(symbol, orderId) {
+        let order = null;
+        for (let attempt = 0; attempt < ORDER_QUERY_ATTEMPTS; attempt++) {
+            order = await this.getOrder(symbol, orderId);
+            if (order && ['FILLED', 'CANCELED', 'REJECTED', 'EXPIRED'].includes(order.status)) {
+                return order;
+            }
+            await sleep(ORDER_QUERY_DELAY);
+        }
+        return order;
+    }
+
+    async getOrder(symbol, orderId) {
+        for (const name of ['openOrders', 'orderHistory']) {
+            const result = await this.client.request('GET', this.market.path(name), {
+                category: this.category,
+                symbol,
+                orderId
+            }, { operation: 'getOrder', signed: true });
+            if (result.list.length > 0) {
+                return this.formatOrder(result.list[0]);
+            }
+        }
+        return null;
+    }
+
+    async cancelOrder(symbol, orderId) {
+        try {
+            const result = await this.client.request('POST', this.market.path('cancelOrder'), {
+                category: this.category,
+                symbol,
+                orderId
+            }, { operation: 'cancelOrder', signed: true });
+
+            logger.info('撤单成功', { symbol, orderId });
+            return result;
+        } catch (error) {
+            // 订单已成交或已撤销
+            if (error.code === ORDER_NOT_EXISTS) {
+                logger.debug('订单不存在或已完成', { symbol, orderId });
+                return null;
+            }
+            logger.error('撤单失败', {
+                error: error.message,
+                details: error.response?.data,
+                symbol,
+                orderId
+            });
+            throw error;
+        }
+    }
+
+    // 包括普通挂单和未触发的条件单
+    async getOpenOrders(symbol) {
+        try {
+            const result = await this.client.request('GET', this.market.path('openOrders'), {
+                category: this.category,
+                symbol,
+                openOnly: 0,
+                limit: 50
+            }, { operation: 'getOpenOrders', signed: true });
+            return result.list.map(order => this.formatOrder(order));
+        } catch (error) {
+            logger.error('获取挂单失败', {
+                error: error.message,
+                symbol
+            });
+            throw error;
+        }
+    }
+
+    async cancelAllOrders(symbol) {
+        try {
+            const result = await this.client.request('POST', this.market.path('allOpenOrders'), {
+                category: this.category,
+                symbol
+            }, { operation: 'cancelAllOrders', signed: true, idempotent: true });
+
+            logger.info('取消所有订单成功', { symbol });
+            return result;
+        } catch (error) {
+            logger.error('取消所有订单失败', {
+                error: error.message,
+                symbol
+            });
+            throw error;
+        }
+    }
+
+    async getCommissionRate(symbol) {
+        try {
+            const result = await this.client.request('GET', this.market.path('commissionRate'), {
+                category: this.category,
+                symbol
+            }, { operation: 'getCommissionRate', signed: true });
+            const rate = result.list[0];
+            const rates = {
+                symbol,
+                makerCommissionRate: rate.makerFeeRate,
+                takerCommissionRate: rate.takerFeeRate
+            };
+
+            logger.info('获取手续费率成功', {
+                symbol,
+                rates
+            });
+
+            return rates;
+        } catch (error) {
+            logger.error('获取手续费率失败', {
+                error: error.message,
+                symbol
+            });
+            throw error;
+        }
+    }
+
+    // 交易对信息转换为 Binance exchangeInfo 的 filters，供 SymbolRules 使用
+    // 不传 symbol 时按 cursor 分页获取全部交易对
+    async getExchangeInfo(symbol) {
+        try {
+            const instruments = [];
+            let cursor;
+            do {
+                const result = await this.client.request('GET', this.market.path('exchangeInfo'), {
+                    category: this.category,
+                    symbol,
+                    limit: 1000,
+                    cursor
+                }, { operation: 'getExchangeInfo' });
+                instruments.push(...result.list);
+                cursor = result.nextPageCursor;
+            } while (cursor && !symbol);
+
+            logger.debug('获取交易所信息成功', {
+                symbol,
+                count: instruments.length
+            });
+
+            return {
+                symbols: instruments
+                    .filter(instrument => instrument.status === 'Trading')
+                    .map(instrument => this.formatInstrument(instrument))
+            };
+        } catch (error) {
+            logger.error('获取交易所信息失败', {
+                error: error.message,
+                symbol
+            });
+            throw error;
+        }
+    }
+
+    formatInstrument(instrument) {
+        const { priceFilter, lotSizeFilter } = instrument;
+        return {
+            symbol: instrument.symbol,
+            baseAsset: instrument.baseCoin,
+            quoteAsset: instrument.quoteCoin,
+            marginAsset: instrument.settleCoin,
+            filters: [
+                {
+                    filterType: 'PRICE_FILTER',
+                    tickSize: priceFilter.tickSize,
+                    minPrice: priceFilter.minPrice,
+                    maxPrice: priceFilter.maxPrice
+                },
+                {
+                    filterType: 'LOT_SIZE',
+                    stepSize: lotSizeFilter.qtyStep,
+                    minQty: lotSizeFilter.minOrderQty,
+                    maxQty: lotSizeFilter.maxOrderQty
+                },
+                {
+                    filterType: 'MARKET_LOT_SIZE',
+                    stepSize: lotSizeFilter.qtyStep,
+                    minQty: lotSizeFilter.minOrderQty,
+                    maxQty: lotSizeFilter.maxMktOrderQty || lotSizeFilter.maxOrderQty
+                },
+                {
+                    filterType: 'MIN_NOTIONAL',
+                    notional: lotSizeFilter.minNotionalValue || '0'
+                }
+            ]
+        };
+    }
+
+    async getLatestPrice(symbol) {
+        try {
+            const result = await this.client.request('GET', this.market.path('tickerPrice'), {
+                category: this.category,
+                symbol
+            }, { operation: 'getLatestPrice' });
+            const price = parseFloat(result.list[0].lastPrice);
+
+            logger.debug('获取最新价格', {
+                symbol,
+                price
+            });
+
+            return price;
+        } catch (error) {
+            logger.error('获取最新价格失败', {
+                error: error.message,
+                symbol
+            });
+            throw error;
+        }
+    }
+
+    async getBookTicker(symbol) {
+        try {
+            const result = await this.client.request('GET', this.market.path('bookTicker'), {
+                category: this.category,
+                symbol
+            }, { operation: 'getBookTicker' });
+            const ticker = result.list[0];
+            return {
+                symbol,
+                bidPrice: parseFloat(ticker.bid1Price),
+                askPrice: parseFloat(ticker.ask1Price)
+            };
+        } catch (error) {
+            logger.error('获取盘口价格失败', {
+                error: error.message,
+                symbol
+            });
+            throw error;
+        }
+    }
+}
+
+module.exports = { BybitApi, toBybitInterval, fromBybitInterval };
@@ -0,0 +1,211 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getMarket } = require('./markets');
+const { metrics } = require('./metrics');
+
+const MINUTE_MS = 60 * 1000;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 业务错误码
+const RATE_LIMITED = 10006;          // 接口请求频率超限
+const TIMESTAMP_ERROR = 10002;       // 时间戳超出 recv_window
+
+// Bybit 接口返回 HTTP 200 和非0的 retCode，转换为与 axios 错误相同的 response.data 结构便于记录日志
+class BybitApiError extends Error {
+    constructor(retCode, retMsg, response) {
+        super(`Bybit ${retCode}: ${retMsg}`);
+        this.code = retCode;
+        this.response = {
+            status: response.status,
+            headers: response.headers,
+            data: { code: retCode, msg: retMsg }
+        };
+    }
+}
+
+// Bybit v5 REST 请求层: 服务器时间同步、签名和失败重试，与 BinanceRestClient 的重试规则一致
+// 签名为 HMAC_SHA256(timestamp + apiKey + recvWindow + 查询字符串或JSON请求体)，放在 X-BAPI-* 请求头中
+class BybitRestClient {
+    constructor(options = {}) {
+        const market = options.market || getMarket('bybit');
+        const settings = {
+            ...config.api,
+            apiKey: market.apiKey,
+            apiSecret: market.apiSecret,
+            baseUrl: market.baseUrl,
+            ...options
+        };
+        this.market = market;
+        this.baseUrl = settings.baseUrl;
+        this.apiKey = settings.apiKey;
+        this.apiSecret = settings.apiSecret;
+        this.recvWindow = settings.recvWindow;
+        this.timeout = settings.timeout;
+        this.timeSyncInterval = settings.timeSyncInterval;
+        this.maxRetries = settings.maxRetries;
+        this.retryDelay = settings.retryDelay;
+
+        this.timeOffset = 0;          // 服务器时间 - 本地时间
+        this.lastTimeSync = 0;
+        this.timeSyncing = null;
+        this.blockedUntil = 0;        // 超频后暂停请求到该时间
+    }
+
+    now() {
+        return Date.now() + this.timeOffset;
+    }
+
+    sign(payload) {
+        return crypto
+            .createHmac('sha256', this.apiSecret)
+            .update(payload)
+            .digest('hex');
+    }
+
+    async syncTime() {
+        if (this.timeSyncing) return this.timeSyncing;
+
+        this.timeSyncing = (async () => {
+            try {
+                const start = Date.now();
+                const response = await axios.get(`${this.baseUrl}${this.market.path('time')}`, { timeout: this.timeout });
+                const end = Date.now();
+                // 以请求往返的中点估算本地时间
+                this.timeOffset = parseInt(response.data.time) - Math.round((start + end) / 2);
+                this.lastTimeSync = end;
+                logger.debug('Bybit服务器时间已同步', { offset: this.timeOffset, latency: end - start });
+            } catch (error) {
+                logger.error('同步Bybit服务器时间失败', { error: error.message });
+                throw error;
+            } finally {
+                this.timeSyncing = null;
+            }
+        })();
+        return this.timeSyncing;
+    }
+
+    // options: { operation, signed, idempotent }，operation 为监控指标中的接口名，返回 result 字段
+    async request(method, endpoint, params = {}, options = {}) {
+        const operation = options.operation || endpoint;
+        const signed = options.signed || false;
+        const idempotent = options.idempotent !== undefined ? options.idempotent : method !== 'POST';
+
+        for (let attempt = 0; ; attempt++) {
+            if (signed && Date.now() - this.lastTimeSync > this.timeSyncInterval) {
+                await this.syncTime();
+            }
+            if (Date.now() < this.blockedUntil) {
+                await sleep(this.blockedUntil - Date.now());
+            }
+
+            const start = Date.now();
+            try {
+                const response = await axios.request({
+                    method,
+                    timeout: this.timeout,
+                    ...this.buildRequest(method, endpoint, params, signed)
+                });
+                this.recordMetrics(operation, start, response.status);
+
+                const { retCode, retMsg, result } = response.data;
+                if (retCode !== 0) {
+                    throw new BybitApiError(retCode, retMsg, response);
+                }
+                return result;
+            } catch (error) {
+                if (!(error instanceof BybitApiError)) {
+                    this.recordMetrics(operation, start, error.response ? error.response.status : 'error');
+                }
+
+                const retryDelay = this.getRetryDelay(error, attempt, idempotent);
+                if (retryDelay === null) {
+                    throw error;
+                }
+
+                logger.warn('Bybit请求失败，准备重试', {
+                    method,
+                    endpoint,
+                    attempt: attempt + 1,
+                    delay: retryDelay,
+                    status: error.response?.status,
+                    code: error.response?.data?.code,
+                    error: error.message
+                });
+                await sleep(retryDelay);
+            }
+        }
+    }
+
+    // GET 参数放在查询字符串，POST 参数为JSON请求体，签名内容与发送的内容完全一致
+    buildRequest(method, endpoint, params, signed) {
+        const entries = Object.entries(params).filter(([, value]) => value !== undefined && value !== null);
+        const isGet = method === 'GET';
+        const payload = isGet
+            ? new URLSearchParams(entries.map(([key, value]) => [key, String(value)])).toString()
+            : JSON.stringify(Object.fromEntries(entries));
+
+        const headers = isGet ? {} : { 'Content-Type': 'application/json' };
+        if (signed) {
+            const timestamp = this.now();
+            headers['X-BAPI-API-KEY'] = this.apiKey;
+            headers['X-BAPI-TIMESTAMP'] = timestamp;
+            headers['X-BAPI-RECV-WINDOW'] = this.recvWindow;
+            headers['X-BAPI-SIGN'] = this.sign(`${timestamp}${this.apiKey}${this.recvWindow}${payload}`);
+        }
+
+        return {
+            url: `${this.baseUrl}${endpoint}${isGet && payload ? `?${payload}` : ''}`,
+            headers,
+            data: isGet ? undefined : payload
+        };
+    }
+
+    // 返回重试前的等待时间，不应重试时返回 null
+    getRetryDelay(error, attempt, idempotent) {
+        if (attempt >= this.maxRetries) return null;
+
+        const status = error.response?.status;
+        const code = error.response?.data?.code;
+        const backoff = this.retryDelay * Math.pow(2, attempt);
+
+        // 10006 接口超频: 等到 X-Bapi-Limit-Reset-Timestamp，403 为IP超频: 暂停所有请求，请求未被执行可以安全重试
+        if (code === RATE_LIMITED || status === 403) {
+            const resetAt = parseInt(error.response.headers?.['x-bapi-limit-reset-timestamp']);
+            const delay = code === RATE_LIMITED && !Number.isNaN(resetAt)
+                ? Math.max(resetAt - this.now(), backoff)
+                : Math.max(backoff, MINUTE_MS);
+            this.blockedUntil = Math.max(this.blockedUntil, Date.now() + delay);
+            logger.error('Bybit请求频率超限，暂停请求', {
+                status,
+                code,
+                until: new Date(this.blockedUntil).toISOString()
+            });
+            return delay;
+        }
+
+        // 时间戳超出 recv_window: 重新同步时间，请求未被执行可以安全重试
+        if (code === TIMESTAMP_ERROR) {
+            this.lastTimeSync = 0;
+            return 0;
+        }
+
+        if (!idempotent) return null;
+
+        // 5xx 或网络错误 (无响应)
+        if (!error.response || status >= 500) {
+            return backoff;
+        }
+        return null;
+    }
+
+    // 按市场和调用的接口方法 (placeOrder、getAccountInfo 等) 统计
+    recordMetrics(operation, start, status) {
+        const labels = { market: this.market.type, operation };
+        metrics.restDuration.observe(labels, (Date.now() - start) / 1000);
+        metrics.restRequests.inc({ ...labels, status });
+    }
+}
+
+module.exports = BybitRestClient;
@@ -0,0 +1,108 @@
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+const { toBybitInterval, fromBybitInterval } = require('./bybitApi');
+const { getMarket } = require('./markets');
+const WebSocketManager = require('./webSocketManager');
+
+// 单次订阅请求最多的主题数
+const MAX_TOPICS_PER_REQUEST = 10;
+
+// Bybit 公共行情流 kline.{interval}.{symbol} -> Binance K线推送格式 { e: 'kline', E, k }
+function toKlineEvent(symbol, kline, eventTime) {
+    return {
+        e: 'kline',
+        E: eventTime,
+        s: symbol,
+        k: {
+            t: kline.start,
+            T: kline.end,
+            s: symbol,
+            i: fromBybitInterval(kline.interval),
+            o: kline.open,
+            c: kline.close,
+            h: kline.high,
+            l: kline.low,
+            v: kline.volume,
+            q: kline.turnover,
+            x: kline.confirm
+        }
+    };
+}
+
+// Bybit 行情连接: 连接后发送订阅请求，心跳为 {"op":"ping"} 文本消息
+// 重连、超时检测和连接状态/重连次数指标 (market="bybit") 沿用 WebSocketManager
+class BybitWebSocketManager extends WebSocketManager {
+    constructor(onMessage, streams, market = getMarket('bybit')) {
+        super(onMessage, streams, market);
+        streams.forEach(({ symbol, interval }) => {
+            this.subscriptions.add(`kline.${toBybitInterval(interval)}.${symbol}`);
+        });
+    }
+
+    getEndpoint() {
+        return this.wsUrl;
+    }
+
+    sendPing() {
+        this.ws.send(JSON.stringify({ op: 'ping' }));
+    }
+
+    handleMessage(data) {
+        try {
+            const message = JSON.parse(data);
+
+            // 心跳响应是文本消息，只有K线推送才更新 lastMessageTime，行情停止推送时由连接监控断开重连
+            if (message.op === 'pong' || message.ret_msg === 'pong') {
+                this.handlePong();
+                return;
+            }
+
+            // 订阅响应
+            if (message.op === 'subscribe') {
+                if (message.success) {
+                    logger.debug('收到订阅响应', message);
+                } else {
+                    logger.error('Bybit订阅失败', { error: message.ret_msg });
+                }
+                return;
+            }
+
+            if (message.topic && message.topic.startsWith('kline.') && this.onMessage) {
+                this.lastMessageTime = Date.now();
+                const symbol = message.topic.split('.')[2];
+                message.data.forEach(kline => this.onMessage(toKlineEvent(symbol, kline, message.ts)));
+            }
+        } catch (error) {
+            logger.error('处理WebSocket消息失败', {
+                error: error.message,
+                data: data.toString()
+            });
+        }
+    }
+
+    subscribe(channel) {
+        this.subscriptions.add(channel);
+        this.sendSubscription('subscribe', [channel]);
+    }
+
+    unsubscribe(channel) {
+        this.subscriptions.delete(channel);
+        this.sendSubscription('unsubscribe', [channel]);
+    }
+
+    resubscribe() {
+        const topics = Array.from(this.subscriptions);
+        for (let i = 0; i < topics.length; i += MAX_TOPICS_PER_REQUEST) {
+            this.sendSubscription('subscribe', topics.slice(i, i + MAX_TOPICS_PER_REQUEST));
+        }
+        logger.info('订阅K线主题', { topics });
+    }
+
+    sendSubscription(op, args) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ op, args, req_id: String(Date.now()) }));
+        }
+    }
+}
+
+module.exports = BybitWebSocketManager;
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const UNIT_MS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+// K线周期的毫秒数，月线 (1M) 长度不固定，返回 null 不做缺口检测
+function intervalToMs(interval) {
+    const match = /^(\d+)([mhdw])$/.exec(interval);
+    return match ? parseInt(match[1]) * UNIT_MS[match[2]] : null;
+}
+
+// /fapi/v1/klines 返回的数组 -> K线对象
+function fromKline(kline) {
+    return {
+        openTime: Number(kline[0]),
+        open: parseFloat(kline[1]),
+        high: parseFloat(kline[2]),
+        low: parseFloat(kline[3]),
+        close: parseFloat(kline[4]),
+        volume: parseFloat(kline[5]),
+        closeTime: Number(kline[6])
+    };
+}
+
+function toKline(candle) {
+    return [candle.openTime, candle.open, candle.high, candle.low, candle.close, candle.volume, candle.closeTime];
+}
+
+// 单个交易对单个周期的已收盘K线，按开盘时间检测缺失的K线并通过REST补齐
+// 可保存到磁盘，重启时只需补齐停机期间的K线
+class CandleStore {
+    constructor(options) {
+        this.symbol = options.symbol;
+        this.interval = options.interval;
+        this.binanceApi = options.binanceApi;
+        this.persist = options.persist !== undefined ? options.persist : config.candles.persist;
+        this.maxCandles = options.maxCandles || config.candles.maxCandles;
+        this.intervalMs = intervalToMs(this.interval);
+        this.filePath = path.join(options.dir || config.candles.dir, `${this.symbol}_${this.interval}.json`);
+        this.candles = [];
+    }
+
+    get last() {
+        return this.candles[this.candles.length - 1] || null;
+    }
+
+    getCandles(limit = this.candles.length) {
+        return this.candles.slice(-limit);
+    }
+
+    now() {
+        return typeof this.binanceApi.now === 'function' ? this.binanceApi.now() : Date.now();
+    }
+
+    load() {
+        if (!this.persist || !fs.existsSync(this.filePath)) {
+            return false;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.candles = data.candles.map(fromKline);
+            logger.debug('已读取本地K线', {
+                symbol: this.symbol,
+                interval: this.interval,
+                count: this.candles.length
+            });
+            return true;
+        } catch (error) {
+            logger.error('读取本地K线失败', {
+                error: error.message,
+                file: this.filePath
+            });
+            this.candles = [];
+            return false;
+        }
+    }
+
+    // 先写临时文件再重命名，K线用数组格式保存以减小文件体积
+    save() {
+        if (!this.persist) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpFile = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify({
+                symbol: this.symbol,
+                interval: this.interval,
+                candles: this.candles.map(toKline)
+            }));
+            fs.renameSync(tmpFile, this.filePath);
+        } catch (error) {
+            logger.error('保存K线失败', {
+                error: error.message,
+                file: this.filePath
+            });
+        }
+    }
+
+    // 启动时调用: 有本地K线且停机时间不长时只补齐缺失部分，否则重新获取最近 limit 根
+    async sync(limit) {
+        try {
+            this.load();
+            const last = this.last;
+            const now = this.now();
+
+            if (last && this.intervalMs && this.candles.length >= limit &&
+                now - last.closeTime < this.maxCandles * this.intervalMs) {
+                const missing = await this.fetch(last.openTime + this.intervalMs, now);
+                this.append(missing);
+                logger.info('本地K线已补齐', {
+                    symbol: this.symbol,
+                    interval: this.interval,
+                    backfilled: missing.length
+                });
+            } else if (this.intervalMs) {
+                this.candles = [];
+                this.append(await this.fetch(now - (limit + 1) * this.intervalMs, now));
+            } else {
+                const klines = await this.binanceApi.getHistoricalKlines(this.symbol, this.interval, limit + 1);
+                this.candles = [];
+                this.append(this.filterClosed(klines));
+            }
+
+            this.save();
+            return this.candles;
+        } catch (error) {
+            logger.error('同步K线失败', {
+                error: error.message,
+                symbol: this.symbol,
+                interval: this.interval
+            });
+            throw error;
+        }
+    }
+
+    // 分页获取 [startTime, endTime] 内已收盘的K线，单次最多获取的数量由市场决定 (合约1500，现货1000)
+    async fetch(startTime, endTime) {
+        const candles = [];
+        let from = startTime;
+
+        while (from <= endTime) {
+            const limit = Math.min(this.binanceApi.market.maxKlines, Math.ceil((endTime - from) / this.intervalMs) + 1);
+            const klines = await this.binanceApi.getHistoricalKlines(this.symbol, this.interval, limit, {
+                startTime: from,
+                endTime
+            });
+            candles.push(...this.filterClosed(klines));
+
+            if (klines.length < limit) break;
+            from = Number(klines[klines.length - 1][0]) + this.intervalMs;
+        }
+        return candles;
+    }
+
+    filterClosed(klines) {
+        const now = this.now();
+        return klines.map(fromKline).filter(candle => candle.closeTime <= now);
+    }
+
+    // 只追加比最后一根更新的K线，超过 maxCandles 时丢弃最早的
+    append(candles) {
+        const added = [];
+        for (const candle of candles) {
+            const last = this.last;
+            if (last && candle.openTime <= last.openTime) continue;
+            this.candles.push(candle);
+            added.push(candle);
+        }
+        if (this.candles.length > this.maxCandles) {
+            this.candles.splice(0, this.candles.length - this.maxCandles);
+        }
+        return added;
+    }
+
+    // 加入一根刚收盘的K线，与上一根之间有缺口时先补齐
+    // 返回按时间顺序新增的K线 (补齐的K线 + 当前K线)，重复推送时返回空数组
+    async add(candle) {
+        const last = this.last;
+        if (last && candle.openTime <= last.openTime) {
+            return [];
+        }
+
+        let missing = [];
+        if (last && this.intervalMs && candle.openTime - last.openTime > this.intervalMs) {
+            const from = last.openTime + this.intervalMs;
+            const to = candle.openTime - 1;
+            logger.warn('检测到K线缺口，开始补齐', {
+                symbol: this.symbol,
+                interval: this.interval,
+                from: new Date(from).toISOString(),
+                to: new Date(to).toISOString()
+            });
+            try {
+                missing = await this.fetch(from, to);
+            } catch (error) {
+                logger.error('补齐K线失败', {
+                    error: error.message,
+                    symbol: this.symbol,
+                    interval: this.interval
+                });
+            }
+        }
+
+        const added = this.append([...missing, candle]);
+        this.save();
+        return added;
+    }
+}
+
+module.exports = { CandleStore, intervalToMs, fromKline };
@@ -0,0 +1,312 @@
+const http = require('http');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { registry } = require('./metrics');
+
+const MAX_BODY_SIZE = 64 * 1024;
+const LOCAL_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function isThreshold(value) {
+    if (typeof value === 'number') return value >= 0;
+    if (!value || typeof value !== 'object') return false;
+    const keys = Object.keys(value);
+    return keys.length === 1 && ['percent', 'atr'].includes(keys[0]) &&
+        typeof value[keys[0]] === 'number' && value[keys[0]] > 0;
+}
+
+const isRatio = value => typeof value === 'number' && value > 0 && value < 1;
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 允许运行时修改的交易参数及校验规则
+const RUNTIME_SETTINGS = {
+    positionSize: value => typeof value === 'number' && value > 0 && value <= 1,
+    leverage: value => Number.isInteger(value) && value >= 1 && value <= 125,
+    stopLoss: isRatio,
+    takeProfit: isRatio,
+    trailingStop: isRatio,
+    minEmaDiff: isThreshold,
+    maxPriceDiff: isThreshold,
+    maxExtremeDiff: isThreshold,
+    'sizing.mode': value => ['balance', 'atr'].includes(value),
+    'sizing.riskPerTrade': value => typeof value === 'number' && value > 0 && value <= 0.1,
+    'sizing.atrMultiplier': value => typeof value === 'number' && value > 0,
+    'pyramiding.enabled': value => typeof value === 'boolean',
+    'execution.mode': value => ['market', 'chase'].includes(value)
+};
+
+// 本地HTTP控制接口: 查询状态/指标/交易记录，暂停/恢复/平仓/修改参数，/events 的SSE实时推送和 /metrics 的 Prometheus 指标
+// 所有请求都需要 token，默认只监听本机
+class ControlServer {
+    constructor(botManager, options = {}) {
+        const settings = { ...config.controlServer, ...options };
+        this.botManager = botManager;
+        this.host = settings.host;
+        this.port = settings.port;
+        this.token = settings.token;
+        this.heartbeatInterval = settings.heartbeatInterval;
+        this.server = null;
+        this.clients = new Set();     // SSE 连接
+        this.heartbeat = null;
+        this.onTick = data => this.broadcast('tick', data);
+        this.onFill = data => this.broadcast('fill', data);
+
+        this.routes = {
+            'GET /status': () => this.handleStatus(),
+            'GET /indicators': query => this.botManager.getIndicators(this.getSymbol(query.get('symbol'))),
+            'GET /trades': query => this.handleTrades(query),
+            'POST /pause': () => this.handlePause(),
+            'POST /resume': () => this.handleResume(),
+            'POST /close': (query, body) => this.handleClose(body),
+            'POST /config': (query, body) => this.handleConfig(body)
+        };
+    }
+
+    start() {
+        if (!this.token) {
+            throw new Error('控制接口未配置 token (CONTROL_TOKEN)');
+        }
+        if (!LOCAL_HOSTS.includes(this.host)) {
+            logger.warn('控制接口监听非本机地址，请确认网络访问受限', { host: this.host });
+        }
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.botManager.events.on('tick', this.onTick);
+        this.botManager.events.on('fill', this.onFill);
+        this.heartbeat = setInterval(() => {
+            this.clients.forEach(res => res.write(': ping\n\n'));
+        }, this.heartbeatInterval);
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                logger.info('控制接口已启动', { host: this.host, port: this.server.address().port });
+                resolve();
+            });
+        });
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (!this.isAuthorized(req, url)) {
+                throw new HttpError(401, '未授权');
+            }
+
+            if (req.method === 'GET' && url.pathname === '/events') {
+                this.openEventStream(req, res);
+                return;
+            }
+            if (req.method === 'GET' && url.pathname === '/metrics') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(registry.render());
+                return;
+            }
+
+            const handler = this.routes[`${req.method} ${url.pathname}`];
+            if (!handler) {
+                throw new HttpError(404, `未知接口 ${req.method} ${url.pathname}`);
+            }
+
+            const body = req.method === 'POST' ? await this.readBody(req) : {};
+            this.send(res, 200, await handler(url.searchParams, body));
+        } catch (error) {
+            const status = error.status || 500;
+            if (status >= 500) {
+                logger.error('控制接口请求失败', {
+                    method: req.method,
+                    path: url.pathname,
+                    error: error.message
+                });
+            }
+            this.send(res, status, { error: error.message });
+        }
+    }
+
+    // Authorization: Bearer <token>，浏览器 EventSource 无法设置请求头时可用 ?token=
+    isAuthorized(req, url) {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+        if (!token) return false;
+
+        const expected = Buffer.from(this.token);
+        const actual = Buffer.from(token);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+                if (body.length > MAX_BODY_SIZE) {
+                    reject(new HttpError(413, '请求体过大'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                if (!body) {
+                    resolve({});
+                    return;
+                }
+                let parsed;
+                try {
+                    parsed = JSON.parse(body);
+                } catch (error) {
+                    reject(new HttpError(400, '请求体不是有效的JSON'));
+                    return;
+                }
+                // 接口参数都是对象字段，null、数字、数组等JSON值直接拒绝
+                if (!isPlainObject(parsed)) {
+                    reject(new HttpError(400, '请求体必须是JSON对象'));
+                    return;
+                }
+                resolve(parsed);
+            });
+            req.on('error', reject);
+        });
+    }
+
+    send(res, status, data) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(data));
+    }
+
+    getSymbol(symbol) {
+        if (!symbol) return null;
+        const upper = String(symbol).toUpperCase();
+        if (!this.botManager.bots.has(upper)) {
+            throw new HttpError(404, `未配置交易对 ${upper}`);
+        }
+        return upper;
+    }
+
+    async handleStatus() {
+        const positions = await this.botManager.getPositions();
+        return {
+            ...this.botManager.getStatus(),
+            websocket: this.botManager.getWebSocketHealth(),
+            pnl: await this.botManager.getPnl(),
+            bots: this.botManager.getBotStatuses().map(status => ({
+                ...status,
+                position: positions.find(position => position.symbol === status.symbol) || null
+            }))
+        };
+    }
+
+    // ?symbol=&from=&to=&limit=，from/to 为毫秒时间戳
+    handleTrades(query) {
+        const number = key => (query.has(key) ? Number(query.get(key)) : undefined);
+        return this.botManager.getTrades({
+            symbol: this.getSymbol(query.get('symbol')),
+            from: number('from'),
+            to: number('to'),
+            limit: number('limit')
+        });
+    }
+
+    handlePause() {
+        this.botManager.pause();
+        return { paused: true };
+    }
+
+    handleResume() {
+        this.botManager.resume();
+        return { paused: false };
+    }
+
+    // { "symbol": "BTCUSDT" } 只平指定交易对，不传时平掉所有持仓
+    // 双向持仓时可加 "direction": "long" | "short" 只平一腿
+    async handleClose(body) {
+        const symbol = this.getSymbol(body.symbol);
+        const direction = body.direction || undefined;
+        if (direction && !['long', 'short'].includes(direction)) {
+            throw new HttpError(400, 'direction 只能是 long 或 short');
+        }
+        if (direction && !symbol) {
+            throw new HttpError(400, '指定 direction 时需要 symbol');
+        }
+        if (symbol) {
+            await this.botManager.closePosition(symbol, direction);
+        } else {
+            await this.botManager.closeAllPositions();
+        }
+        return { closed: symbol || 'ALL', direction: direction || null };
+    }
+
+    // { "symbol": "BTCUSDT", "settings": { "positionSize": 0.03, "sizing.mode": "atr" } }
+    // 全部参数校验通过后才修改
+    handleConfig(body) {
+        const changes = body.settings;
+        if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+            throw new HttpError(400, '缺少 settings');
+        }
+
+        for (const [key, value] of Object.entries(changes)) {
+            const validate = RUNTIME_SETTINGS[key];
+            if (!validate) {
+                throw new HttpError(400, `不支持运行时修改 ${key}，可修改: ${Object.keys(RUNTIME_SETTINGS).join(', ')}`);
+            }
+            if (!validate(value)) {
+                throw new HttpError(400, `${key} 的值 ${JSON.stringify(value)} 无效`);
+            }
+        }
+
+        const symbol = this.getSymbol(body.symbol);
+        return this.botManager.updateSettings(symbol, changes).map(({ symbol: botSymbol, settings }) => ({
+            symbol: botSymbol,
+            settings: Object.fromEntries(Object.keys(changes).map(key => {
+                const [group, field] = key.split('.');
+                return [key, field ? settings[group][field] : settings[group]];
+            }))
+        }));
+    }
+
+    openEventStream(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(': connected\n\n');
+        this.clients.add(res);
+        logger.info('SSE客户端已连接', { clients: this.clients.size });
+
+        req.on('close', () => {
+            this.clients.delete(res);
+            logger.info('SSE客户端已断开', { clients: this.clients.size });
+        });
+    }
+
+    broadcast(event, data) {
+        if (this.clients.size === 0) return;
+
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        this.clients.forEach(res => res.write(message));
+    }
+
+    async stop() {
+        if (!this.server) return;
+
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+        this.botManager.events.off('tick', this.onTick);
+        this.botManager.events.off('fill', this.onFill);
+        this.clients.forEach(res => res.end());
+        this.clients.clear();
+
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+        logger.info('控制接口已停止');
+    }
+}
+
+module.exports = ControlServer;
@@ -0,0 +1,62 @@
+// 交易所接口约定，TradingBot / BotManager / CandleStore 只通过这些方法访问交易所
+// 返回值统一为 Binance 合约接口的格式，其他交易所的实现负责转换:
+//   getHistoricalKlines(symbol, interval, limit, { startTime, endTime }) -> [[openTime, open, high, low, close, volume, closeTime], ...] 按时间升序
+//   getAccountInfo(asset) -> { asset, totalWalletBalance, availableBalance, unrealizedProfit, marginBalance, maintMargin, initialMargin, balances, positions }
+//   getCurrentPosition(symbol) -> { type: 'long' | 'short' | null, qty, leverage, entryPrice, markPrice, unrealizedProfit, legs? }
+//     支持双向持仓的合约接口在 legs: { long, short } 中分别返回两腿
+//   placeOrder(symbol, side, quantity, reduceOnly, { type, price, timeInForce, stopPrice, workingType, positionSide, ... })
+//     -> { orderId, symbol, side, type, status, origQty, executedQty, avgPrice, commission?, commissionAsset? }
+//     只挂单 (timeInForce: 'GTX') 会立即成交被拒绝时返回 status: 'EXPIRED' 的订单而不抛出错误，Bybit 挂单后才撤销，查询为 CANCELED
+//   getOrder(symbol, orderId) -> 同 placeOrder 的返回值，订单不存在时返回 null
+//   getOpenOrders(symbol) -> [{ orderId, symbol, side, type, status, reduceOnly, closePosition, stopPrice, price, origQty }]
+//   getExchangeInfo(symbol) -> { symbols: [{ symbol, baseAsset, quoteAsset, filters: [PRICE_FILTER, LOT_SIZE, MARKET_LOT_SIZE, MIN_NOTIONAL] }] }
+//   getCommissionRate(symbol) -> { symbol, makerCommissionRate, takerCommissionRate }
+//   getBookTicker(symbol) -> { symbol, bidPrice, askPrice } 买一/卖一价
+const METHODS = [
+    'getHistoricalKlines',
+    'getAccountInfo',
+    'getCurrentPosition',
+    'setLeverage',
+    'setPositionMode',
+    'placeOrder',
+    'getOrder',
+    'cancelOrder',
+    'getOpenOrders',
+    'cancelAllOrders',
+    'getCommissionRate',
+    'getExchangeInfo',
+    'getLatestPrice',
+    'getBookTicker'
+];
+
+class ExchangeApi {
+    constructor(market) {
+        this.market = market;
+    }
+
+    // entries: [{ positionSide, amount, leverage, entryPrice, markPrice, unrealizedProfit }]
+    // 按 positionSide 拆分为多空两腿，单向持仓 (BOTH) 按数量正负区分
+    // 顶层字段为数量较大的一腿，单向持仓时即为净持仓
+    buildPosition(entries) {
+        const legs = { long: null, short: null };
+        entries.forEach(({ positionSide, amount, ...fields }) => {
+            if (!amount) return;
+            const type = positionSide === 'LONG' || (positionSide !== 'SHORT' && amount > 0) ? 'long' : 'short';
+            legs[type] = { type, qty: Math.abs(amount), ...fields };
+        });
+
+        const open = [legs.long, legs.short].filter(Boolean).sort((a, b) => b.qty - a.qty);
+        if (open.length === 0) {
+            return { type: null, qty: 0, legs };
+        }
+        return { ...open[0], legs };
+    }
+}
+
+METHODS.forEach(name => {
+    ExchangeApi.prototype[name] = async function () {
+        throw new Error(`${this.constructor.name} 未实现 ${name}`);
+    };
+});
+
+module.exports = ExchangeApi;
@@ -0,0 +1,43 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const BinanceApi = require('./binanceApi');
+const BinanceSpotApi = require('./binanceSpotApi');
+const { BybitApi } = require('./bybitApi');
+const BybitWebSocketManager = require('./bybitWebSocketManager');
+const { getMarket } = require('./markets');
+const PaperBinanceApi = require('./paperBinanceApi');
+const WebSocketManager = require('./webSocketManager');
+
+function createLiveExchange(market) {
+    if (market.exchange === 'bybit') {
+        return new BybitApi(market);
+    }
+    return market.futures ? new BinanceApi(market) : new BinanceSpotApi(market);
+}
+
+// 根据配置选择实盘或模拟盘交易接口，market 为 usdm / coinm / spot / bybit
+function createExchange(mode = config.exchange.mode, marketType = config.trading.market) {
+    const market = getMarket(marketType);
+    switch (mode) {
+        case 'live':
+            return createLiveExchange(market);
+        case 'paper':
+            // 模拟撮合按U本位合约计算保证金和盈亏
+            if (market.type !== 'usdm') {
+                throw new Error(`模拟盘只支持U本位合约，不支持${market.name}`);
+            }
+            logger.info('使用模拟盘交易接口');
+            return new PaperBinanceApi();
+        default:
+            throw new Error(`未知的交易模式: ${mode}`);
+    }
+}
+
+// 行情连接，推送统一为 Binance K线格式
+function createMarketStream(onMessage, streams, market) {
+    return market.exchange === 'bybit'
+        ? new BybitWebSocketManager(onMessage, streams, market)
+        : new WebSocketManager(onMessage, streams, market);
+}
+
+module.exports = { createExchange, createMarketStream };
@@ -0,0 +1,125 @@
+const ExcelJS = require('exceljs');
+const logger = require('../utils/logger');
+
+const TRADE_COLUMNS = [
+    { header: '时间', key: 'time', width: 24 },
+    { header: '交易对', key: 'symbol', width: 12 },
+    { header: '事件', key: 'event', width: 8 },
+    { header: '方向', key: 'direction', width: 8 },
+    { header: '信号来源', key: 'source', width: 16 },
+    { header: '开仓信号', key: 'entrySource', width: 16 },
+    { header: 'EMA5', key: 'ema5', width: 12 },
+    { header: 'EMA50', key: 'ema50', width: 12 },
+    { header: '交易ID', key: 'tradeId', width: 14 },
+    { header: '订单ID', key: 'orderId', width: 14 },
+    { header: '成交价', key: 'price', width: 12 },
+    { header: '信号价', key: 'signalPrice', width: 12 },
+    { header: '开仓价', key: 'entryPrice', width: 12 },
+    { header: '数量', key: 'quantity', width: 10 },
+    { header: '杠杆', key: 'leverage', width: 8 },
+    { header: '手续费', key: 'fee', width: 10 },
+    { header: '挂单成交量', key: 'makerQty', width: 10 },
+    { header: '节省手续费', key: 'feeSavings', width: 10 },
+    { header: '已实现盈亏', key: 'realizedPnl', width: 12 },
+    { header: '模式', key: 'mode', width: 8 }
+];
+
+function sum(values) {
+    return values.reduce((total, value) => total + (value || 0), 0);
+}
+
+// 按UTC日期汇总平仓盈亏，手续费计入产生的当天
+function buildDailyRows(records) {
+    const days = new Map();
+    for (const record of records) {
+        const date = record.time.slice(0, 10);
+        const day = days.get(date) || { date, trades: 0, wins: 0, realizedPnl: 0, fees: 0 };
+        day.fees += record.fee || 0;
+        if (record.event === 'close' && typeof record.realizedPnl === 'number') {
+            day.trades++;
+            day.realizedPnl += record.realizedPnl;
+            if (record.realizedPnl > 0) day.wins++;
+        }
+        days.set(date, day);
+    }
+
+    return Array.from(days.values())
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(day => ({ ...day, netPnl: day.realizedPnl - day.fees }));
+}
+
+function buildSummaryRows(records, range) {
+    const closes = records.filter(r => r.event === 'close' && typeof r.realizedPnl === 'number');
+    const pnls = closes.map(r => r.realizedPnl);
+    const wins = pnls.filter(pnl => pnl > 0);
+    const realizedPnl = sum(pnls);
+    const fees = sum(records.map(r => r.fee));
+
+    const rows = [
+        ['开始时间', range.from],
+        ['结束时间', range.to],
+        ['平仓次数', closes.length],
+        ['盈利次数', wins.length],
+        ['胜率', closes.length > 0 ? wins.length / closes.length : 0],
+        ['已实现盈亏', realizedPnl],
+        ['手续费', fees],
+        ['挂单节省手续费', sum(records.map(r => r.feeSavings))],
+        ['净盈亏', realizedPnl - fees],
+        ['平均盈亏', closes.length > 0 ? realizedPnl / closes.length : 0],
+        ['最大盈利', pnls.length > 0 ? Math.max(...pnls) : 0],
+        ['最大亏损', pnls.length > 0 ? Math.min(...pnls) : 0],
+        [],
+        ['开仓信号', '平仓次数', '已实现盈亏']
+    ];
+
+    // 按开仓信号来源统计
+    const bySource = new Map();
+    for (const close of closes) {
+        const source = close.entrySource || '未知';
+        const stats = bySource.get(source) || { count: 0, pnl: 0 };
+        stats.count++;
+        stats.pnl += close.realizedPnl;
+        bySource.set(source, stats);
+    }
+    for (const [source, stats] of bySource.entries()) {
+        rows.push([source, stats.count, stats.pnl]);
+    }
+
+    return rows;
+}
+
+async function exportToExcel(records, outFile, range) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const tradeSheet = workbook.addWorksheet('交易记录');
+    tradeSheet.columns = TRADE_COLUMNS;
+    records.forEach(record => tradeSheet.addRow(record));
+    tradeSheet.getRow(1).font = { bold: true };
+    tradeSheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    const dailySheet = workbook.addWorksheet('每日盈亏');
+    dailySheet.columns = [
+        { header: '日期 (UTC)', key: 'date', width: 14 },
+        { header: '平仓次数', key: 'trades', width: 10 },
+        { header: '盈利次数', key: 'wins', width: 10 },
+        { header: '已实现盈亏', key: 'realizedPnl', width: 14 },
+        { header: '手续费', key: 'fees', width: 12 },
+        { header: '净盈亏', key: 'netPnl', width: 14 }
+    ];
+    buildDailyRows(records).forEach(row => dailySheet.addRow(row));
+    dailySheet.getRow(1).font = { bold: true };
+
+    const summarySheet = workbook.addWorksheet('汇总');
+    summarySheet.columns = [{ width: 16 }, { width: 24 }, { width: 14 }];
+    buildSummaryRows(records, range).forEach(row => summarySheet.addRow(row));
+    summarySheet.getCell('B5').numFmt = '0.00%';
+
+    await workbook.xlsx.writeFile(outFile);
+    logger.info('交易日志导出完成', {
+        file: outFile,
+        records: records.length
+    });
+}
+
+module.exports = { exportToExcel, buildDailyRows, buildSummaryRows };
@@ -0,0 +1,197 @@
+const config = require('../config');
+
+// 各市场的交易所、接口路径和下单参数，路径为 null 表示该市场不支持
+// inverse: 币本位合约，数量为合约张数 (每张面值 contractSize 美元)，保证金和盈亏以币结算
+// accountStream: 支持 listenKey 用户数据流
+const MARKET_TYPES = {
+    usdm: {
+        name: 'U本位合约',
+        exchange: 'binance',
+        accountStream: true,
+        futures: true,
+        inverse: false,
+        defaultAsset: 'USDT',
+        maxKlines: 1500,
+        paths: {
+            time: '/fapi/v1/time',
+            klines: '/fapi/v1/klines',
+            account: '/fapi/v2/account',
+            leverage: '/fapi/v1/leverage',
+            positionMode: '/fapi/v1/positionSide/dual',
+            order: '/fapi/v1/order',
+            openOrders: '/fapi/v1/openOrders',
+            allOpenOrders: '/fapi/v1/allOpenOrders',
+            listenKey: '/fapi/v1/listenKey',
+            commissionRate: '/fapi/v1/commissionRate',
+            exchangeInfo: '/fapi/v1/exchangeInfo',
+            tickerPrice: '/fapi/v1/ticker/price',
+            bookTicker: '/fapi/v1/ticker/bookTicker'
+        },
+        orderOptions: ['price', 'timeInForce', 'stopPrice', 'callbackRate', 'activationPrice', 'workingType', 'positionSide'],
+        protectiveOrderTypes: {
+            stopLoss: 'STOP_MARKET',
+            takeProfit: 'TAKE_PROFIT_MARKET',
+            trailingStop: 'TRAILING_STOP_MARKET'
+        }
+    },
+    coinm: {
+        name: '币本位合约',
+        exchange: 'binance',
+        accountStream: true,
+        futures: true,
+        inverse: true,
+        defaultAsset: 'BTC',
+        maxKlines: 1500,
+        paths: {
+            time: '/dapi/v1/time',
+            klines: '/dapi/v1/klines',
+            account: '/dapi/v1/account',
+            leverage: '/dapi/v1/leverage',
+            positionMode: '/dapi/v1/positionSide/dual',
+            order: '/dapi/v1/order',
+            openOrders: '/dapi/v1/openOrders',
+            allOpenOrders: '/dapi/v1/allOpenOrders',
+            listenKey: '/dapi/v1/listenKey',
+            commissionRate: '/dapi/v1/commissionRate',
+            exchangeInfo: '/dapi/v1/exchangeInfo',
+            tickerPrice: '/dapi/v1/ticker/price',
+            bookTicker: '/dapi/v1/ticker/bookTicker'
+        },
+        orderOptions: ['price', 'timeInForce', 'stopPrice', 'callbackRate', 'activationPrice', 'workingType', 'positionSide'],
+        protectiveOrderTypes: {
+            stopLoss: 'STOP_MARKET',
+            takeProfit: 'TAKE_PROFIT_MARKET',
+            trailingStop: 'TRAILING_STOP_MARKET'
+        }
+    },
+    // 现货没有杠杆和 reduceOnly，只能做多，持仓为基础资产余额
+    // 挂单会冻结余额，同时只能挂一个保护单，因此只挂止损单
+    spot: {
+        name: '现货',
+        exchange: 'binance',
+        accountStream: false,
+        futures: false,
+        inverse: false,
+        defaultAsset: 'USDT',
+        maxKlines: 1000,
+        paths: {
+            time: '/api/v3/time',
+            klines: '/api/v3/klines',
+            account: '/api/v3/account',
+            leverage: null,
+            positionMode: null,
+            order: '/api/v3/order',
+            openOrders: '/api/v3/openOrders',
+            allOpenOrders: '/api/v3/openOrders',
+            listenKey: null,
+            commissionRate: '/api/v3/account/commission',
+            exchangeInfo: '/api/v3/exchangeInfo',
+            tickerPrice: '/api/v3/ticker/price',
+            bookTicker: '/api/v3/ticker/bookTicker'
+        },
+        orderOptions: ['price', 'timeInForce', 'stopPrice', 'trailingDelta'],
+        protectiveOrderTypes: {
+            stopLoss: 'STOP_LOSS',
+            takeProfit: null,
+            trailingStop: null
+        }
+    },
+    // Bybit USDT永续 (v5 接口 category=linear)，下单参数和返回值由 BybitApi 转换为 Binance 格式
+    // 追踪止损是持仓属性而不是订单，不挂追踪止损单
+    bybit: {
+        name: 'Bybit USDT永续',
+        exchange: 'bybit',
+        accountStream: false,
+        futures: true,
+        inverse: false,
+        defaultAsset: 'USDT',
+        maxKlines: 1000,
+        paths: {
+            time: '/v5/market/time',
+            klines: '/v5/market/kline',
+            account: '/v5/account/wallet-balance',
+            positions: '/v5/position/list',
+            leverage: '/v5/position/set-leverage',
+            positionMode: '/v5/position/switch-mode',
+            order: '/v5/order/create',
+            cancelOrder: '/v5/order/cancel',
+            openOrders: '/v5/order/realtime',
+            orderHistory: '/v5/order/history',
+            allOpenOrders: '/v5/order/cancel-all',
+            listenKey: null,
+            commissionRate: '/v5/account/fee-rate',
+            exchangeInfo: '/v5/market/instruments-info',
+            tickerPrice: '/v5/market/tickers',
+            bookTicker: '/v5/market/tickers'
+        },
+        orderOptions: ['price', 'timeInForce', 'stopPrice', 'workingType', 'positionSide'],
+        protectiveOrderTypes: {
+            stopLoss: 'STOP_MARKET',
+            takeProfit: 'TAKE_PROFIT_MARKET',
+            trailingStop: null
+        }
+    }
+};
+
+class Market {
+    constructor(type) {
+        const definition = MARKET_TYPES[type];
+        if (!definition) {
+            throw new Error(`未知的市场类型: ${type}，可选: ${Object.keys(MARKET_TYPES).join(' / ')}`);
+        }
+        // 接口地址和请求权重上限来自配置
+        Object.assign(this, definition, config.markets[type]);
+        this.type = type;
+    }
+
+    path(name) {
+        const path = this.paths[name];
+        if (!path) {
+            throw new Error(`${this.name}不支持 ${name} 接口`);
+        }
+        return path;
+    }
+
+    // 保证金资产: 币本位为标的币 (BTCUSD_PERP -> BTC)，其他市场为计价资产
+    getMarginAsset(symbol) {
+        if (this.inverse) {
+            const match = /^([A-Z0-9]+?)USD_/.exec(symbol);
+            if (match) return match[1];
+        }
+        return this.defaultAsset;
+    }
+
+    // 价值 value (以保证金资产计) 在 price 时对应的下单数量
+    getQuantity(value, price, contractSize = 1) {
+        return this.inverse ? (value * price) / contractSize : value / price;
+    }
+
+    // 以保证金资产计的盈亏
+    calculatePnl(direction, entryPrice, exitPrice, quantity, contractSize = 1) {
+        const sign = direction === 'long' ? 1 : -1;
+        if (this.inverse) {
+            return sign * quantity * contractSize * (1 / entryPrice - 1 / exitPrice);
+        }
+        return sign * (exitPrice - entryPrice) * quantity;
+    }
+
+    // 加仓后的平均开仓价，币本位按价格倒数加权
+    averagePrice(entryPrice, quantity, fillPrice, fillQuantity) {
+        const totalQuantity = quantity + fillQuantity;
+        if (this.inverse) {
+            return totalQuantity / (quantity / entryPrice + fillQuantity / fillPrice);
+        }
+        return (entryPrice * quantity + fillPrice * fillQuantity) / totalQuantity;
+    }
+}
+
+const markets = new Map();
+
+function getMarket(type = config.trading.market) {
+    if (!markets.has(type)) {
+        markets.set(type, new Market(type));
+    }
+    return markets.get(type);
+}
+
+module.exports = { Market, getMarket };
@@ -0,0 +1,153 @@
+// Prometheus 文本格式的指标收集，由控制接口的 /metrics 输出
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();      // 标签组合 -> 值
+    }
+
+    // 按 labelNames 的顺序取标签，保证同一组合对应同一个 key
+    getKey(labels) {
+        return JSON.stringify(this.labelNames.map(name => {
+            if (labels[name] === undefined) {
+                throw new Error(`指标 ${this.name} 缺少标签 ${name}`);
+            }
+            return String(labels[name]);
+        }));
+    }
+
+    parseKey(key) {
+        const values = JSON.parse(key);
+        return Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const [key, value] of this.values) {
+            lines.push(...this.renderValue(this.parseKey(key), value));
+        }
+        return lines.join('\n');
+    }
+
+    renderValue(labels, value) {
+        return [`${this.name}${formatLabels(labels)} ${value}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = this.getKey(labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.values.set(this.getKey(labels), value);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const key = this.getKey(labels);
+        if (!this.values.has(key)) {
+            this.values.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+
+        const data = this.values.get(key);
+        this.buckets.forEach((bucket, index) => {
+            if (value <= bucket) data.counts[index]++;
+        });
+        data.sum += value;
+        data.count++;
+    }
+
+    renderValue(labels, data) {
+        return [
+            ...this.buckets.map((bucket, index) =>
+                `${this.name}_bucket${formatLabels({ ...labels, le: bucket })} ${data.counts[index]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${data.count}`,
+            `${this.name}_sum${formatLabels(labels)} ${data.sum}`,
+            `${this.name}_count${formatLabels(labels)} ${data.count}`
+        ];
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        return `${this.metrics.map(metric => metric.render()).join('\n\n')}\n`;
+    }
+}
+
+const registry = new MetricsRegistry();
+
+const metrics = {
+    ticks: registry.counter('cytrade_ticks_total', '处理的K线推送数', ['symbol']),
+    lastTick: registry.gauge('cytrade_last_tick_timestamp_seconds', '最近一次处理K线推送的时间', ['symbol']),
+    signalEvaluations: registry.counter('cytrade_signal_evaluations_total', '策略信号计算次数', ['symbol']),
+    signals: registry.counter('cytrade_signals_total', '策略产生的交易意图数', ['symbol', 'action']),
+    orders: registry.counter('cytrade_orders_total', '订单数，status 为 sent / filled / rejected', ['symbol', 'type', 'status']),
+    restDuration: registry.histogram(
+        'cytrade_rest_request_duration_seconds',
+        '交易所 REST 请求耗时，operation 为发起请求的接口方法',
+        ['market', 'operation'],
+        [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+    ),
+    restRequests: registry.counter('cytrade_rest_requests_total', '交易所 REST 请求数，status 为HTTP状态码或 error', ['market', 'operation', 'status']),
+    usedWeight: registry.gauge('cytrade_rest_used_weight', '当前分钟已使用的请求权重', ['market']),
+    wsConnected: registry.gauge('cytrade_websocket_connected', 'WebSocket 是否已连接', ['market']),
+    wsReconnects: registry.counter('cytrade_websocket_reconnects_total', 'WebSocket 重连次数', ['market']),
+    wsLag: registry.gauge('cytrade_websocket_message_lag_seconds', '最近一条推送的事件时间到收到的延迟', ['symbol']),
+    positionSize: registry.gauge('cytrade_position_size', '持仓数量，多空两腿按 side 分别记录，空仓为负数', ['symbol', 'side']),
+    unrealizedPnl: registry.gauge('cytrade_unrealized_pnl', '持仓未实现盈亏，以保证金资产计', ['symbol']),
+    equity: registry.gauge('cytrade_equity', '账户权益，以保证金资产计', ['market', 'asset'])
+};
+
+module.exports = { MetricsRegistry, registry, metrics };
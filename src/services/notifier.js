@@ -0,0 +1,142 @@
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { builders, checkResponse } = require('./notifySinks');
+
+const EVENTS = ['open', 'close', 'error', 'risk-breach', 'info'];
+
+// 通知推送: 每个渠道单独排队发送，失败按指数退避重试
+// notify 只负责入队，不等待发送结果，慢渠道不会阻塞交易流程
+class Notifier {
+    constructor(settings = config.notifier) {
+        this.settings = settings;
+        this.sinks = (settings.sinks || [])
+            .filter(sink => sink.enabled !== false)
+            .map((sink, index) => {
+                if (!builders[sink.type]) {
+                    throw new Error(`不支持的通知类型 ${sink.type}`);
+                }
+                if (!sink.url) {
+                    throw new Error(`通知渠道 ${sink.name || sink.type} 未配置 url`);
+                }
+                return {
+                    ...sink,
+                    name: sink.name || `${sink.type}-${index + 1}`,
+                    events: sink.events || EVENTS,
+                    queue: [],
+                    running: false
+                };
+            });
+    }
+
+    notify(event, text, data = {}) {
+        for (const sink of this.sinks) {
+            if (!sink.events.includes(event)) continue;
+
+            if (sink.queue.length >= this.settings.queueSize) {
+                const dropped = sink.queue.shift();
+                logger.warn('通知队列已满，丢弃最早的消息', {
+                    sink: sink.name,
+                    event: dropped.event
+                });
+            }
+
+            sink.queue.push({
+                event,
+                text: this.render(sink, event, text, data),
+                data
+            });
+            this.process(sink);
+        }
+    }
+
+    // 模板支持 {{text}} {{event}} {{time}} 以及 data 中的字段
+    render(sink, event, text, data) {
+        let template = sink.template;
+        if (template && typeof template === 'object') {
+            template = template[event] || template.default;
+        }
+        if (!template) {
+            return text;
+        }
+
+        const values = { ...data, event, text, time: new Date().toISOString() };
+        return template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+            values[key] === undefined || values[key] === null ? '' : String(values[key]));
+    }
+
+    async process(sink) {
+        if (sink.running) return;
+        sink.running = true;
+
+        try {
+            while (sink.queue.length > 0) {
+                const message = sink.queue.shift();
+                await this.sendWithRetry(sink, message);
+            }
+        } finally {
+            sink.running = false;
+        }
+    }
+
+    async sendWithRetry(sink, message) {
+        const { retries, retryDelay } = this.settings;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            try {
+                await this.send(sink, message);
+                return;
+            } catch (error) {
+                if (attempt === retries) {
+                    logger.error('通知发送失败', {
+                        sink: sink.name,
+                        event: message.event,
+                        error: error.message
+                    });
+                    return;
+                }
+
+                const delay = retryDelay * Math.pow(2, attempt);
+                logger.warn('通知发送失败，准备重试', {
+                    sink: sink.name,
+                    attempt: attempt + 1,
+                    delay,
+                    error: error.message
+                });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async send(sink, message) {
+        const request = builders[sink.type](sink, message.text, message.event, message.data);
+        const response = await axios.post(request.url, request.body, {
+            headers: request.headers,
+            timeout: this.settings.timeout
+        });
+        checkResponse(sink.type, response.data);
+    }
+
+    // 退出前等待队列发送完成，最多等待 timeout 毫秒
+    async flush(timeout = this.settings.timeout) {
+        const deadline = Date.now() + timeout;
+        while (this.sinks.some(sink => sink.running) && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+}
+
+let defaultNotifier = null;
+
+function getNotifier() {
+    if (!defaultNotifier) {
+        defaultNotifier = new Notifier();
+    }
+    return defaultNotifier;
+}
+
+function notify(event, text, data) {
+    getNotifier().notify(event, text, data);
+}
+
+module.exports = { Notifier, getNotifier, notify, EVENTS };
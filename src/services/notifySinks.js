@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// 各类通知渠道的请求格式，返回 { url, body, headers }
+// 钉钉和飞书的 secret 为机器人的加签密钥，通用 webhook 的 secret 用于 HMAC 签名请求体
+
+function buildWebhook(sink, text, event, data) {
+    const body = JSON.stringify({
+        event,
+        text,
+        data,
+        timestamp: Date.now()
+    });
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (sink.secret) {
+        const signature = crypto.createHmac('sha256', sink.secret).update(body).digest('hex');
+        headers[sink.signatureHeader || 'X-Signature'] = `sha256=${signature}`;
+    }
+    return { url: sink.url, body, headers };
+}
+
+function buildDiscord(sink, text) {
+    return { url: sink.url, body: { content: text } };
+}
+
+function buildSlack(sink, text) {
+    return { url: sink.url, body: { text } };
+}
+
+function buildDingTalk(sink, text) {
+    let url = sink.url;
+    if (sink.secret) {
+        const timestamp = Date.now();
+        const sign = crypto.createHmac('sha256', sink.secret)
+            .update(`${timestamp}\n${sink.secret}`)
+            .digest('base64');
+        url += `${url.includes('?') ? '&' : '?'}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`;
+    }
+    return { url, body: { msgtype: 'text', text: { content: text } } };
+}
+
+function buildWeCom(sink, text) {
+    return { url: sink.url, body: { msgtype: 'text', text: { content: text } } };
+}
+
+function buildFeishu(sink, text) {
+    const body = { msg_type: 'text', content: { text } };
+    if (sink.secret) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        body.timestamp = String(timestamp);
+        body.sign = crypto.createHmac('sha256', `${timestamp}\n${sink.secret}`)
+            .update('')
+            .digest('base64');
+    }
+    return { url: sink.url, body };
+}
+
+const builders = {
+    webhook: buildWebhook,
+    discord: buildDiscord,
+    slack: buildSlack,
+    dingtalk: buildDingTalk,
+    wecom: buildWeCom,
+    feishu: buildFeishu
+};
+
+// 钉钉/企业微信返回 errcode，飞书返回 code，HTTP 200 也可能发送失败
+function checkResponse(type, data) {
+    if (!data || typeof data !== 'object') return;
+
+    if (data.errcode !== undefined && data.errcode !== 0) {
+        throw new Error(`${type} 返回错误: ${data.errcode} ${data.errmsg || ''}`);
+    }
+    if (type === 'feishu' && data.code !== undefined && data.code !== 0) {
+        throw new Error(`${type} 返回错误: ${data.code} ${data.msg || ''}`);
+    }
+}
+
+module.exports = { builders, checkResponse };
@@ -0,0 +1,280 @@
+const logger = require('../utils/logger');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 挂单期间查询成交状态的间隔 (毫秒)
+const POLL_INTERVAL = 1000;
+const OPEN_STATUSES = ['NEW', 'PARTIALLY_FILLED'];
+// 撤单后查询不到订单 (已归档) 时重新查询的次数
+const CANCEL_QUERY_ATTEMPTS = 3;
+// 只挂单连续被拒绝的次数上限，超过后剩余数量按 marketFallback 处理
+const MAX_REJECTIONS = 5;
+
+// 开仓/加仓的下单执行
+// market: 直接市价单
+// chase: 在买一/卖一挂只挂单 (GTX)，每隔 chaseInterval 按最新盘口撤单重挂，挂单价不超过首次挂单价的 maxChase 比例，
+//        超过 timeout 仍未完全成交时剩余数量以市价单成交 (marketFallback)
+//        只挂单被拒绝时等待 chaseInterval 后重挂，连续被拒绝 MAX_REJECTIONS 次时提前结束追单
+// 成交明细按手续费率估算 maker 相对 taker 节省的手续费
+class OrderExecutor {
+    constructor(options) {
+        this.exchange = options.exchange;
+        this.symbol = options.symbol;
+        this.market = this.exchange.market;
+        this.logger = options.logger || logger;
+        this.placeOrder = options.placeOrder;   // (side, quantity, reduceOnly, options) 统计订单数的下单方法
+        this.getFill = options.getFill;         // (order, fallbackPrice) 市价单的成交均价和手续费
+        this.commissionRate = null;
+    }
+
+    // 返回 { orderId, avgPrice, executedQty, commission, commissionAsset, makerQty, takerQty, feeSavings }
+    // 市价单成交数量未知时 executedQty/takerQty 为 null，由调用方按持仓确认
+    async execute(side, quantity, currentPrice, rules, settings, orderOptions = {}) {
+        if (settings.mode !== 'chase') {
+            return this.executeMarket(side, quantity, currentPrice, orderOptions);
+        }
+
+        let book;
+        try {
+            book = await this.exchange.getBookTicker(this.symbol);
+        } catch (error) {
+            this.logger.warn('获取盘口失败，改用市价单', { error: error.message });
+            return this.executeMarket(side, quantity, currentPrice, orderOptions);
+        }
+        return this.chase(side, quantity, currentPrice, rules, settings, orderOptions, book);
+    }
+
+    async executeMarket(side, quantity, currentPrice, orderOptions) {
+        const order = await this.placeOrder(side, quantity, false, orderOptions);
+        const fill = await this.getFill(order, currentPrice);
+        return {
+            orderId: order.orderId,
+            ...fill,
+            makerQty: 0,
+            takerQty: fill.executedQty,
+            feeSavings: 0
+        };
+    }
+
+    async chase(side, quantity, currentPrice, rules, settings, orderOptions, book) {
+        const buy = side === 'BUY';
+        const deadline = Date.now() + settings.timeout;
+        const startPrice = buy ? book.bidPrice : book.askPrice;
+        const limitPrice = startPrice * (1 + (buy ? 1 : -1) * settings.maxChase);
+        // 买单向下、卖单向上取整，避免挂单价穿过盘口被拒绝
+        const formatPrice = price => rules.formatPrice(price, buy ? 'down' : 'up');
+        const fills = [];   // { quantity, price, maker }
+        let price = formatPrice(startPrice);
+        let orderId = null;
+        let orders = 0;
+        let rejections = 0;
+        let unknownFill = null;  // 成交数量未知的市价补单
+        let active = null;  // 未结束的挂单
+
+        try {
+            while (Date.now() < deadline) {
+                if (!active) {
+                    const orderQuantity = rules.roundQuantity(quantity - this.sumQuantity(fills), false);
+                    if (orderQuantity < rules.minQty) break;
+
+                    const order = await this.placeOrder(side, orderQuantity, false, {
+                        ...orderOptions,
+                        type: 'LIMIT',
+                        timeInForce: 'GTX',
+                        price
+                    });
+                    orders++;
+                    orderId = orderId || order.orderId;
+                    active = order.orderId ? order : null;
+                    if (!active) {
+                        rejections++;
+                        if (rejections >= MAX_REJECTIONS) {
+                            this.logger.warn('只挂单连续被拒绝，停止追单', { price, rejections });
+                            break;
+                        }
+                        this.logger.debug('只挂单被拒绝，等待后按最新盘口重新挂单', { price, rejections });
+                        await sleep(Math.max(0, Math.min(settings.chaseInterval, deadline - Date.now())));
+                    } else {
+                        rejections = 0;
+                    }
+                }
+
+                if (active) {
+                    const result = await this.waitForOrder(active, Math.min(Date.now() + settings.chaseInterval, deadline));
+                    if (!OPEN_STATUSES.includes(result.status)) {
+                        active = null;
+                        this.recordFill(fills, result, price);
+                        if (result.status === 'FILLED') break;
+                    }
+                }
+
+                // 按最新盘口重新定价，不超过最大追价距离，价格不变时保留挂单
+                const next = await this.exchange.getBookTicker(this.symbol);
+                const nextPrice = formatPrice(buy ? Math.min(next.bidPrice, limitPrice) : Math.max(next.askPrice, limitPrice));
+                if (active && nextPrice !== price) {
+                    this.recordFill(fills, await this.cancel(active), price);
+                    active = null;
+                }
+                price = nextPrice;
+            }
+            if (active) {
+                this.recordFill(fills, await this.cancel(active), price);
+                active = null;
+            }
+        } catch (error) {
+            this.logger.error('限价追单失败', { error: error.message });
+            if (active) {
+                active = await this.cancelAfterError(active, fills, price);
+            }
+        }
+
+        // 挂单未确认撤销或成交数量未知时不能补单，否则可能重复成交，成交数量由调用方按持仓确认
+        if (active) {
+            this.logger.warn('挂单状态未知，不再市价补单，成交数量按持仓确认', { orderId: active.orderId });
+            unknownFill = { orderId: active.orderId, price };
+        }
+
+        let remaining = rules.roundQuantity(quantity - this.sumQuantity(fills));
+        if (!active && remaining > 0 && remaining >= rules.marketMinQty) {
+            if (!settings.marketFallback) {
+                this.logger.warn('限价单超时未完全成交，放弃剩余数量', { remaining });
+            } else {
+                try {
+                    const order = await this.placeOrder(side, remaining, false, orderOptions);
+                    const fill = await this.getFill(order, currentPrice);
+                    orders++;
+                    orderId = orderId || order.orderId;
+                    if (fill.executedQty === null) {
+                        unknownFill = { orderId: order.orderId, price: fill.avgPrice };
+                    } else if (fill.executedQty > 0) {
+                        fills.push({ quantity: fill.executedQty, price: fill.avgPrice, maker: false });
+                    }
+                    remaining = 0;
+                } catch (error) {
+                    // 已有部分成交时按已成交数量继续，由调用方挂保护单
+                    if (fills.length === 0) throw error;
+                    this.logger.error('市价补单失败，按已成交数量处理', { remaining, error: error.message });
+                }
+            }
+        }
+        if (fills.length === 0 && !unknownFill) {
+            throw new Error(`限价单 ${settings.timeout}ms 内未成交`);
+        }
+
+        return this.summarize(orderId, fills, orders, rules, unknownFill);
+    }
+
+    // 等到挂单结束或到达 until，返回最新的订单状态
+    async waitForOrder(order, until) {
+        let result = order;
+        while (OPEN_STATUSES.includes(result.status) && Date.now() < until) {
+            await sleep(Math.min(POLL_INTERVAL, until - Date.now()));
+            result = await this.exchange.getOrder(this.symbol, order.orderId) || result;
+        }
+        return result;
+    }
+
+    // 撤单前可能又有成交，以撤单后查询的数量为准
+    // 订单归档后可能查询不到，重试后按成交回报确认，仍无法确认成交数量时抛出，不能当作未成交
+    async cancel(order) {
+        await this.exchange.cancelOrder(this.symbol, order.orderId);
+        for (let attempt = 1; attempt <= CANCEL_QUERY_ATTEMPTS; attempt++) {
+            const result = await this.exchange.getOrder(this.symbol, order.orderId);
+            if (result) return result;
+            if (attempt < CANCEL_QUERY_ATTEMPTS) {
+                await sleep(POLL_INTERVAL);
+            }
+        }
+
+        const fill = await this.getFill(order, parseFloat(order.price));
+        if (fill.executedQty === null) {
+            throw new Error(`撤单后查询不到订单 ${order.orderId}，成交数量未知`);
+        }
+        return { ...order, status: 'CANCELED', executedQty: String(fill.executedQty), avgPrice: String(fill.avgPrice) };
+    }
+
+    // 追单出错时撤单，撤单失败时重新查询订单保留已成交数量
+    // 返回仍可能挂着的订单，已确认结束时返回 null
+    async cancelAfterError(order, fills, price) {
+        try {
+            this.recordFill(fills, await this.cancel(order), price);
+            return null;
+        } catch (error) {
+            this.logger.error('撤单失败', { orderId: order.orderId, error: error.message });
+        }
+        try {
+            const result = await this.exchange.getOrder(this.symbol, order.orderId);
+            if (result) {
+                this.recordFill(fills, result, price);
+                if (!OPEN_STATUSES.includes(result.status)) return null;
+            }
+        } catch (error) {
+            this.logger.error('查询订单失败', { orderId: order.orderId, error: error.message });
+        }
+        return order;
+    }
+
+    recordFill(fills, order, price) {
+        const executedQty = parseFloat(order.executedQty) || 0;
+        if (executedQty > 0) {
+            fills.push({ quantity: executedQty, price: parseFloat(order.avgPrice) || price, maker: true });
+            this.logger.info('限价单成交', { orderId: order.orderId, status: order.status, executedQty, price: order.avgPrice });
+        }
+    }
+
+    sumQuantity(fills) {
+        return fills.reduce((total, fill) => total + fill.quantity, 0);
+    }
+
+    async getCommissionRate() {
+        if (!this.commissionRate) {
+            const rates = await this.exchange.getCommissionRate(this.symbol);
+            this.commissionRate = {
+                maker: parseFloat(rates.makerCommissionRate),
+                taker: parseFloat(rates.takerCommissionRate)
+            };
+        }
+        return this.commissionRate;
+    }
+
+    // 手续费按费率估算，以保证金资产计
+    // 有成交数量未知的补单时 executedQty/takerQty 为 null
+    async summarize(orderId, fills, orders, rules, unknownFill = null) {
+        const rates = await this.getCommissionRate();
+        const notional = fill => this.market.inverse
+            ? fill.quantity * rules.contractSize / fill.price
+            : fill.quantity * fill.price;
+
+        let executedQty = 0;
+        let avgPrice = 0;
+        let commission = 0;
+        let feeSavings = 0;
+        let makerQty = 0;
+        for (const fill of fills) {
+            avgPrice = executedQty === 0 ? fill.price : this.market.averagePrice(avgPrice, executedQty, fill.price, fill.quantity);
+            executedQty += fill.quantity;
+            commission += notional(fill) * (fill.maker ? rates.maker : rates.taker);
+            if (fill.maker) {
+                makerQty += fill.quantity;
+                feeSavings += notional(fill) * (rates.taker - rates.maker);
+            }
+        }
+        executedQty = rules.roundQuantity(executedQty, false);
+
+        const summary = {
+            orderId,
+            avgPrice: avgPrice || (unknownFill ? unknownFill.price : 0),
+            executedQty: unknownFill ? null : executedQty,
+            commission,
+            commissionAsset: this.market.getMarginAsset(this.symbol),
+            realizedProfit: null,
+            makerQty: rules.roundQuantity(makerQty, false),
+            takerQty: unknownFill ? null : rules.roundQuantity(executedQty - makerQty, false),
+            feeSavings
+        };
+        this.logger.info('限价追单完成', { orders, ...summary });
+        return summary;
+    }
+}
+
+module.exports = OrderExecutor;
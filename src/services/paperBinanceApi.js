@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const BinanceApi = require('./binanceApi');
+const { getMarket } = require('./markets');
+const SimulatedExchange = require('./simulatedExchange');
+
+// 模拟盘交易接口: 行情来自实盘，订单在本地撮合，状态保存到本地文件
+class PaperBinanceApi extends SimulatedExchange {
+    constructor(options = {}) {
+        const settings = { ...config.exchange.paper, ...options };
+        super(settings);
+
+        this.marketApi = options.marketApi || new BinanceApi(getMarket('usdm'));
+        this.stateFile = settings.stateFile;
+        this.priceMaxAge = settings.priceMaxAge;
+        this.priceTimes = new Map();
+        this.exchangeInfo = null;
+
+        this.loadState();
+    }
+
+    now() {
+        return Date.now();
+    }
+
+    loadState() {
+        try {
+            if (!fs.existsSync(this.stateFile)) {
+                logger.info('模拟盘使用初始资金', { balance: this.initialBalance });
+                return;
+            }
+
+            const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            this.initialBalance = state.initialBalance;
+            this.walletBalance = state.walletBalance;
+            this.totalFees = state.totalFees;
+            this.nextOrderId = state.nextOrderId;
+            this.positions = new Map(Object.entries(state.positions));
+            this.leverages = new Map(Object.entries(state.leverages));
+            this.openTrades = new Map(Object.entries(state.openTrades));
+            this.openOrders = state.openOrders || [];
+            this.trades = state.trades;
+
+            logger.info('模拟盘状态已恢复', {
+                walletBalance: this.walletBalance,
+                positions: state.positions
+            });
+        } catch (error) {
+            logger.error('读取模拟盘状态失败', {
+                error: error.message,
+                file: this.stateFile
+            });
+            throw error;
+        }
+    }
+
+    onStateChange() {
+        try {
+            const state = {
+                initialBalance: this.initialBalance,
+                walletBalance: this.walletBalance,
+                totalFees: this.totalFees,
+                nextOrderId: this.nextOrderId,
+                positions: Object.fromEntries(this.positions),
+                leverages: Object.fromEntries(this.leverages),
+                openTrades: Object.fromEntries(this.openTrades),
+                openOrders: this.openOrders,
+                trades: this.trades,
+                updateTime: this.now()
+            };
+
+            fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+            const tmpFile = `${this.stateFile}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+            fs.renameSync(tmpFile, this.stateFile);
+        } catch (error) {
+            logger.error('保存模拟盘状态失败', {
+                error: error.message,
+                file: this.stateFile
+            });
+        }
+    }
+
+    updateMarkPrice(symbol, price) {
+        this.priceTimes.set(symbol, Date.now());
+        super.updateMarkPrice(symbol, price);
+    }
+
+    // 推送价格过期或缺失时从REST接口补充
+    async refreshPrice(symbol) {
+        const updatedAt = this.priceTimes.get(symbol);
+        if (updatedAt && Date.now() - updatedAt <= this.priceMaxAge) {
+            return this.getPrice(symbol);
+        }
+
+        const price = await this.marketApi.getLatestPrice(symbol);
+        this.updateMarkPrice(symbol, price);
+        return price;
+    }
+
+    async refreshPositionPrices() {
+        for (const [symbol, position] of this.positions.entries()) {
+            if (position.amount !== 0) {
+                await this.refreshPrice(symbol);
+            }
+        }
+    }
+
+    async getSymbolRules(symbol) {
+        const exchangeInfo = await this.getExchangeInfo(symbol);
+        const symbolInfo = exchangeInfo.symbols.find(s => s.symbol === symbol);
+        if (!symbolInfo) {
+            throw new Error(`未找到交易对 ${symbol} 的信息`);
+        }
+
+        const lotSizeFilter = symbolInfo.filters.find(f => f.filterType === 'LOT_SIZE');
+        const priceFilter = symbolInfo.filters.find(f => f.filterType === 'PRICE_FILTER');
+        return {
+            stepSize: parseFloat(lotSizeFilter.stepSize),
+            minQty: parseFloat(lotSizeFilter.minQty),
+            tickSize: parseFloat(priceFilter.tickSize)
+        };
+    }
+
+    async getHistoricalKlines(symbol, interval, limit, options) {
+        return this.marketApi.getHistoricalKlines(symbol, interval, limit, options);
+    }
+
+    async getAccountInfo() {
+        await this.refreshPositionPrices();
+        return super.getAccountInfo();
+    }
+
+    async getCurrentPosition(symbol) {
+        await this.refreshPositionPrices();
+        return super.getCurrentPosition(symbol);
+    }
+
+    async setLeverage(symbol, leverage) {
+        logger.info('模拟盘设置杠杆倍数', { symbol, leverage });
+        return super.setLeverage(symbol, leverage);
+    }
+
+    async placeOrder(symbol, side, quantity, reduceOnly = false, options = {}) {
+        try {
+            await this.refreshPrice(symbol);
+            await this.refreshPositionPrices();
+            const order = await super.placeOrder(symbol, side, quantity, reduceOnly, options);
+
+            logger.info('模拟盘下单成功', {
+                symbol,
+                side,
+                type: order.type,
+                quantity: order.origQty,
+                stopPrice: options.stopPrice,
+                price: order.avgPrice,
+                reduceOnly,
+                orderId: order.orderId
+            });
+
+            return order;
+        } catch (error) {
+            logger.error('模拟盘下单失败', {
+                error: error.message,
+                params: {
+                    symbol,
+                    side,
+                    quantity,
+                    reduceOnly,
+                    ...options
+                }
+            });
+            throw error;
+        }
+    }
+
+    // 缓存完整的交易所信息，按交易对过滤后返回
+    async getExchangeInfo(symbol) {
+        if (!this.exchangeInfo) {
+            this.exchangeInfo = await this.marketApi.getExchangeInfo();
+        }
+        if (!symbol) {
+            return this.exchangeInfo;
+        }
+        return {
+            ...this.exchangeInfo,
+            symbols: this.exchangeInfo.symbols.filter(s => s.symbol === symbol)
+        };
+    }
+
+    async getLatestPrice(symbol) {
+        return this.refreshPrice(symbol);
+    }
+}
+
+module.exports = PaperBinanceApi;
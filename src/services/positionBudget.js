@@ -0,0 +1,54 @@
+const logger = require('../utils/logger');
+
+// 所有交易对共享的持仓额度，总数不超过 maxPositions
+class PositionBudget {
+    constructor(maxPositions) {
+        this.maxPositions = maxPositions;
+        this.holdings = new Map(); // symbol -> 占用的额度
+    }
+
+    used() {
+        let total = 0;
+        for (const count of this.holdings.values()) {
+            total += count;
+        }
+        return total;
+    }
+
+    available() {
+        return Math.max(0, this.maxPositions - this.used());
+    }
+
+    tryAcquire(symbol, count = 1) {
+        if (this.used() + count > this.maxPositions) {
+            return false;
+        }
+        this.holdings.set(symbol, (this.holdings.get(symbol) || 0) + count);
+        logger.debug('占用持仓额度', {
+            symbol,
+            used: this.used(),
+            maxPositions: this.maxPositions
+        });
+        return true;
+    }
+
+    // 释放 count 个额度，开仓和每次加仓各占一个
+    release(symbol, count = 1) {
+        const remaining = (this.holdings.get(symbol) || 0) - count;
+        if (remaining > 0) {
+            this.holdings.set(symbol, remaining);
+        } else {
+            this.holdings.delete(symbol);
+        }
+    }
+
+    sync(symbol, count) {
+        if (count > 0) {
+            this.holdings.set(symbol, count);
+        } else {
+            this.holdings.delete(symbol);
+        }
+    }
+}
+
+module.exports = PositionBudget;
@@ -0,0 +1,208 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { notify } = require('./notifier');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 账户级风控: 所有开仓都需要审批，触发限制时强制平仓并阻止新开仓
+// 日亏损超限阻止到下一个UTC日，回撤和最低余额超限需要手动重置
+// 日亏损取权益变化和已实现盈亏中亏损较大的一个，出入金不会掩盖当日的交易亏损
+// 有 stateStore 时限制状态、高水位和日内统计保存到快照，重启后恢复
+class RiskManager {
+    constructor(options = {}) {
+        this.settings = { ...config.riskManagement, ...options.settings };
+        // 账户的保证金资产，minBalances 中有该资产时覆盖 minBalance
+        this.asset = options.asset || null;
+        if (this.asset && this.settings.minBalances && this.settings.minBalances[this.asset] !== undefined) {
+            this.settings.minBalance = this.settings.minBalances[this.asset];
+        }
+        this.onBreach = options.onBreach || null;   // 触发限制时的平仓回调
+        this.notify = options.notify || ((text, data) => notify('risk-breach', text, data));
+        this.now = options.now || Date.now;         // 时钟，回测时使用模拟时间
+        this.highWaterMark = null;
+        this.dayKey = null;
+        this.dayStartEquity = null;
+        this.dailyRealizedPnl = 0;
+        this.lastEquity = null;
+        this.lastUnrealizedProfit = 0;
+        this.blocked = null;                        // { type, reason, until }
+        this.stateStore = options.stateStore || null;
+        this.loadState();
+    }
+
+    getState() {
+        return {
+            blocked: this.blocked,
+            highWaterMark: this.highWaterMark,
+            dayKey: this.dayKey,
+            dayStartEquity: this.dayStartEquity,
+            dailyRealizedPnl: this.dailyRealizedPnl
+        };
+    }
+
+    saveState() {
+        if (!this.stateStore) return;
+        this.stateStore.save(this.getState());
+    }
+
+    // 过期的日亏损限制在下一次 evaluate 切换交易日时解除
+    loadState() {
+        if (!this.stateStore) return;
+
+        const state = this.stateStore.load();
+        if (!state) return;
+
+        this.blocked = state.blocked || null;
+        this.highWaterMark = typeof state.highWaterMark === 'number' ? state.highWaterMark : null;
+        this.dayKey = state.dayKey || null;
+        this.dayStartEquity = typeof state.dayStartEquity === 'number' ? state.dayStartEquity : null;
+        this.dailyRealizedPnl = state.dailyRealizedPnl || 0;
+
+        logger.info('已恢复风控状态', {
+            asset: this.asset,
+            blocked: this.blocked ? this.blocked.type : null,
+            highWaterMark: this.highWaterMark,
+            dayKey: this.dayKey
+        });
+    }
+
+    getDayKey(timestamp) {
+        return new Date(timestamp).toISOString().slice(0, 10);
+    }
+
+    // UTC零点重置日内统计，并解除当日的限制
+    rollDay(equity, now) {
+        const dayKey = this.getDayKey(now);
+        if (dayKey === this.dayKey) return;
+
+        this.dayKey = dayKey;
+        this.dayStartEquity = equity;
+        this.dailyRealizedPnl = 0;
+
+        if (this.blocked && this.blocked.until !== null && now >= this.blocked.until) {
+            logger.info('新交易日开始，解除开仓限制', { type: this.blocked.type });
+            this.blocked = null;
+        }
+    }
+
+    recordRealizedPnl(pnl) {
+        if (typeof pnl === 'number' && !isNaN(pnl)) {
+            this.dailyRealizedPnl += pnl;
+            this.saveState();
+        }
+    }
+
+    async evaluate(accountInfo, now = this.now()) {
+        const equity = accountInfo.marginBalance;
+        this.rollDay(equity, now);
+
+        this.lastEquity = equity;
+        this.lastUnrealizedProfit = accountInfo.unrealizedProfit;
+        this.highWaterMark = this.highWaterMark === null ? equity : Math.max(this.highWaterMark, equity);
+        this.saveState();
+
+        if (equity < this.settings.minBalance) {
+            await this.breach('MIN_BALANCE', `账户权益 ${equity.toFixed(2)} 低于最低余额 ${this.settings.minBalance}`, null);
+            return false;
+        }
+
+        const dailyPnl = Math.min(equity - this.dayStartEquity, this.dailyRealizedPnl);
+        if (dailyPnl < 0 && -dailyPnl >= this.dayStartEquity * this.settings.maxDailyLoss) {
+            const nextDay = (Math.floor(now / DAY_MS) + 1) * DAY_MS;
+            await this.breach('DAILY_LOSS', `日内亏损 ${dailyPnl.toFixed(2)} 超过 ${(this.settings.maxDailyLoss * 100).toFixed(1)}%`, nextDay);
+            return false;
+        }
+
+        const drawdown = (this.highWaterMark - equity) / this.highWaterMark;
+        if (drawdown >= this.settings.maxDrawdown) {
+            await this.breach('MAX_DRAWDOWN', `账户回撤 ${(drawdown * 100).toFixed(2)}% 超过 ${(this.settings.maxDrawdown * 100).toFixed(1)}%`, null);
+            return false;
+        }
+
+        return !this.blocked;
+    }
+
+    // 单个持仓的紧急止损: 价格反向波动或浮亏占权益比例过大
+    // pnl 为按市场计算的浮动盈亏 (与 equity 同一资产)，不传时按数量 * 价差计算
+    checkPosition(position, currentPrice, equity, pnl) {
+        if (!position.type || !position.entryPrice) return null;
+
+        const priceMove = position.type === 'long'
+            ? (position.entryPrice - currentPrice) / position.entryPrice
+            : (currentPrice - position.entryPrice) / position.entryPrice;
+        if (priceMove >= config.trading.emergencyStopLoss) {
+            return `价格反向波动 ${(priceMove * 100).toFixed(2)}% 超过紧急止损 ${(config.trading.emergencyStopLoss * 100).toFixed(1)}%`;
+        }
+
+        const loss = pnl !== undefined
+            ? -pnl
+            : (position.type === 'long'
+                ? (position.entryPrice - currentPrice) * position.qty
+                : (currentPrice - position.entryPrice) * position.qty);
+        if (equity > 0 && loss / equity >= config.trading.maxDrawdown) {
+            return `持仓浮亏 ${loss.toFixed(2)} 超过权益的 ${(config.trading.maxDrawdown * 100).toFixed(1)}%`;
+        }
+
+        return null;
+    }
+
+    async approveEntry({ symbol, leverage, accountInfo }) {
+        if (leverage > this.settings.maxLeverage) {
+            return { approved: false, reason: `杠杆 ${leverage} 超过最大杠杆 ${this.settings.maxLeverage}` };
+        }
+
+        const healthy = await this.evaluate(accountInfo);
+        if (!healthy || this.blocked) {
+            return { approved: false, reason: this.blocked ? this.blocked.reason : '风控检查未通过' };
+        }
+
+        logger.debug('风控审批通过', { symbol, leverage, equity: this.lastEquity });
+        return { approved: true };
+    }
+
+    async breach(type, reason, until) {
+        if (this.blocked) return;
+
+        this.blocked = { type, reason, until, time: this.now() };
+        this.saveState();
+        logger.error('触发风控限制，平仓并停止开仓', {
+            type,
+            reason,
+            until: until ? new Date(until).toISOString() : '手动重置'
+        });
+
+        this.notify(`风控触发: ${reason}，已平仓并停止开仓${until ? '至UTC次日' : '，需手动重置'}`, { type, reason });
+
+        if (this.onBreach) {
+            try {
+                await this.onBreach(this.blocked);
+            } catch (error) {
+                logger.error('风控平仓失败', { error: error.message });
+            }
+        }
+    }
+
+    // 手动重置: 解除限制，以当前权益重新计算高水位和日内盈亏
+    reset() {
+        logger.warn('风控限制已手动重置', { previous: this.blocked });
+        this.blocked = null;
+        this.highWaterMark = this.lastEquity;
+        this.dayStartEquity = this.lastEquity;
+        this.dailyRealizedPnl = 0;
+        this.saveState();
+    }
+
+    getStatus() {
+        return {
+            blocked: this.blocked,
+            equity: this.lastEquity,
+            highWaterMark: this.highWaterMark,
+            dayStartEquity: this.dayStartEquity,
+            dailyRealizedPnl: this.dailyRealizedPnl,
+            unrealizedProfit: this.lastUnrealizedProfit,
+            dailyPnl: this.lastEquity !== null ? this.lastEquity - this.dayStartEquity : null
+        };
+    }
+}
+
+module.exports = RiskManager;
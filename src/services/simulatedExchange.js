@@ -0,0 +1,499 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const ExchangeApi = require('./exchangeApi');
+const { getMarket } = require('./markets');
+
+// 模拟交易所，接口与 BinanceApi 保持一致，用于回测，按U本位合约撮合
+class SimulatedExchange extends ExchangeApi {
+    constructor(options = {}) {
+        super(getMarket('usdm'));
+        const settings = { ...config.backtest, ...options };
+
+        this.initialBalance = settings.initialBalance;
+        this.walletBalance = settings.initialBalance;
+        this.feeRate = settings.feeRate;
+        this.maintMarginRate = settings.maintMarginRate;
+        this.ruleSettings = {         // 回测使用的交易对规则，与 TradingBot 的规则缓存区分
+            stepSize: settings.stepSize,
+            minQty: settings.minQty,
+            tickSize: settings.tickSize
+        };
+        this.klines = options.klines || {};   // symbol -> 原始K线数组
+        this.historyEnd = {};                 // symbol -> 当前可见的K线数量
+        this.positions = new Map();           // symbol -> { amount, entryPrice }
+        this.leverages = new Map();
+        this.prices = new Map();
+        this.currentTime = Date.now();
+        this.nextOrderId = 1;
+        this.fills = [];
+        this.trades = [];
+        this.openTrades = new Map();
+        this.openOrders = [];
+        this.totalFees = 0;
+    }
+
+    setTime(timestamp) {
+        this.currentTime = timestamp;
+    }
+
+    now() {
+        return this.currentTime;
+    }
+
+    // 状态变化钩子，子类可用于持久化
+    onStateChange() {
+        return;
+    }
+
+    async getSymbolRules(symbol) {
+        return this.ruleSettings;
+    }
+
+    setHistoryEnd(symbol, index) {
+        this.historyEnd[symbol] = index;
+    }
+
+    updateMarkPrice(symbol, price) {
+        const lastPrice = this.prices.get(symbol);
+        this.prices.set(symbol, price);
+        this.checkOpenOrders(symbol, price, lastPrice);
+        this.checkLiquidation();
+    }
+
+    getMaintMargin() {
+        let maintMargin = 0;
+        for (const [symbol, position] of this.positions.entries()) {
+            if (position.amount === 0) continue;
+            maintMargin += Math.abs(position.amount) * this.getPrice(symbol) * this.maintMarginRate;
+        }
+        return maintMargin;
+    }
+
+    // 全仓模式: 保证金余额低于维持保证金时强平所有持仓
+    checkLiquidation() {
+        const openSymbols = [...this.positions.keys()].filter(symbol => this.positions.get(symbol).amount !== 0);
+        if (openSymbols.length === 0 || openSymbols.some(symbol => !this.prices.has(symbol))) return;
+        if (this.getEquity() > this.getMaintMargin()) return;
+
+        logger.warn('模拟账户触发强平', {
+            equity: this.getEquity(),
+            maintMargin: this.getMaintMargin()
+        });
+
+        for (const [symbol, position] of this.positions.entries()) {
+            if (position.amount === 0) continue;
+            const price = this.getPrice(symbol);
+            const qty = Math.abs(position.amount);
+            const fee = qty * price * this.feeRate;
+            this.walletBalance -= fee;
+            this.totalFees += fee;
+            this.applyFill(symbol, position, -position.amount, price, fee);
+            this.trades[this.trades.length - 1].liquidated = true;
+        }
+        this.onStateChange();
+    }
+
+    getPrice(symbol) {
+        const price = this.prices.get(symbol);
+        if (price === undefined) {
+            throw new Error(`模拟交易所没有 ${symbol} 的价格`);
+        }
+        return price;
+    }
+
+    getLeverage(symbol) {
+        return this.leverages.get(symbol) || config.trading.leverage;
+    }
+
+    getUnrealizedProfit(symbol) {
+        const position = this.positions.get(symbol);
+        if (!position || position.amount === 0) return 0;
+        return (this.getPrice(symbol) - position.entryPrice) * position.amount;
+    }
+
+    getInitialMargin(symbol) {
+        const position = this.positions.get(symbol);
+        if (!position || position.amount === 0) return 0;
+        return Math.abs(position.amount) * this.getPrice(symbol) / this.getLeverage(symbol);
+    }
+
+    getEquity() {
+        let unrealizedProfit = 0;
+        for (const symbol of this.positions.keys()) {
+            unrealizedProfit += this.getUnrealizedProfit(symbol);
+        }
+        return this.walletBalance + unrealizedProfit;
+    }
+
+    roundStep(value, step) {
+        const decimals = (step.toString().split('.')[1] || '').length;
+        return parseFloat((Math.floor(value / step + 1e-9) * step).toFixed(decimals));
+    }
+
+    async getHistoricalKlines(symbol, interval, limit, options = {}) {
+        const klines = this.klines[symbol] || [];
+        const end = this.historyEnd[symbol] !== undefined ? this.historyEnd[symbol] : klines.length;
+        const visible = klines.slice(0, end).filter(kline =>
+            (options.startTime === undefined || kline[0] >= options.startTime) &&
+            (options.endTime === undefined || kline[0] <= options.endTime));
+        // 与交易所一致: 指定 startTime 时从起点取，否则取最近的 limit 根
+        return options.startTime !== undefined
+            ? visible.slice(0, limit)
+            : visible.slice(Math.max(0, visible.length - limit));
+    }
+
+    async getAccountInfo() {
+        let unrealizedProfit = 0;
+        let initialMargin = 0;
+        const positions = [];
+
+        for (const [symbol, position] of this.positions.entries()) {
+            if (position.amount === 0) continue;
+            const profit = this.getUnrealizedProfit(symbol);
+            const margin = this.getInitialMargin(symbol);
+            unrealizedProfit += profit;
+            initialMargin += margin;
+            positions.push({
+                symbol,
+                positionAmt: position.amount.toString(),
+                entryPrice: position.entryPrice.toString(),
+                markPrice: this.getPrice(symbol).toString(),
+                unrealizedProfit: profit.toString(),
+                initialMargin: margin.toString(),
+                leverage: this.getLeverage(symbol).toString()
+            });
+        }
+
+        return {
+            asset: this.market.defaultAsset,
+            totalWalletBalance: this.walletBalance,
+            availableBalance: this.getAvailableBalance(),
+            unrealizedProfit,
+            marginBalance: this.walletBalance + unrealizedProfit,
+            maintMargin: this.getMaintMargin(),
+            initialMargin,
+            balances: [{
+                asset: this.market.defaultAsset,
+                walletBalance: this.walletBalance,
+                crossWalletBalance: this.walletBalance
+            }],
+            positions
+        };
+    }
+
+    async getCurrentPosition(symbol) {
+        const position = this.positions.get(symbol);
+        if (!position || position.amount === 0) {
+            return { type: null, qty: 0 };
+        }
+
+        return {
+            type: position.amount > 0 ? 'long' : 'short',
+            qty: Math.abs(position.amount),
+            leverage: this.getLeverage(symbol),
+            entryPrice: position.entryPrice,
+            markPrice: this.getPrice(symbol),
+            unrealizedProfit: this.getUnrealizedProfit(symbol),
+            initialMargin: this.getInitialMargin(symbol)
+        };
+    }
+
+    async setLeverage(symbol, leverage) {
+        this.leverages.set(symbol, leverage);
+        this.onStateChange();
+        return { symbol, leverage };
+    }
+
+    async setPositionMode(dualSidePosition = false) {
+        if (dualSidePosition) {
+            throw new Error('模拟交易所不支持双向持仓');
+        }
+    }
+
+    // 市价单立即成交，止损/止盈/追踪止损单挂起，价格更新时触发
+    async placeOrder(symbol, side, quantity, reduceOnly = false, options = {}) {
+        const type = options.type || 'MARKET';
+        const rules = await this.getSymbolRules(symbol);
+        const qty = this.roundStep(quantity, rules.stepSize);
+
+        if (qty < rules.minQty) {
+            throw new Error(`下单数量 ${qty} 小于最小交易量 ${rules.minQty}`);
+        }
+
+        if (type === 'MARKET') {
+            return this.executeOrder({ orderId: this.nextOrderId++, symbol, side, type, qty, reduceOnly }, this.getPrice(symbol));
+        }
+
+        if (!['STOP_MARKET', 'TAKE_PROFIT_MARKET', 'TRAILING_STOP_MARKET'].includes(type)) {
+            throw new Error(`模拟交易所不支持订单类型 ${type}`);
+        }
+
+        const order = {
+            orderId: this.nextOrderId++,
+            symbol,
+            side,
+            type,
+            qty,
+            reduceOnly,
+            stopPrice: options.stopPrice !== undefined ? parseFloat(options.stopPrice) : null,
+            callbackRate: options.callbackRate !== undefined ? parseFloat(options.callbackRate) : null,
+            activationPrice: options.activationPrice !== undefined ? parseFloat(options.activationPrice) : this.getPrice(symbol),
+            extremePrice: null,
+            status: 'NEW',
+            time: this.now()
+        };
+        this.openOrders.push(order);
+        this.onStateChange();
+
+        logger.debug('模拟挂单', { symbol, side, type, qty, stopPrice: order.stopPrice });
+        return this.formatOrder(order, 0, 0);
+    }
+
+    formatOrder(order, executedQty, price) {
+        return {
+            orderId: order.orderId,
+            symbol: order.symbol,
+            side: order.side,
+            type: order.type,
+            status: order.status,
+            reduceOnly: order.reduceOnly,
+            stopPrice: order.stopPrice !== undefined && order.stopPrice !== null ? order.stopPrice.toString() : '0',
+            origQty: order.qty.toString(),
+            executedQty: executedQty.toString(),
+            avgPrice: price.toString(),
+            cumQuote: (executedQty * price).toString(),
+            updateTime: this.now()
+        };
+    }
+
+    executeOrder(order, price) {
+        const { symbol, side, reduceOnly } = order;
+        const position = this.positions.get(symbol) || { amount: 0, entryPrice: 0 };
+        let qty = order.qty;
+
+        if (reduceOnly) {
+            const closable = (side === 'SELL' && position.amount > 0) || (side === 'BUY' && position.amount < 0);
+            if (!closable) {
+                throw new Error('ReduceOnly Order is rejected.');
+            }
+            qty = Math.min(qty, Math.abs(position.amount));
+        }
+
+        const signedQty = side === 'BUY' ? qty : -qty;
+        const increasing = position.amount === 0 || Math.sign(position.amount) === Math.sign(signedQty);
+        if (increasing) {
+            const requiredMargin = qty * price / this.getLeverage(symbol);
+            if (requiredMargin > this.getAvailableBalance()) {
+                throw new Error('Margin is insufficient.');
+            }
+        }
+
+        const fee = qty * price * this.feeRate;
+        this.walletBalance -= fee;
+        this.totalFees += fee;
+        this.applyFill(symbol, position, signedQty, price, fee);
+
+        order.status = 'FILLED';
+        const result = {
+            ...this.formatOrder(order, qty, price),
+            commission: fee.toString(),
+            commissionAsset: 'USDT'
+        };
+        this.fills.push(result);
+        this.onStateChange();
+
+        logger.debug('模拟成交', { symbol, side, type: order.type, qty, price, fee });
+        return result;
+    }
+
+    getAvailableBalance() {
+        let initialMargin = 0;
+        for (const symbol of this.positions.keys()) {
+            initialMargin += this.getInitialMargin(symbol);
+        }
+        return Math.max(0, this.getEquity() - initialMargin);
+    }
+
+    // 判断条件单是否触发，返回成交价格；价格跳空越过触发价时按当前价成交
+    getTriggerPrice(order, price, lastPrice) {
+        const isSell = order.side === 'SELL';
+        let triggerPrice;
+
+        if (order.type === 'TRAILING_STOP_MARKET') {
+            if (order.extremePrice === null) {
+                const activated = isSell ? price >= order.activationPrice : price <= order.activationPrice;
+                if (!activated) return null;
+                order.extremePrice = price;
+            }
+            order.extremePrice = isSell ? Math.max(order.extremePrice, price) : Math.min(order.extremePrice, price);
+            const rate = order.callbackRate / 100;
+            triggerPrice = isSell ? order.extremePrice * (1 - rate) : order.extremePrice * (1 + rate);
+        } else {
+            triggerPrice = order.stopPrice;
+        }
+
+        // 止损单: 卖出在价格下跌到触发价时触发；止盈单与追踪止损同理按方向判断
+        const fallsThrough = order.type === 'TAKE_PROFIT_MARKET' ? !isSell : isSell;
+        const triggered = fallsThrough ? price <= triggerPrice : price >= triggerPrice;
+        if (!triggered) return null;
+
+        const crossed = lastPrice !== undefined && (fallsThrough ? lastPrice > triggerPrice : lastPrice < triggerPrice);
+        return crossed ? triggerPrice : price;
+    }
+
+    checkOpenOrders(symbol, price, lastPrice) {
+        const pending = this.openOrders.filter(order => order.symbol === symbol);
+        let changed = false;
+
+        for (const order of pending) {
+            const fillPrice = this.getTriggerPrice(order, price, lastPrice);
+            if (fillPrice === null) continue;
+
+            this.openOrders = this.openOrders.filter(o => o.orderId !== order.orderId);
+            changed = true;
+            try {
+                this.executeOrder(order, fillPrice);
+                logger.info('模拟条件单触发', {
+                    symbol,
+                    type: order.type,
+                    side: order.side,
+                    price: fillPrice,
+                    orderId: order.orderId
+                });
+            } catch (error) {
+                order.status = 'EXPIRED';
+                logger.debug('模拟条件单失效', { orderId: order.orderId, reason: error.message });
+            }
+        }
+
+        if (changed) {
+            this.onStateChange();
+        }
+    }
+
+    applyFill(symbol, position, signedQty, price, fee) {
+        let remaining = signedQty;
+
+        // 先平掉反向持仓
+        if (position.amount !== 0 && Math.sign(position.amount) !== Math.sign(remaining)) {
+            const closeQty = Math.min(Math.abs(position.amount), Math.abs(remaining));
+            const direction = position.amount > 0 ? 1 : -1;
+            const realizedPnl = (price - position.entryPrice) * closeQty * direction;
+            this.walletBalance += realizedPnl;
+
+            const trade = this.openTrades.get(symbol);
+            trade.realizedPnl += realizedPnl;
+            trade.fees += fee * closeQty / Math.abs(signedQty);
+
+            position.amount += closeQty * direction * -1;
+            remaining += closeQty * direction;
+
+            if (Math.abs(position.amount) < 1e-12) {
+                position.amount = 0;
+                position.entryPrice = 0;
+                this.closeTrade(symbol, price);
+            }
+        }
+
+        // 剩余部分开仓或加仓
+        if (Math.abs(remaining) > 1e-12) {
+            const totalQty = Math.abs(position.amount) + Math.abs(remaining);
+            position.entryPrice = (position.entryPrice * Math.abs(position.amount) + price * Math.abs(remaining)) / totalQty;
+            position.amount += remaining;
+
+            let trade = this.openTrades.get(symbol);
+            if (!trade) {
+                trade = {
+                    symbol,
+                    direction: remaining > 0 ? 'long' : 'short',
+                    entryTime: this.now(),
+                    entryPrice: price,
+                    qty: 0,
+                    fees: 0,
+                    realizedPnl: 0
+                };
+                this.openTrades.set(symbol, trade);
+            }
+            trade.qty = Math.abs(position.amount);
+            trade.entryPrice = position.entryPrice;
+            trade.fees += fee * Math.abs(remaining) / Math.abs(signedQty);
+        }
+
+        this.positions.set(symbol, position);
+    }
+
+    closeTrade(symbol, exitPrice) {
+        const trade = this.openTrades.get(symbol);
+        this.openTrades.delete(symbol);
+        this.trades.push({
+            ...trade,
+            exitTime: this.now(),
+            exitPrice,
+            pnl: trade.realizedPnl - trade.fees
+        });
+    }
+
+    async cancelOrder(symbol, orderId) {
+        const order = this.openOrders.find(o => o.symbol === symbol && o.orderId === orderId);
+        if (!order) {
+            return null;
+        }
+
+        this.openOrders = this.openOrders.filter(o => o.orderId !== orderId);
+        order.status = 'CANCELED';
+        this.onStateChange();
+        return this.formatOrder(order, 0, 0);
+    }
+
+    // 挂单中的条件单或已成交的订单
+    async getOrder(symbol, orderId) {
+        const order = this.openOrders.find(o => o.symbol === symbol && o.orderId === orderId);
+        if (order) {
+            return this.formatOrder(order, 0, 0);
+        }
+        return this.fills.find(fill => fill.symbol === symbol && fill.orderId === orderId) || null;
+    }
+
+    async getOpenOrders(symbol) {
+        return this.openOrders
+            .filter(order => order.symbol === symbol)
+            .map(order => this.formatOrder(order, 0, 0));
+    }
+
+    async cancelAllOrders(symbol) {
+        this.openOrders = this.openOrders.filter(order => order.symbol !== symbol);
+        this.onStateChange();
+        return { code: 200, msg: 'The operation of cancel all open order is done.', symbol };
+    }
+
+    async getCommissionRate(symbol) {
+        return {
+            symbol,
+            makerCommissionRate: this.feeRate.toString(),
+            takerCommissionRate: this.feeRate.toString()
+        };
+    }
+
+    async getExchangeInfo(symbol) {
+        const { stepSize, minQty, tickSize } = this.ruleSettings;
+        const precision = step => (step.toString().split('.')[1] || '').length;
+
+        return {
+            symbols: [{
+                symbol,
+                quantityPrecision: precision(stepSize),
+                pricePrecision: precision(tickSize),
+                filters: [
+                    { filterType: 'PRICE_FILTER', tickSize: tickSize.toString() },
+                    { filterType: 'LOT_SIZE', stepSize: stepSize.toString(), minQty: minQty.toString() }
+                ]
+            }]
+        };
+    }
+
+    async getLatestPrice(symbol) {
+        return this.getPrice(symbol);
+    }
+}
+
+module.exports = SimulatedExchange;
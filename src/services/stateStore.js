@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// 交易机器人状态快照: 每个交易对一个JSON文件，先写临时文件再重命名，避免写入中途崩溃损坏文件
+class StateStore {
+    constructor(symbol, dir = config.state.dir) {
+        this.filePath = path.join(dir, `${symbol}.json`);
+        this.lastContent = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return null;
+        }
+
+        try {
+            const { savedAt, ...state } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.lastContent = JSON.stringify(state);
+            return { ...state, savedAt };
+        } catch (error) {
+            logger.error('读取状态快照失败', {
+                error: error.message,
+                file: this.filePath
+            });
+            return null;
+        }
+    }
+
+    // 内容没有变化时不写盘，savedAt 记录最后一次变化的时间
+    save(state) {
+        const content = JSON.stringify(state);
+        if (content === this.lastContent) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpFile = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify({ ...state, savedAt: Date.now() }, null, 2));
+            fs.renameSync(tmpFile, this.filePath);
+            this.lastContent = content;
+        } catch (error) {
+            logger.error('保存状态快照失败', {
+                error: error.message,
+                file: this.filePath
+            });
+        }
+    }
+}
+
+module.exports = StateStore;
@@ -0,0 +1,317 @@
+// 增量技术指标: 保存每个指标的运行状态，K线收盘时 update 以 O(1) 提交新值，
+// peek 用未收盘K线的当前价格计算临时值，不改变已提交的状态。
+// 计算方式与 technicalindicators 一致 (EMA以SMA为初始值、RSI使用Wilder平滑、布林带使用总体标准差)
+
+class StreamingSMA {
+    constructor(period) {
+        this.period = period;
+        this.window = [];
+        this.sum = 0;
+        this.value = undefined;
+    }
+
+    calculate(price) {
+        if (this.window.length + 1 < this.period) return undefined;
+        const removed = this.window.length === this.period ? this.window[0] : 0;
+        return (this.sum - removed + price) / this.period;
+    }
+
+    update(price) {
+        const removed = this.window.length === this.period ? this.window.shift() : 0;
+        this.window.push(price);
+        this.sum = this.sum - removed + price;
+        if (this.window.length === this.period) {
+            this.value = this.sum / this.period;
+        }
+        return this.value;
+    }
+
+    peek(price) {
+        return this.calculate(price);
+    }
+}
+
+// multiplier 为 1 / period 时即 Wilder 平滑 (WEMA)
+class StreamingEMA {
+    constructor(period, multiplier = 2 / (period + 1)) {
+        this.period = period;
+        this.multiplier = multiplier;
+        this.seed = new StreamingSMA(period);
+        this.value = undefined;
+    }
+
+    calculate(price) {
+        if (this.value === undefined) {
+            return this.seed.peek(price);
+        }
+        return (price - this.value) * this.multiplier + this.value;
+    }
+
+    update(price) {
+        if (this.value === undefined) {
+            this.value = this.seed.update(price);
+        } else {
+            this.value = this.calculate(price);
+        }
+        return this.value;
+    }
+
+    peek(price) {
+        return this.calculate(price);
+    }
+}
+
+class StreamingRSI {
+    constructor(period = 14) {
+        this.period = period;
+        this.lastPrice = undefined;
+        this.count = 0;               // 已累计的涨跌次数
+        this.gainSum = 0;
+        this.lossSum = 0;
+        this.avgGain = undefined;
+        this.avgLoss = undefined;
+        this.value = undefined;
+    }
+
+    // 返回加入 price 后的平均涨幅/跌幅，数据不足时返回 null
+    nextAverages(price) {
+        if (this.lastPrice === undefined) return null;
+
+        const change = price - this.lastPrice;
+        const gain = change > 0 ? change : 0;
+        const loss = change < 0 ? -change : 0;
+
+        if (this.avgGain === undefined) {
+            if (this.count + 1 < this.period) {
+                return { gainSum: this.gainSum + gain, lossSum: this.lossSum + loss };
+            }
+            return {
+                avgGain: (this.gainSum + gain) / this.period,
+                avgLoss: (this.lossSum + loss) / this.period
+            };
+        }
+        return {
+            avgGain: (this.avgGain * (this.period - 1) + gain) / this.period,
+            avgLoss: (this.avgLoss * (this.period - 1) + loss) / this.period
+        };
+    }
+
+    static toRSI(avgGain, avgLoss) {
+        if (avgGain === undefined) return undefined;
+        if (avgLoss === 0) return 100;
+        if (avgGain === 0) return 0;
+        const rs = avgGain / avgLoss;
+        return parseFloat((100 - 100 / (1 + rs)).toFixed(2));
+    }
+
+    update(price) {
+        const next = this.nextAverages(price);
+        this.lastPrice = price;
+        if (!next) return this.value;
+
+        if (next.avgGain === undefined) {
+            this.gainSum = next.gainSum;
+            this.lossSum = next.lossSum;
+            this.count++;
+        } else {
+            this.avgGain = next.avgGain;
+            this.avgLoss = next.avgLoss;
+            this.value = StreamingRSI.toRSI(this.avgGain, this.avgLoss);
+        }
+        return this.value;
+    }
+
+    peek(price) {
+        const next = this.nextAverages(price);
+        return next ? StreamingRSI.toRSI(next.avgGain, next.avgLoss) : undefined;
+    }
+}
+
+class StreamingMACD {
+    constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+        this.fast = new StreamingEMA(fastPeriod);
+        this.slow = new StreamingEMA(slowPeriod);
+        this.signal = new StreamingEMA(signalPeriod);
+        this.value = undefined;
+    }
+
+    static format(macd, signal) {
+        return {
+            MACD: macd,
+            signal,
+            histogram: signal === undefined ? undefined : macd - signal
+        };
+    }
+
+    update(price) {
+        const fast = this.fast.update(price);
+        const slow = this.slow.update(price);
+        if (slow === undefined) return this.value;
+
+        const macd = fast - slow;
+        this.value = StreamingMACD.format(macd, this.signal.update(macd));
+        return this.value;
+    }
+
+    peek(price) {
+        const fast = this.fast.peek(price);
+        const slow = this.slow.peek(price);
+        if (slow === undefined) return undefined;
+
+        const macd = fast - slow;
+        return StreamingMACD.format(macd, this.signal.peek(macd));
+    }
+}
+
+class StreamingBollingerBands {
+    constructor(period = 20, stdDev = 2) {
+        this.period = period;
+        this.stdDev = stdDev;
+        this.sma = new StreamingSMA(period);
+        this.value = undefined;
+    }
+
+    // 窗口长度固定为 period，标准差逐项计算，避免平方和相减带来的精度损失
+    calculate(window, middle, price) {
+        const variance = window.reduce((sum, value) => sum + Math.pow(value - middle, 2), 0) / this.period;
+        const deviation = Math.sqrt(variance) * this.stdDev;
+        const upper = middle + deviation;
+        const lower = middle - deviation;
+        return {
+            middle,
+            upper,
+            lower,
+            pb: (price - lower) / (upper - lower)
+        };
+    }
+
+    update(price) {
+        const middle = this.sma.update(price);
+        if (middle === undefined) return this.value;
+
+        this.value = this.calculate(this.sma.window, middle, price);
+        return this.value;
+    }
+
+    peek(price) {
+        const middle = this.sma.peek(price);
+        if (middle === undefined) return undefined;
+
+        const window = this.sma.window.length === this.period
+            ? [...this.sma.window.slice(1), price]
+            : [...this.sma.window, price];
+        return this.calculate(window, middle, price);
+    }
+}
+
+// 以下指标的输入为K线 { openTime, high, low, close, volume }
+
+class StreamingATR {
+    constructor(period = 14) {
+        this.average = new StreamingEMA(period, 1 / period);
+        this.previousClose = undefined;
+        this.value = undefined;
+    }
+
+    trueRange(candle) {
+        return Math.max(
+            candle.high - candle.low,
+            Math.abs(candle.high - this.previousClose),
+            Math.abs(candle.low - this.previousClose)
+        );
+    }
+
+    update(candle) {
+        if (this.previousClose !== undefined) {
+            this.value = this.average.update(this.trueRange(candle));
+        }
+        this.previousClose = candle.close;
+        return this.value;
+    }
+
+    peek(candle) {
+        if (this.previousClose === undefined) return undefined;
+        return this.average.peek(this.trueRange(candle));
+    }
+}
+
+class StreamingOBV {
+    constructor() {
+        this.previousClose = undefined;
+        this.value = undefined;
+    }
+
+    calculate(candle) {
+        if (this.previousClose === undefined) return undefined;
+
+        const value = this.value || 0;
+        if (candle.close > this.previousClose) return value + candle.volume;
+        if (candle.close < this.previousClose) return value - candle.volume;
+        return value;
+    }
+
+    update(candle) {
+        this.value = this.calculate(candle);
+        this.previousClose = candle.close;
+        return this.value;
+    }
+
+    peek(candle) {
+        return this.calculate(candle);
+    }
+}
+
+// 成交量加权均价，典型价格为 (高+低+收)/3
+// sessionMs: 按该时长分段，每段开始时重新累计 (如按UTC日)；anchorTime: 从该时间开始累计 (锚定VWAP)
+class StreamingVWAP {
+    constructor({ sessionMs = null, anchorTime = null } = {}) {
+        this.sessionMs = sessionMs;
+        this.anchorTime = anchorTime;
+        this.session = null;
+        this.totalValue = 0;
+        this.totalVolume = 0;
+        this.value = undefined;
+    }
+
+    // 返回加入 candle 后的累计值，锚点之前的K线返回 null
+    accumulate(candle) {
+        if (this.anchorTime !== null && candle.openTime < this.anchorTime) return null;
+
+        const session = this.sessionMs ? Math.floor(candle.openTime / this.sessionMs) : null;
+        const restart = session !== this.session;
+        const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+        return {
+            session,
+            totalValue: (restart ? 0 : this.totalValue) + typicalPrice * candle.volume,
+            totalVolume: (restart ? 0 : this.totalVolume) + candle.volume
+        };
+    }
+
+    update(candle) {
+        const next = this.accumulate(candle);
+        if (!next) return this.value;
+
+        this.session = next.session;
+        this.totalValue = next.totalValue;
+        this.totalVolume = next.totalVolume;
+        this.value = next.totalVolume > 0 ? next.totalValue / next.totalVolume : undefined;
+        return this.value;
+    }
+
+    peek(candle) {
+        const next = this.accumulate(candle);
+        if (!next) return this.value;
+        return next.totalVolume > 0 ? next.totalValue / next.totalVolume : undefined;
+    }
+}
+
+module.exports = {
+    StreamingSMA,
+    StreamingEMA,
+    StreamingRSI,
+    StreamingMACD,
+    StreamingBollingerBands,
+    StreamingATR,
+    StreamingOBV,
+    StreamingVWAP
+};
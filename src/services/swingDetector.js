@@ -0,0 +1,61 @@
+// 阈值可以是固定数值 (USDT)、{ percent } 价格比例或 { atr } ATR倍数
+// 需要ATR但ATR不可用时返回 null
+function resolveThreshold(threshold, { price, atr }) {
+    if (typeof threshold === 'number') return threshold;
+    if (threshold && threshold.percent !== undefined) return price * threshold.percent;
+    if (threshold && threshold.atr !== undefined) return atr ? atr * threshold.atr : null;
+    throw new Error(`无效的阈值配置 ${JSON.stringify(threshold)}`);
+}
+
+// 摆动点 (顶/底) 检测: 在最近 window 个值中查找左右分别至少 leftStrength / rightStrength 个值都更低 (顶) 或更高 (底) 的点
+// 默认 window=5、左右各2 即中间点高于/低于两侧各两个点
+class SwingDetector {
+    constructor({ window = 5, leftStrength = 2, rightStrength = 2 } = {}) {
+        if (window < leftStrength + rightStrength + 1) {
+            throw new Error(`摆动点窗口 ${window} 小于 leftStrength + rightStrength + 1`);
+        }
+        this.window = window;
+        this.leftStrength = leftStrength;
+        this.rightStrength = rightStrength;
+    }
+
+    // 从 index 向一侧数连续满足条件的值的个数，不超出窗口
+    countRun(values, index, step, start, isBeyond) {
+        let count = 0;
+        for (let i = index + step; i >= start && i < values.length; i += step) {
+            if (!isBeyond(values[index], values[i])) break;
+            count++;
+        }
+        return count;
+    }
+
+    // 返回窗口内最近一个确认的摆动点 { type: 'TOP' | 'BOTTOM', index, value, strength }
+    // strength 为左右两侧连续被超越的值的个数中较小的一个
+    detect(values) {
+        if (values.length < this.window) return null;
+
+        const start = values.length - this.window;
+        const types = [
+            { type: 'TOP', isBeyond: (pivot, value) => pivot > value },
+            { type: 'BOTTOM', isBeyond: (pivot, value) => pivot < value }
+        ];
+
+        for (let index = values.length - 1 - this.rightStrength; index >= start + this.leftStrength; index--) {
+            for (const { type, isBeyond } of types) {
+                const left = this.countRun(values, index, -1, start, isBeyond);
+                const right = this.countRun(values, index, 1, start, isBeyond);
+                if (left >= this.leftStrength && right >= this.rightStrength) {
+                    return {
+                        type,
+                        index,
+                        value: values[index],
+                        strength: Math.min(left, right)
+                    };
+                }
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = { SwingDetector, resolveThreshold };
@@ -0,0 +1,153 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+function getDecimals(step) {
+    const text = step.toString();
+    if (text.includes('e-')) {
+        return parseInt(text.split('e-')[1]);
+    }
+    return (text.split('.')[1] || '').length;
+}
+
+// 按步长取整，先放大为整数再计算，避免浮点误差 (如 0.3 / 0.1 = 2.9999999999999996)
+function roundToStep(value, step, mode = 'down') {
+    if (!step) return value;
+
+    const decimals = getDecimals(step);
+    const factor = Math.pow(10, decimals);
+    const units = Math.round(step * factor);
+    const scaled = Math.round(value * factor * 1e6) / 1e6;
+    const round = mode === 'up' ? Math.ceil : mode === 'nearest' ? Math.round : Math.floor;
+    return parseFloat(((round(scaled / units) * units) / factor).toFixed(decimals));
+}
+
+// 单个交易对的下单规则，来自 exchangeInfo 的 filters
+class SymbolRules {
+    constructor(symbolInfo) {
+        const filter = type => symbolInfo.filters.find(f => f.filterType === type) || {};
+        const priceFilter = filter('PRICE_FILTER');
+        const lotSize = filter('LOT_SIZE');
+        const marketLotSize = filter('MARKET_LOT_SIZE');
+        const minNotional = symbolInfo.filters.find(f => ['MIN_NOTIONAL', 'NOTIONAL'].includes(f.filterType)) || {};
+
+        this.symbol = symbolInfo.symbol;
+        this.baseAsset = symbolInfo.baseAsset;
+        this.quoteAsset = symbolInfo.quoteAsset;
+        // 币本位合约每张的面值 (美元)，其他市场数量即币的个数
+        this.contractSize = parseFloat(symbolInfo.contractSize) || 1;
+        this.tickSize = parseFloat(priceFilter.tickSize) || 0;
+        this.minPrice = parseFloat(priceFilter.minPrice) || 0;
+        this.maxPrice = parseFloat(priceFilter.maxPrice) || 0;
+        this.stepSize = parseFloat(lotSize.stepSize) || 0;
+        this.minQty = parseFloat(lotSize.minQty) || 0;
+        this.maxQty = parseFloat(lotSize.maxQty) || 0;
+        // 市价单使用 MARKET_LOT_SIZE，没有时沿用 LOT_SIZE
+        this.marketStepSize = parseFloat(marketLotSize.stepSize) || this.stepSize;
+        this.marketMinQty = parseFloat(marketLotSize.minQty) || this.minQty;
+        this.marketMaxQty = parseFloat(marketLotSize.maxQty) || this.maxQty;
+        // U本位合约为 notional，现货 (NOTIONAL 和旧版 MIN_NOTIONAL) 为 minNotional
+        this.minNotional = parseFloat(minNotional.notional || minNotional.minNotional) || 0;
+    }
+
+    roundQuantity(quantity, market = true) {
+        return roundToStep(quantity, market ? this.marketStepSize : this.stepSize, 'down');
+    }
+
+    // mode: nearest / down / up
+    roundPrice(price, mode = 'nearest') {
+        return roundToStep(price, this.tickSize, mode);
+    }
+
+    formatPrice(price, mode = 'nearest') {
+        return this.roundPrice(price, mode).toFixed(getDecimals(this.tickSize));
+    }
+
+    // 下单前检查，不满足规则时抛出说明原因的错误，避免被交易所拒单
+    validateOrder({ quantity, price, market = true, reduceOnly = false }) {
+        const minQty = market ? this.marketMinQty : this.minQty;
+        const maxQty = market ? this.marketMaxQty : this.maxQty;
+
+        if (quantity <= 0 || quantity < minQty) {
+            throw new Error(`${this.symbol} 下单数量 ${quantity} 小于最小交易量 ${minQty}`);
+        }
+        if (maxQty && quantity > maxQty) {
+            throw new Error(`${this.symbol} 下单数量 ${quantity} 超过最大交易量 ${maxQty}`);
+        }
+        if (!market && price !== undefined) {
+            if (this.minPrice && price < this.minPrice) {
+                throw new Error(`${this.symbol} 价格 ${price} 低于最低价格 ${this.minPrice}`);
+            }
+            if (this.maxPrice && price > this.maxPrice) {
+                throw new Error(`${this.symbol} 价格 ${price} 高于最高价格 ${this.maxPrice}`);
+            }
+        }
+
+        // 只减仓订单不受最小名义价值限制
+        const notional = quantity * price;
+        if (!reduceOnly && this.minNotional && notional < this.minNotional) {
+            throw new Error(`${this.symbol} 订单名义价值 ${notional.toFixed(2)} 小于最小值 ${this.minNotional}`);
+        }
+    }
+}
+
+// 交易对规则缓存，定时整体刷新，避免每次下单都下载完整的 exchangeInfo
+class SymbolRulesCache {
+    constructor(binanceApi, refreshInterval = config.exchange.rulesRefreshInterval) {
+        this.binanceApi = binanceApi;
+        this.refreshInterval = refreshInterval;
+        this.rules = new Map();
+        this.loading = new Map();     // 进行中的请求，同一交易对只请求一次
+        this.timer = null;
+    }
+
+    async get(symbol) {
+        if (!this.rules.has(symbol)) {
+            await this.refresh(symbol);
+        }
+
+        const rules = this.rules.get(symbol);
+        if (!rules) {
+            throw new Error(`未找到交易对 ${symbol} 的信息`);
+        }
+        return rules;
+    }
+
+    // 不传 symbol 时刷新全部交易对
+    async refresh(symbol) {
+        const key = symbol || '*';
+        if (this.loading.has(key)) return this.loading.get(key);
+
+        const loading = (async () => {
+            try {
+                const exchangeInfo = await this.binanceApi.getExchangeInfo(symbol);
+                exchangeInfo.symbols.forEach(symbolInfo => {
+                    this.rules.set(symbolInfo.symbol, new SymbolRules(symbolInfo));
+                });
+                logger.debug('交易对规则已刷新', { count: exchangeInfo.symbols.length });
+            } catch (error) {
+                logger.error('刷新交易对规则失败', { error: error.message });
+                throw error;
+            } finally {
+                this.loading.delete(key);
+            }
+        })();
+        this.loading.set(key, loading);
+        return loading;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.refresh().catch(() => {});
+        }, this.refreshInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = { SymbolRules, SymbolRulesCache, roundToStep };
@@ -1,21 +1,62 @@
-const { EMA, RSI, MACD, BollingerBands } = require('technicalindicators');
 const config = require('../config');
 const logger = require('../utils/logger');
+const {
+    StreamingEMA,
+    StreamingRSI,
+    StreamingMACD,
+    StreamingBollingerBands,
+    StreamingATR,
+    StreamingOBV,
+    StreamingVWAP
+} = require('./streamingIndicators');
+const { SwingDetector, resolveThreshold } = require('./swingDetector');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class TechnicalAnalysis {
     constructor() {
         this.closingPrices = [];
         this.ema5History = [];
         this.ema50History = [];
+        this.hasLiveEma = false;       // EMA历史最后一个值是否为未收盘K线的实时值
         this.previousEma5 = null;
         this.previousEma50 = null;
         this.volumeHistory = [];
+        this.candles = [];
+        this.indicators = new Map();   // 增量指标，key 为指标名和参数
+        this.candleIndicators = new Map(); // 以完整K线为输入的增量指标 (ATR/OBV/VWAP)
+    }
+
+    // 首次使用时用已有收盘价初始化，之后随 addPrice 增量更新
+    // 增量指标使用全部历史计算，不受 maxClosingPrices 截断影响
+    getIndicator(key, create) {
+        if (!this.indicators.has(key)) {
+            const indicator = create();
+            this.closingPrices.forEach(price => indicator.update(price));
+            this.indicators.set(key, indicator);
+        }
+        return this.indicators.get(key);
+    }
+
+    getCandleIndicator(key, create) {
+        if (!this.candleIndicators.has(key)) {
+            const indicator = create();
+            this.candles.forEach(candle => indicator.update(candle));
+            this.candleIndicators.set(key, indicator);
+        }
+        return this.candleIndicators.get(key);
+    }
+
+    // 传入当前价格时返回未收盘K线的临时值，否则返回已收盘K线的值
+    getIndicatorValue(indicator, currentPrice) {
+        return currentPrice === undefined ? indicator.value : indicator.peek(currentPrice);
     }
 
     addPrice(price, volume = null) {
         try {
             // 添加收盘价
             this.closingPrices.push(price);
+            this.indicators.forEach(indicator => indicator.update(price));
             if (this.closingPrices.length > config.indicators.maxClosingPrices) {
                 this.closingPrices.shift();
             }
@@ -38,28 +79,36 @@ class TechnicalAnalysis {
         }
     }
 
+    // 收盘K线 { openTime, open, high, low, close, volume }
+    addCandle(candle) {
+        this.candles.push(candle);
+        if (this.candles.length > config.indicators.maxClosingPrices) {
+            this.candles.shift();
+        }
+        this.candleIndicators.forEach(indicator => indicator.update(candle));
+        this.addPrice(candle.close, candle.volume);
+    }
+
     calculateEMAs(currentPrice) {
         try {
-            const prices = [...this.closingPrices, currentPrice];
-            if (prices.length < config.indicators.ema50Period) {
+            // 不传当前价格时只用已收盘的价格计算
+            const count = this.closingPrices.length + (currentPrice === undefined ? 0 : 1);
+            if (count < config.indicators.ema50Period) {
                 logger.warn('数据不足，无法计算EMA50', {
                     required: config.indicators.ema50Period,
-                    current: prices.length
+                    current: count
                 });
                 return { ema5: null, ema50: null };
             }
 
-            const ema5Array = EMA.calculate({
-                period: config.indicators.ema5Period,
-                values: prices
-            });
-
-            const ema50Array = EMA.calculate({
-                period: config.indicators.ema50Period,
-                values: prices
-            });
-            const ema5 = ema5Array[ema5Array.length - 1];
-            const ema50 = ema50Array[ema50Array.length - 1];
+            const ema5 = this.getIndicatorValue(
+                this.getIndicator(`ema:${config.indicators.ema5Period}`, () => new StreamingEMA(config.indicators.ema5Period)),
+                currentPrice
+            );
+            const ema50 = this.getIndicatorValue(
+                this.getIndicator(`ema:${config.indicators.ema50Period}`, () => new StreamingEMA(config.indicators.ema50Period)),
+                currentPrice
+            );
             logger.debug('EMA计算完成', {
                 ema5: ema5,
                 ema50: ema50
@@ -79,12 +128,8 @@ class TechnicalAnalysis {
                 return null;
             }
 
-            const rsiResult = RSI.calculate({
-                period: period,
-                values: this.closingPrices
-            });
-
-            return rsiResult[rsiResult.length - 1];
+            const rsi = this.getIndicator(`rsi:${period}`, () => new StreamingRSI(period));
+            return rsi.value;
         } catch (error) {
             logger.error('计算RSI失败', { error: error.message });
             throw error;
@@ -93,17 +138,8 @@ class TechnicalAnalysis {
 
     calculateMACD() {
         try {
-            const macdInput = {
-                values: this.closingPrices,
-                fastPeriod: 12,
-                slowPeriod: 26,
-                signalPeriod: 9,
-                SimpleMAOscillator: false,
-                SimpleMASignal: false
-            };
-
-            const macdResults = MACD.calculate(macdInput);
-            return macdResults[macdResults.length - 1];
+            const macd = this.getIndicator('macd:12:26:9', () => new StreamingMACD(12, 26, 9));
+            return macd.value;
         } catch (error) {
             logger.error('计算MACD失败', { error: error.message });
             throw error;
@@ -112,31 +148,90 @@ class TechnicalAnalysis {
 
     calculateBollingerBands(period = 20, stdDev = 2) {
         try {
-            const bbInput = {
-                period: period,
-                values: this.closingPrices,
-                stdDev: stdDev
-            };
-
-            const bbResults = BollingerBands.calculate(bbInput);
-            return bbResults[bbResults.length - 1];
+            const bb = this.getIndicator(`bb:${period}:${stdDev}`, () => new StreamingBollingerBands(period, stdDev));
+            return bb.value;
         } catch (error) {
             logger.error('计算布林带失败', { error: error.message });
             throw error;
         }
     }
-    updateEmaHistory(ema5, ema50) {
+    // 传入未收盘K线时返回临时值
+    calculateATR(period = config.indicators.atrPeriod, currentCandle) {
+        try {
+            if (this.candles.length <= period) {
+                logger.warn('数据不足，无法计算ATR');
+                return null;
+            }
+
+            const atr = this.getCandleIndicator(`atr:${period}`, () => new StreamingATR(period));
+            return this.getIndicatorValue(atr, currentCandle);
+        } catch (error) {
+            logger.error('计算ATR失败', { error: error.message });
+            throw error;
+        }
+    }
+
+    // 不传 anchorTime 时为按UTC日重新累计的当日VWAP，传入时为从该时间开始的锚定VWAP
+    // 锚定时间早于已保存的K线时，从最早的K线开始累计
+    calculateVWAP(anchorTime) {
         try {
-            this.ema5History.push(ema5);
-            this.ema5History.push(ema5);
-            if (this.ema5History.length > config.indicators.maxEma5History) {
-                this.ema5History.shift();
+            if (this.candles.length === 0) {
+                return null;
             }
 
-            this.ema50History.push(ema50);
-            this.ema50History.push(ema50);
-            if (this.ema50History.length > config.indicators.maxEma5History) {
-                this.ema50History.shift();
+            const vwap = anchorTime === undefined
+                ? this.getCandleIndicator('vwap:session', () => new StreamingVWAP({ sessionMs: DAY_MS }))
+                : this.getCandleIndicator(`vwap:${anchorTime}`, () => new StreamingVWAP({ anchorTime }));
+            return vwap.value === undefined ? null : vwap.value;
+        } catch (error) {
+            logger.error('计算VWAP失败', { error: error.message });
+            throw error;
+        }
+    }
+
+    calculateOBV() {
+        try {
+            const obv = this.getCandleIndicator('obv', () => new StreamingOBV());
+            return obv.value === undefined ? null : obv.value;
+        } catch (error) {
+            logger.error('计算OBV失败', { error: error.message });
+            throw error;
+        }
+    }
+
+    // 最新收盘K线成交量超过前 period 根平均成交量的 multiplier 倍时视为放量
+    detectVolumeSpike(period = config.indicators.volumeSpikePeriod, multiplier = config.indicators.volumeSpikeMultiplier) {
+        try {
+            if (this.volumeHistory.length <= period) {
+                return null;
+            }
+
+            const volume = this.volumeHistory[this.volumeHistory.length - 1];
+            const previous = this.volumeHistory.slice(-period - 1, -1);
+            const average = previous.reduce((sum, value) => sum + value, 0) / period;
+            const ratio = average > 0 ? volume / average : 0;
+
+            return {
+                spike: ratio >= multiplier,
+                volume,
+                average,
+                ratio
+            };
+        } catch (error) {
+            logger.error('检测成交量异常失败', { error: error.message });
+            throw error;
+        }
+    }
+
+    // EMA历史每根收盘K线一个值，未收盘K线的实时值由 updateLastEma 追加在最后，收盘时替换为收盘值
+    updateEmaHistory(ema5, ema50) {
+        try {
+            if (this.hasLiveEma) {
+                this.ema5History[this.ema5History.length - 1] = ema5;
+                this.ema50History[this.ema50History.length - 1] = ema50;
+                this.hasLiveEma = false;
+            } else {
+                this.pushEma(ema5, ema50);
             }
             this.previousEma5 = ema5;
             this.previousEma50 = ema50;
@@ -151,11 +246,25 @@ class TechnicalAnalysis {
         }
     }
 
+    pushEma(ema5, ema50) {
+        this.ema5History.push(ema5);
+        this.ema50History.push(ema50);
+        while (this.ema5History.length > config.indicators.maxEma5History) {
+            this.ema5History.shift();
+            this.ema50History.shift();
+        }
+    }
+
     updateLastEma(ema5, ema50) {
         try {
             if (this.ema5History.length > 0 && this.ema50History.length > 0) {
-                this.ema5History[this.ema5History.length - 1] = ema5;
-                this.ema50History[this.ema50History.length - 1] = ema50;
+                if (this.hasLiveEma) {
+                    this.ema5History[this.ema5History.length - 1] = ema5;
+                    this.ema50History[this.ema50History.length - 1] = ema50;
+                } else {
+                    this.pushEma(ema5, ema50);
+                    this.hasLiveEma = true;
+                }
 
                 logger.debug('最新EMA值已更新', {
                     lastEma5: ema5,
@@ -168,68 +277,53 @@ class TechnicalAnalysis {
         }
     }
 
-    checkArcPattern(currentEma5, currentEma50) {
-        try {
+    // 按 settings.minEmaDiff 换算阈值，需要ATR时才计算ATR
+    resolveThreshold(threshold, price) {
+        const atr = threshold && threshold.atr !== undefined ? this.calculateATR() : null;
+        return resolveThreshold(threshold, { price, atr });
+    }
 
-            if (this.ema5History.length < 5 || this.ema50History.length < 5) {
+    // 在EMA5历史中查找圆弧顶/底，返回 { type, index, value, strength, ema50, diff }，没有时返回 null
+    // settings.arc 设置检测窗口和左右强度，settings.minEmaDiff 为顶/底点与对应时刻EMA50的最小差值
+    checkArcPattern(currentEma5, currentEma50, settings = config.trading) {
+        try {
+            const detector = new SwingDetector(settings.arc);
+            if (this.ema5History.length < detector.window || this.ema50History.length < detector.window) {
                 logger.debug('EMA历史数据不足，无法判断圆弧形态');
                 return null;
             }
-            const lastFiveEma5 = this.ema5History.slice(-5);
-            const lastFiveEma50 = this.ema50History.slice(-5);
-            const middleEma5 = lastFiveEma5[2];
-            const middleEma50 = lastFiveEma50[2];
-            if (middleEma5 > lastFiveEma5[0] && middleEma5 > lastFiveEma5[1] &&
-                middleEma5 > lastFiveEma5[3] && middleEma5 > lastFiveEma5[4] &&
-                currentEma5 > currentEma50) {
-                const arcEmaDiff = Math.abs(middleEma5 - middleEma50);
-                console.log('arcEmaDiff', arcEmaDiff)
-                if (arcEmaDiff < config.trading.minEmaDiff) {
-                    logger.debug('圆弧顶/底点与对应时刻EMA50的差值不足，不构成有效信号', {
-                        arcPoint: middleEma5,
-                        arcEma50: middleEma50,
-                        difference: arcEmaDiff,
-                        required: config.trading.minEmaDiff
-                    });
-                    return null;
-                }
-                logger.info('检测到圆弧顶形态', {
-                    ema5Values: lastFiveEma5.map(v => v),
-                    ema50Values: lastFiveEma50.map(v => v),
-                    arcPoint: middleEma5,
-                    arcEma50: middleEma50,
-                    arcEmaDiff: arcEmaDiff
-                });
-                return 'TOP';
+
+            const swing = detector.detect(this.ema5History);
+            if (!swing) return null;
+
+            // 圆弧顶要求EMA5仍在EMA50上方，圆弧底要求在下方
+            if (swing.type === 'TOP' ? currentEma5 <= currentEma50 : currentEma5 >= currentEma50) {
+                return null;
             }
 
-            if (middleEma5 < lastFiveEma5[0] && middleEma5 < lastFiveEma5[1] &&
-                middleEma5 < lastFiveEma5[3] && middleEma5 < lastFiveEma5[4] &&
-                currentEma5 < currentEma50) {
-
-
-                const arcEmaDiff = Math.abs(middleEma5 - middleEma50);
-                console.log('arcEmaDiff', arcEmaDiff)
-                if (arcEmaDiff < config.trading.minEmaDiff) {
-                    logger.debug('圆弧顶/底点与对应时刻EMA50的差值不足，不构成有效信号', {
-                        arcPoint: middleEma5,
-                        arcEma50: middleEma50,
-                        difference: arcEmaDiff,
-                        required: config.trading.minEmaDiff
-                    });
-                    return null;
-                }
-                logger.info('检测到圆弧底形态', {
-                    ema5Values: lastFiveEma5.map(v => v),
-                    ema50Values: lastFiveEma50.map(v => v),
-                    arcPoint: middleEma5,
-                    arcEma50: middleEma50,
-                    arcEmaDiff: arcEmaDiff
+            const arcEma50 = this.ema50History[swing.index];
+            const arcEmaDiff = Math.abs(swing.value - arcEma50);
+            const minEmaDiff = this.resolveThreshold(settings.minEmaDiff, swing.value);
+            const name = swing.type === 'TOP' ? '圆弧顶' : '圆弧底';
+            if (minEmaDiff === null || arcEmaDiff < minEmaDiff) {
+                logger.debug('圆弧顶/底点与对应时刻EMA50的差值不足，不构成有效信号', {
+                    arcPoint: swing.value,
+                    arcEma50,
+                    difference: arcEmaDiff,
+                    required: minEmaDiff
                 });
-                return 'BOTTOM';
+                return null;
             }
 
-            return null;
+            logger.info(`检测到${name}形态`, {
+                ema5Values: this.ema5History.slice(-detector.window),
+                ema50Values: this.ema50History.slice(-detector.window),
+                arcPoint: swing.value,
+                arcEma50,
+                arcEmaDiff,
+                strength: swing.strength
+            });
+            return { ...swing, ema50: arcEma50, diff: arcEmaDiff };
         } catch (error) {
             logger.error('检查圆弧形态失败', { error: error.message });
             throw error;
@@ -239,10 +333,14 @@ class TechnicalAnalysis {
     calculateAllIndicators() {
         try {
             const currentPrice = this.closingPrices[this.closingPrices.length - 1];
-            const { ema5, ema50 } = this.calculateEMAs(currentPrice);
+            const { ema5, ema50 } = this.calculateEMAs();
             const rsi = this.calculateRSI();
             const macd = this.calculateMACD();
             const bb = this.calculateBollingerBands();
+            const atr = this.calculateATR();
+            const vwap = this.calculateVWAP();
+            const obv = this.calculateOBV();
+            const volumeSpike = this.detectVolumeSpike();
 
             const indicators = {
                 ema5,
@@ -250,6 +348,10 @@ class TechnicalAnalysis {
                 rsi,
                 macd,
                 bb,
+                atr,
+                vwap,
+                obv,
+                volumeSpike,
                 price: currentPrice
             };
 
@@ -284,13 +386,64 @@ class TechnicalAnalysis {
         }
     }
 
+    // 按EMA排列、RSI区间和MACD柱方向判断趋势，启用的条件全部一致时返回方向，否则返回 null
+    getTrend({ ema = true, rsi = false, macd = false } = {}, currentPrice) {
+        const votes = {};
+
+        if (ema) {
+            const { ema5, ema50 } = this.calculateEMAs(currentPrice);
+            votes.ema = ema5 && ema50 ? (ema5 > ema50 ? 'long' : 'short') : null;
+        }
+        if (rsi) {
+            const value = this.closingPrices.length > config.indicators.rsiPeriod
+                ? this.calculateRSI(config.indicators.rsiPeriod)
+                : null;
+            votes.rsi = value === null || value === undefined || value === 50 ? null : (value > 50 ? 'long' : 'short');
+        }
+        if (macd) {
+            const value = this.closingPrices.length >= config.indicators.macdSlow + config.indicators.macdSignal
+                ? this.calculateMACD()
+                : null;
+            votes.macd = value && value.histogram ? (value.histogram > 0 ? 'long' : 'short') : null;
+        }
+
+        const directions = Object.values(votes);
+        const direction = directions.length > 0 && directions.every(d => d && d === directions[0])
+            ? directions[0]
+            : null;
+        return { direction, votes };
+    }
+
+    // EMA历史用于圆弧形态判断，重启后恢复
+    getState() {
+        return {
+            ema5History: [...this.ema5History],
+            ema50History: [...this.ema50History],
+            hasLiveEma: this.hasLiveEma,
+            previousEma5: this.previousEma5,
+            previousEma50: this.previousEma50
+        };
+    }
+
+    setState(state) {
+        this.ema5History = [...(state.ema5History || [])];
+        this.ema50History = [...(state.ema50History || [])];
+        this.hasLiveEma = Boolean(state.hasLiveEma);
+        this.previousEma5 = state.previousEma5 || null;
+        this.previousEma50 = state.previousEma50 || null;
+    }
+
     reset() {
         this.closingPrices = [];
         this.ema5History = [];
         this.ema50History = [];
+        this.hasLiveEma = false;
         this.previousEma5 = null;
         this.previousEma50 = null;
         this.volumeHistory = [];
+        this.candles = [];
+        this.indicators.clear();
+        this.candleIndicators.clear();
         logger.info('技术分析数据已重置');
     }
 }
@@ -0,0 +1,169 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { TelegramClient, getRetryAfter } = require('../utils/telegramClient');
+
+// Telegram命令监听: 长轮询 getUpdates，只响应配置的 chatId
+class TelegramCommands {
+    constructor(botManager, options = {}) {
+        const settings = { ...config.logging.telegram, ...options };
+        this.botManager = botManager;
+        this.chatId = String(settings.chatId);
+        this.pollTimeout = settings.commands.pollTimeout;
+        this.client = new TelegramClient({
+            botToken: settings.botToken,
+            apiUrl: settings.apiUrl
+        });
+        this.offset = 0;
+        this.running = false;
+        this.abortController = null;
+        this.polling = null;
+
+        this.commands = {
+            '/status': () => this.handleStatus(),
+            '/position': () => this.handlePosition(),
+            '/pnl': () => this.handlePnl(),
+            '/pause': () => this.handlePause(),
+            '/resume': () => this.handleResume(),
+            '/close': args => this.handleClose(args)
+        };
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.polling = this.poll();
+        logger.info('Telegram命令监听已启动');
+    }
+
+    async poll() {
+        while (this.running) {
+            try {
+                this.abortController = new AbortController();
+                const updates = await this.client.getUpdates(this.offset, this.pollTimeout, this.abortController.signal);
+                for (const update of updates) {
+                    this.offset = update.update_id + 1;
+                    await this.handleUpdate(update);
+                }
+            } catch (error) {
+                if (!this.running) break;
+
+                const delay = getRetryAfter(error) || config.websocket.reconnectDelay;
+                logger.error('获取Telegram消息失败', { error: error.message, delay });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async handleUpdate(update) {
+        const message = update.message;
+        if (!message || typeof message.text !== 'string') return;
+
+        if (String(message.chat.id) !== this.chatId) {
+            logger.warn('忽略未授权的Telegram消息', { chatId: message.chat.id });
+            return;
+        }
+
+        // 群组中的命令可能带 @机器人名 后缀
+        const [command, ...args] = message.text.trim().split(/\s+/);
+        const handler = this.commands[command.split('@')[0].toLowerCase()];
+        if (!handler) {
+            await this.reply(`未知命令 ${command}\n可用命令: ${Object.keys(this.commands).join(' ')}`);
+            return;
+        }
+
+        logger.info('收到Telegram命令', { command, args });
+        try {
+            await this.reply(await handler(args));
+        } catch (error) {
+            logger.error('执行Telegram命令失败', { command, error: error.message });
+            await this.reply(`${command} 执行失败: ${error.message}`);
+        }
+    }
+
+    async handleStatus() {
+        const status = this.botManager.getStatus();
+        const lines = [
+            `模式: ${status.mode}`,
+            `状态: ${status.paused ? '已暂停开仓' : '运行中'}`,
+            `交易对: ${status.symbols.join(', ')}`,
+            `持仓额度: ${status.positionsUsed}/${status.maxPositions}`
+        ];
+        status.accounts
+            .filter(({ risk }) => risk.blocked)
+            .forEach(({ account, risk }) => lines.push(`风控限制 (${account}): ${risk.blocked.reason}`));
+        return lines.join('\n');
+    }
+
+    async handlePosition() {
+        const positions = await this.botManager.getPositions();
+        const open = positions.filter(position => position.type);
+        if (open.length === 0) {
+            return '当前无持仓';
+        }
+
+        return open.map(position => [
+            `${position.symbol} ${position.type === 'long' ? '多' : '空'} ${position.qty}`,
+            `开仓价: ${position.entryPrice || '-'}  最新价: ${position.lastPrice === null ? '-' : position.lastPrice}`,
+            `浮动盈亏: ${position.unrealizedProfit === undefined ? '-' : Number(position.unrealizedProfit).toFixed(2)}`
+        ].join('\n')).join('\n\n');
+    }
+
+    // 多个账户 (不同市场或保证金资产) 时分别列出
+    async handlePnl() {
+        const accounts = await this.botManager.getPnl();
+        return accounts.map(pnl => [
+            ...(accounts.length > 1 ? [`[${pnl.account}]`] : []),
+            `账户权益: ${pnl.marginBalance.toFixed(2)}`,
+            `可用余额: ${pnl.availableBalance.toFixed(2)}`,
+            `未实现盈亏: ${pnl.unrealizedProfit.toFixed(2)}`,
+            `今日已实现盈亏: ${pnl.dailyRealizedPnl.toFixed(2)}`,
+            `今日权益变化: ${pnl.dailyPnl === null ? '-' : pnl.dailyPnl.toFixed(2)}`
+        ].join('\n')).join('\n\n');
+    }
+
+    async handlePause() {
+        this.botManager.pause();
+        return '已暂停开仓，现有持仓和保护单不受影响';
+    }
+
+    async handleResume() {
+        this.botManager.resume();
+        return '已恢复开仓';
+    }
+
+    // /close 平掉所有持仓，/close BTCUSDT 只平指定交易对，/close BTCUSDT long 双向持仓时只平多单
+    async handleClose(args) {
+        const symbol = args[0] ? args[0].toUpperCase() : null;
+        const direction = args[1] ? args[1].toLowerCase() : undefined;
+        if (direction && !['long', 'short'].includes(direction)) {
+            return '方向只能是 long 或 short';
+        }
+        if (symbol) {
+            await this.botManager.closePosition(symbol, direction);
+            return `${symbol}${direction ? ` ${direction}` : ''} 已执行紧急平仓`;
+        }
+        await this.botManager.closeAllPositions();
+        return '所有交易对已执行紧急平仓';
+    }
+
+    async reply(text) {
+        try {
+            await this.client.sendMessage(this.chatId, text);
+        } catch (error) {
+            logger.error('发送Telegram回复失败', { error: error.message });
+        }
+    }
+
+    async stop() {
+        this.running = false;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        if (this.polling) {
+            await this.polling;
+        }
+        logger.info('Telegram命令监听已停止');
+    }
+}
+
+module.exports = TelegramCommands;
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// 交易日志: 每次开仓/平仓追加一行JSON，进程崩溃也不会丢失已写入的记录
+class TradeJournal {
+    constructor(filePath = config.journal.file) {
+        this.filePath = filePath;
+    }
+
+    record(entry) {
+        const timestamp = Date.now();
+        const record = {
+            time: new Date(timestamp).toISOString(),
+            timestamp,
+            mode: config.exchange.mode,
+            ...entry
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+        } catch (error) {
+            logger.error('写入交易日志失败', {
+                error: error.message,
+                file: this.filePath
+            });
+        }
+        return record;
+    }
+
+    recordOpen(trade) {
+        return this.record({ event: 'open', ...trade });
+    }
+
+    recordAdd(trade) {
+        return this.record({ event: 'add', ...trade });
+    }
+
+    recordClose(trade) {
+        return this.record({ event: 'close', ...trade });
+    }
+
+    // 读取时间范围内的记录，from/to 为毫秒时间戳
+    read({ from = 0, to = Infinity } = {}) {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim().length > 0)
+            .map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    logger.warn('跳过无法解析的交易日志', { line: index + 1 });
+                    return null;
+                }
+            })
+            .filter(record => record && record.timestamp >= from && record.timestamp <= to);
+    }
+}
+
+module.exports = TradeJournal;
@@ -1,38 +1,107 @@
 const config = require('../config');
 const logger = require('../utils/logger');
-const BinanceApi = require('./binanceApi');
+const { createExchange } = require('./exchangeFactory');
 const TechnicalAnalysis = require('./technicalAnalysis');
-const WebSocketManager = require('./webSocketManager');
+const PositionBudget = require('./positionBudget');
+const RiskManager = require('./riskManager');
+const StateStore = require('./stateStore');
+const { CandleStore } = require('./candleStore');
+const { SymbolRulesCache } = require('./symbolRules');
+const OrderExecutor = require('./orderExecutor');
+const { metrics } = require('./metrics');
+const { notify } = require('./notifier');
+const { createStrategy } = require('../strategies');
+const { getSymbolSettings } = require('../utils/symbolSettings');
+
+const DIRECTIONS = ['long', 'short'];
+const FINAL_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED'];
 
 class TradingBot {
-    constructor() {
-        this.binanceApi = new BinanceApi();
+    constructor(options = {}) {
+        this.settings = options.settings || getSymbolSettings(config.trading.symbols[0]);
+        this.symbol = this.settings.symbol;
+        this.logger = logger.child({ symbol: this.symbol });
+        this.binanceApi = options.binanceApi || createExchange(undefined, this.settings.market);
+        this.market = this.binanceApi.market;
+        // 余额、盈亏和风控使用的资产，币本位为标的币，其他市场为计价资产 (可用 marginAsset 覆盖)
+        this.marginAsset = this.settings.marginAsset || this.market.getMarginAsset(this.symbol);
+        // 双向持仓时多空两腿分别开平，现货只有单向
+        this.hedgeMode = this.market.futures &&
+            (options.hedgeMode !== undefined ? options.hedgeMode : config.exchange.hedgeMode);
+        this.positionBudget = options.positionBudget || new PositionBudget(this.settings.maxPositions);
+        this.symbolRules = options.symbolRules || new SymbolRulesCache(this.binanceApi);
+        this.accountStream = options.accountStream || null; // 用户数据流缓存，仅实盘使用
+        // 开仓/加仓的下单方式由 settings.execution 决定，经过 placeOrder 统计订单数
+        this.executor = new OrderExecutor({
+            exchange: this.binanceApi,
+            symbol: this.symbol,
+            logger: this.logger,
+            placeOrder: (...args) => this.placeOrder(...args),
+            getFill: (order, fallbackPrice) => this.getOrderFill(order, fallbackPrice)
+        });
+        this.riskManager = options.riskManager || new RiskManager({
+            asset: this.marginAsset,
+            notify: (text, data) => this.notify('risk-breach', text, data),
+            onBreach: () => this.emergencyClosePosition()
+        });
+        this.journal = options.journal || null; // 由 BotManager 共享，所有交易对写同一个日志
+        this.stateStore = options.stateStore !== undefined
+            ? options.stateStore
+            : (config.state.enabled ? new StateStore(this.symbol) : null);
+        this.persistCandles = options.persistCandles !== undefined ? options.persistCandles : config.candles.persist;
         this.technicalAnalysis = new TechnicalAnalysis();
+        this.candleStore = this.createCandleStore(this.settings.interval);
+        this.indicatorState = null; // 最近一次收盘时的指标快照
+        this.timeframes = new Map(); // 趋势确认周期 -> { technicalAnalysis, candleStore, lastPrice }
+        for (const interval of this.settings.trendFilter.intervals) {
+            if (interval !== this.settings.interval) {
+                this.timeframes.set(interval, {
+                    technicalAnalysis: new TechnicalAnalysis(),
+                    candleStore: this.createCandleStore(interval),
+                    lastPrice: null
+                });
+            }
+        }
         this.allowAddOrder = { long: false, short: false };
-        this.wsManager = null;
         this.testMode = false; // 添加测试模式标志
-        this.lastArcPattern = null; // 记录上一次的圆弧形态
-        this.lastCrossSignal = null; // 记录上一次的突破信号
-        this.crossPrice = null; // 记录突破时的价格
+        this.strategy = createStrategy(this.settings.strategy, {
+            symbol: this.symbol,
+            settings: this.settings,
+            hedgeMode: this.hedgeMode,
+            technicalAnalysis: this.technicalAnalysis,
+            logger: this.logger,
+            getPosition: () => this.getStrategyPosition(),
+            confirmTrend: direction => this.confirmTrend(direction)
+        });
+        this.pendingIntents = []; // 成交回调产生的交易意图
+        this.klineTask = Promise.resolve(); // 正在处理的K线，同一时间只处理一条
+        this.queuedKlines = 0; // 排队和处理中的K线数
+        this.paused = false; // 暂停时不开新仓
+        this.protectiveOrders = []; // 交易所止损/止盈挂单 { orderId, type, direction }
+        this.trades = { long: null, short: null }; // 各方向持仓的开仓信息，平仓时写入交易日志，单向持仓时最多一个
+        this.lastPrice = null; // 最新推送价格
+        this.notifyEnabled = options.notifyEnabled !== false; // 回测时关闭通知推送
+        this.events = options.events || null; // 实时行情和成交事件，供控制接口的SSE推送
     }
 
+    // 持仓模式和WebSocket由 BotManager 统一管理
     async start() {
         try {
-            // 设置为单向持仓模式
-            await this.binanceApi.setPositionMode(false);
-
             if (this.testMode) {
-                logger.info('交易机器人启动于测试模式');
+                this.logger.info('交易机器人启动于测试模式');
                 await this.testTrading();
                 return;
             }
             
             await this.initializeHistoricalData();
-            this.startWebSocket();
-            logger.info('交易机器人启动成功');
-            await this.sendSignal(`${config.trading.symbol} 交易机器人启动成功`);
+            this.loadState();
+            await this.reconcileState();
+            await this.syncPositionBudget();
+            this.saveState();
+            this.logger.info('交易机器人启动成功');
+            this.notify('info', `${this.symbol} 交易机器人启动成功`);
         } catch (error) {
-            logger.error('交易机器人启动失败', { error: error.message });
+            this.logger.error('交易机器人启动失败', { error: error.message });
             throw error;
         }
     }
@@ -40,38 +109,38 @@ class TradingBot {
     async testTrading() {
         try {
             // 获取当前价格
-            const currentPrice = await this.binanceApi.getLatestPrice(config.trading.symbol);
-            logger.info('当前价格', { price: currentPrice });
+            const currentPrice = await this.binanceApi.getLatestPrice(this.symbol);
+            this.logger.info('当前价格', { price: currentPrice });
 
             // 测试开多仓
-            logger.info('测试开多仓...');
-            await this.openPosition('long', currentPrice);
+            this.logger.info('测试开多仓...');
+            await this.openPosition('long', currentPrice, { source: 'TEST' });
             await new Promise(resolve => setTimeout(resolve, 2000));
 
             // 获取最新价格
-            const closePrice = await this.binanceApi.getLatestPrice(config.trading.symbol);
+            const closePrice = await this.binanceApi.getLatestPrice(this.symbol);
 
             // 测试平多仓
-            logger.info('测试平多仓...');
-            await this.closePosition(closePrice);
+            this.logger.info('测试平多仓...');
+            await this.closePosition(closePrice, { source: 'TEST' });
             await new Promise(resolve => setTimeout(resolve, 2000));
 
             // 测试开空仓
-            logger.info('测试开空仓...');
-            await this.openPosition('short', closePrice);
+            this.logger.info('测试开空仓...');
+            await this.openPosition('short', closePrice, { source: 'TEST' });
             await new Promise(resolve => setTimeout(resolve, 2000));
 
             // 获取最新价格
-            const finalPrice = await this.binanceApi.getLatestPrice(config.trading.symbol);
+            const finalPrice = await this.binanceApi.getLatestPrice(this.symbol);
 
             // 测试平空仓
-            logger.info('测试平空仓...');
-            await this.closePosition(finalPrice);
+            this.logger.info('测试平空仓...');
+            await this.closePosition(finalPrice, { source: 'TEST' });
 
-            logger.info('交易测试完成');
+            this.logger.info('交易测试完成');
             process.exit(0);
         } catch (error) {
-            logger.error('交易测试失败', {
+            this.logger.error('交易测试失败', {
                 error: error.message,
                 details: error.response?.data
             });
@@ -79,410 +148,1203 @@ class TradingBot {
         }
     }
 
+    createCandleStore(interval) {
+        return new CandleStore({
+            symbol: this.symbol,
+            interval,
+            binanceApi: this.binanceApi,
+            persist: this.persistCandles
+        });
+    }
+
     async initializeHistoricalData() {
         try {
-            const klines = await this.binanceApi.getHistoricalKlines(
-                config.trading.symbol,
-                config.trading.interval,
-                config.indicators.historyLimit
-            );
-
-            // 初始化技术分析数据
-            klines.forEach(kline => {
-                this.technicalAnalysis.addPrice(parseFloat(kline[4])); // 收盘价
+            // 初始化技术分析数据，有本地K线时只补齐停机期间的部分
+            await this.candleStore.sync(config.indicators.historyLimit);
+            this.candleStore.getCandles(config.indicators.maxClosingPrices).forEach(candle => {
+                this.technicalAnalysis.addCandle(candle);
             });
 
-            // 计算初始EMA值
-            const lastPrice = parseFloat(klines[klines.length - 1][4]);
-            const { ema5, ema50 } = this.technicalAnalysis.calculateEMAs(lastPrice);
-
-            if (ema5 && ema50) {
-                this.technicalAnalysis.updateEmaHistory(ema5,ema50);
-                logger.info('历史数据初始化完成', {
-                    ema5: ema5.toFixed(2),
-                    ema50: ema50.toFixed(2)
+            for (const timeframe of this.timeframes.values()) {
+                await timeframe.candleStore.sync(config.indicators.historyLimit);
+                timeframe.candleStore.getCandles(config.indicators.maxClosingPrices).forEach(candle => {
+                    timeframe.technicalAnalysis.addCandle(candle);
                 });
             }
+
+            this.strategy.warmup();
+            this.captureIndicatorState();
         } catch (error) {
-            logger.error('初始化历史数据失败', { error: error.message });
+            this.logger.error('初始化历史数据失败', { error: error.message });
             throw error;
         }
     }
 
-    startWebSocket() {
-        this.wsManager = new WebSocketManager(this.handleKline.bind(this));
-        this.wsManager.connect();
+    captureIndicatorState() {
+        this.indicatorState = {
+            time: Date.now(),
+            ...this.technicalAnalysis.getState()
+        };
     }
 
-    async handleKline(message) {
-        try {
-            if (message.e !== 'kline') return;
+    getState() {
+        return {
+            symbol: this.symbol,
+            allowAddOrder: this.allowAddOrder,
+            trades: this.trades,
+            protectiveOrders: this.protectiveOrders,
+            strategy: this.strategy.getState(),
+            indicators: this.indicatorState
+        };
+    }
 
-            const kline = message.k;
-            const currentPrice = parseFloat(kline.c);
-            const { ema5, ema50 } = this.technicalAnalysis.calculateEMAs(currentPrice);
+    saveState() {
+        if (!this.stateStore) return;
+        this.stateStore.save(this.getState());
+    }
 
-            if (!ema5 || !ema50) return;
+    loadState() {
+        if (!this.stateStore) return;
 
-            // logger.info('实时价格更新', {
-            //     price: currentPrice,
-            //     ema5: ema5.toFixed(2),
-            //     ema50: ema50.toFixed(2),
-            //     emaDiff: Math.abs(ema5 - ema50).toFixed(2)
-            // });
-            
-            
-            // K线收盘时更新历史数据
-            if (kline.x) {
-                this.technicalAnalysis.addPrice(currentPrice);
-                this.technicalAnalysis.updateEmaHistory(ema5,ema50);
-            } else {
-                this.technicalAnalysis.updateLastEma(ema5,ema50);
-                // 实时检查交易信号
-                await this.checkTradeSignals(ema5, ema50, currentPrice);
-                // 检查圆弧形态
-                const arcPattern = this.technicalAnalysis.checkArcPattern(ema5, ema50);
-                if (arcPattern && arcPattern !== this.lastArcPattern) {
-                    logger.info(`检测到新的${arcPattern === 'TOP' ? '圆弧顶' : '圆弧底'}形态`);
-                    await this.handleArcPattern(arcPattern, currentPrice, ema5, ema50);
-                    this.lastArcPattern = arcPattern;
-                }
-                // this.technicalAnalysis.updateLastEma(ema5,ema50);
-            }
+        const state = this.stateStore.load();
+        if (!state) return;
 
-        } catch (error) {
-            logger.error('处理K线数据失败', { error: error.message });
+        this.allowAddOrder = { long: false, short: false, ...state.allowAddOrder };
+        this.trades = { long: null, short: null, ...state.trades };
+        // 旧版快照只有一个 currentTrade，保护单没有方向
+        const legacyDirection = state.currentTrade ? state.currentTrade.direction : null;
+        if (state.currentTrade) {
+            this.trades[legacyDirection] = state.currentTrade;
+        }
+        this.protectiveOrders = (state.protectiveOrders || []).map(order => ({ direction: legacyDirection, ...order }));
+        if (state.strategy) {
+            this.strategy.setState(state.strategy);
+        }
+
+        // 过旧的指标快照与最新K线对不上，使用历史K线重新计算的结果
+        const indicators = state.indicators;
+        if (indicators && Date.now() - indicators.time <= config.state.maxIndicatorAge) {
+            this.technicalAnalysis.setState(indicators);
+            this.indicatorState = indicators;
         }
+
+        this.logger.info('已恢复状态快照', {
+            savedAt: state.savedAt ? new Date(state.savedAt).toISOString() : null,
+            trades: this.trades,
+            protectiveOrders: this.protectiveOrders.length,
+            indicatorsRestored: this.indicatorState === indicators
+        });
     }
 
-    async checkTradeSignals(ema5, ema50, currentPrice) {
-        try {
-            // 检查EMA交叉信号
-            const prevEma5 = this.technicalAnalysis.previousEma5;
-            const prevEma50 = this.technicalAnalysis.previousEma50;
+    // 将恢复的状态与交易所实际持仓和挂单核对，双向持仓时两腿分别核对
+    async reconcileState() {
+        const position = await this.getPosition();
+        const legs = this.getLegs(position);
+        const openOrders = await this.binanceApi.getOpenOrders(this.symbol);
+        const openOrderIds = new Set(openOrders.map(order => order.orderId));
+
+        // 本地记录的持仓已不存在，离线期间被保护单或手动平仓
+        for (const direction of DIRECTIONS) {
+            const trade = this.trades[direction];
+            if (!trade || legs[direction]) continue;
+
+            this.logger.warn('本地持仓记录与交易所不一致，按已平仓处理', {
+                saved: direction,
+                actual: position.type || 'none'
+            });
+            this.recordJournal('close', {
+                tradeId: trade.tradeId,
+                direction,
+                source: 'RECONCILE',
+                entrySource: trade.source,
+                entryPrice: trade.entryPrice
+            });
+            this.trades[direction] = null;
+            this.allowAddOrder[direction] = false;
+        }
 
-            if (!prevEma5 || !prevEma50) {
-                this.technicalAnalysis.previousEma5 = ema5;
-                this.technicalAnalysis.previousEma50 = ema50;
-                return;
+        const missingOrders = this.protectiveOrders.filter(order => !openOrderIds.has(order.orderId));
+        if (missingOrders.length > 0) {
+            this.logger.warn('保护单已不在交易所挂单中', { orders: missingOrders });
+            this.protectiveOrders = this.protectiveOrders.filter(order => openOrderIds.has(order.orderId));
+        }
+        const knownOrderIds = new Set(this.protectiveOrders.map(order => order.orderId));
+        const unknownOrders = openOrders.filter(order => !knownOrderIds.has(order.orderId));
+
+        if (!this.trades.long && !this.trades.short) {
+            if (this.protectiveOrders.length > 0) {
+                await this.cancelProtectiveOrders();
             }
+        } else {
+            for (const direction of DIRECTIONS) {
+                if (!this.trades[direction]) {
+                    await this.cancelProtectiveOrders(direction);
+                }
+            }
+        }
+        if (unknownOrders.length > 0) {
+            await this.handleUnknownOrders(unknownOrders, legs);
+        }
 
-            // 判断是否需要检查持仓状态
-            const priceAboveEmas = currentPrice > ema5 && currentPrice > ema50;
-            const priceBelowEmas = currentPrice < ema5 && currentPrice < ema50;
-            const hasEmaCross = (prevEma5 > prevEma50 && ema5 < ema50) || 
-                               (prevEma5 < prevEma50 && ema5 > ema50);
+        for (const direction of DIRECTIONS) {
+            if (legs[direction] && !this.trades[direction]) {
+                await this.handleOrphanPosition(legs[direction]);
+            }
+        }
+    }
 
-            // 只有在可能需要交易时才获取持仓信息
-            if (priceAboveEmas || priceBelowEmas || hasEmaCross) {
-                const position = await this.binanceApi.getCurrentPosition(config.trading.symbol);
+    // 挂单对应的持仓方向: 双向持仓看 positionSide，单向持仓为平仓方向的持仓
+    getOrderDirection(order) {
+        if (order.positionSide === 'LONG' || order.positionSide === 'SHORT') {
+            return order.positionSide.toLowerCase();
+        }
+        return order.side === 'SELL' ? 'long' : 'short';
+    }
 
-                // 检查平仓条件
-                if (position.type === 'short' && priceAboveEmas) {
-                    logger.info('空单平仓条件触发: 价格突破EMA5和EMA50', {
-                        currentPrice: currentPrice.toFixed(2),
-                        ema5: ema5.toFixed(2),
-                        ema50: ema50.toFixed(2),
-                        positionType: 'short'
+    async handleUnknownOrders(orders, legs) {
+        const policy = config.state.unknownOrders;
+        this.logger.warn('交易所存在本地未记录的挂单', {
+            policy,
+            orders: orders.map(({ orderId, type, side, positionSide, reduceOnly }) => ({ orderId, type, side, positionSide, reduceOnly }))
+        });
+
+        for (const order of orders) {
+            // 双向持仓的订单没有 reduceOnly，与持仓方向相反的订单即为平仓单
+            const direction = this.getOrderDirection(order);
+            const closing = this.hedgeMode
+                ? (order.side === 'SELL') === (direction === 'long')
+                : order.reduceOnly || order.closePosition;
+            const adoptable = legs[direction] && closing;
+            if (policy === 'adopt' && adoptable) {
+                this.protectiveOrders.push({ orderId: order.orderId, type: order.type, direction });
+            } else if (policy === 'cancel') {
+                try {
+                    await this.binanceApi.cancelOrder(this.symbol, order.orderId);
+                } catch (error) {
+                    this.logger.error('撤销未知挂单失败', {
+                        error: error.message,
+                        orderId: order.orderId
                     });
-                    await this.closePosition(currentPrice);
-                    this.lastCrossSignal = null;
-                    return;
                 }
+            }
+        }
+    }
 
-                if (position.type === 'long' && priceBelowEmas) {
-                    logger.info('多单平仓条件触发: 价格跌破EMA5和EMA50', {
-                        currentPrice: currentPrice.toFixed(2),
-                        ema5: ema5.toFixed(2),
-                        ema50: ema50.toFixed(2),
-                        positionType: 'long'
-                    });
-                    await this.closePosition(currentPrice);
-                    this.lastCrossSignal = null;
-                    return;
-                }
+    async handleOrphanPosition(position) {
+        const policy = config.state.orphanPosition;
+        this.logger.warn('交易所存在本地未记录的持仓', {
+            policy,
+            direction: position.type,
+            qty: position.qty,
+            entryPrice: position.entryPrice
+        });
+        this.notify('error', `${this.symbol} 发现未记录的${position.type === 'long' ? '多' : '空'}单持仓 ${position.qty}，处理方式: ${policy}`, {
+            direction: position.type,
+            quantity: position.qty
+        });
+
+        if (policy === 'close') {
+            const currentPrice = await this.binanceApi.getLatestPrice(this.symbol);
+            await this.closePosition(currentPrice, { source: 'RECONCILE' }, position.type);
+            return;
+        }
+        if (policy !== 'adopt') return;
+
+        const entryPrice = position.entryPrice || await this.binanceApi.getLatestPrice(this.symbol);
+        const trade = {
+            tradeId: null,
+            direction: position.type,
+            source: 'RECONCILE',
+            entryPrice,
+            quantity: position.qty,
+            baseQuantity: position.qty,
+            adds: 0,
+            lastFillPrice: entryPrice,
+            leverage: position.leverage,
+            openTime: Date.now()
+        };
+        this.trades[position.type] = trade;
+
+        // 接管的持仓没有保护单时补挂，现货持仓没有开仓价，按当前价格计算
+        if (!this.protectiveOrders.some(order => order.direction === position.type)) {
+            const rules = await this.symbolRules.get(this.symbol);
+            await this.placeProtectiveOrders(position.type, trade.entryPrice, position.qty, rules);
+        }
+    }
 
-                // 检查开仓条件
-                if (!position.type && hasEmaCross) {  // 只在没有持仓时考虑开新仓
-                    let currentSignal = null;
-
-                    if (prevEma5 > prevEma50 && ema5 < ema50) {
-                        currentSignal = 'DOWN_CROSS';
-                        this.crossPrice = currentPrice;
-                    } else if (prevEma5 < prevEma50 && ema5 > ema50) {
-                        currentSignal = 'UP_CROSS';
-                        this.crossPrice = currentPrice;
-                    }
-
-                    if (currentSignal && currentSignal !== this.lastCrossSignal) {
-                        const newPositionType = currentSignal === 'DOWN_CROSS' ? 'short' : 'long';
-                        logger.info(`检测到新的${newPositionType === 'long' ? '上涨' : '下跌'}突破信号`);
-                        await this.openPosition(newPositionType, currentPrice);
-                        this.allowAddOrder[newPositionType] = true;
-                        this.lastCrossSignal = currentSignal;
-                    }
-                }
+    // 启动时已有持仓则占用持仓额度，每次加仓占用一个额度
+    async syncPositionBudget() {
+        const legs = this.getLegs(await this.getPosition());
+        const counts = new Map();
+        for (const direction of DIRECTIONS) {
+            const key = this.getBudgetKey(direction);
+            const trade = this.trades[direction];
+            const count = legs[direction] ? this.getBudgetSlots(direction) : 0;
+            counts.set(key, (counts.get(key) || 0) + count);
+        }
+        counts.forEach((count, key) => this.positionBudget.sync(key, count));
+    }
+
+    // WebSocket 推送不等待处理完成，下单等待成交期间可能收到新的推送
+    // 上一条K线处理中时跳过未收盘的实时推送 (下一条推送带最新价格)，收盘K线排队处理，避免重复执行交易意图
+    handleKline(message) {
+        if (this.queuedKlines > 0 && message.k && !message.k.x) {
+            this.logger.debug('上一条K线处理中，跳过实时推送', { interval: message.k.i, price: message.k.c });
+            return this.klineTask;
+        }
+
+        this.queuedKlines++;
+        this.klineTask = this.klineTask
+            .then(() => this.processKline(message))
+            .finally(() => {
+                this.queuedKlines--;
+            });
+        return this.klineTask;
+    }
+
+    async processKline(message) {
+        try {
+            if (message.e !== 'kline') return;
+
+            const kline = message.k;
+            if (kline.s !== this.symbol) return;
+
+            if (kline.i && kline.i !== this.settings.interval) {
+                await this.handleTimeframeKline(kline);
+                return;
             }
 
-            // 更新EMA历史值
-            // this.technicalAnalysis.previousEma5 = ema5;
-            // this.technicalAnalysis.previousEma50 = ema50;
+            const currentPrice = parseFloat(kline.c);
+            this.lastPrice = currentPrice;
+            this.emit('tick', { interval: kline.i, price: currentPrice, closed: kline.x });
+            metrics.ticks.inc({ symbol: this.symbol });
+            metrics.lastTick.set({ symbol: this.symbol }, Date.now() / 1000);
+
+            // 模拟盘/回测按推送价格撮合
+            if (typeof this.binanceApi.updateMarkPrice === 'function') {
+                this.binanceApi.updateMarkPrice(kline.s, currentPrice);
+            }
 
+            // K线收盘时更新历史数据，未收盘时按实时价格检查信号
+            let intents;
+            if (kline.x) {
+                // 断线期间漏掉的K线先补齐，只有当前K线产生的交易意图会被执行
+                const candles = await this.candleStore.add(this.parseCandle(kline));
+                intents = [];
+                for (const candle of candles) {
+                    this.technicalAnalysis.addCandle(candle);
+                    intents = await this.strategy.onCandle({ ...candle, interval: this.settings.interval });
+                }
+                if (candles.length > 0) {
+                    this.captureIndicatorState();
+                }
+            } else {
+                intents = await this.strategy.onTick({ price: currentPrice, kline });
+            }
+            metrics.signalEvaluations.inc({ symbol: this.symbol });
+            (intents || []).forEach(intent => metrics.signals.inc({ symbol: this.symbol, action: intent.action }));
+
+            await this.executeIntents(intents, currentPrice);
+            await this.checkPyramiding(currentPrice);
+            this.saveState();
         } catch (error) {
-            logger.error('检查交易信号失败', { error: error.message });
+            this.logger.error('处理K线数据失败', { error: error.message });
         }
     }
 
-    async handleArcPattern(pattern, currentPrice, ema5, ema50) {
-        try {
-            const emaValues = this.technicalAnalysis.ema5History;
+    parseCandle(kline) {
+        return {
+            openTime: kline.t,
+            closeTime: kline.T,
+            open: parseFloat(kline.o),
+            high: parseFloat(kline.h),
+            low: parseFloat(kline.l),
+            close: parseFloat(kline.c),
+            volume: parseFloat(kline.v)
+        };
+    }
 
-            // 检查是否已经发生突破
-            const hasBreakout = pattern === 'TOP' ? ema5 < ema50 : ema5 > ema50;
+    // 趋势确认周期只记录价格，收盘时加入历史数据
+    async handleTimeframeKline(kline) {
+        const timeframe = this.timeframes.get(kline.i);
+        if (!timeframe) return;
 
-            if (hasBreakout) {
-                // 如果已经发生突破，检查价格差异
-                if (!this.crossPrice) {
-                    return; // 如果没有记录突破价格，不执行交易
-                }
+        timeframe.lastPrice = parseFloat(kline.c);
+        if (kline.x) {
+            const candles = await timeframe.candleStore.add(this.parseCandle(kline));
+            candles.forEach(candle => {
+                timeframe.technicalAnalysis.addCandle(candle);
+            });
+        }
+    }
 
-                const priceDiff = Math.abs(currentPrice - this.crossPrice);
-                if (priceDiff > config.trading.maxPriceDiff) {
-                    logger.info('价格与突破点差异过大，不执行交易', {
-                        currentPrice,
-                        crossPrice: this.crossPrice,
-                        difference: priceDiff,
-                        maxAllowed: config.trading.maxPriceDiff
-                    });
-                    return;
-                }
+    // 所有趋势确认周期的方向都与开仓方向一致时返回 true，数据不足视为不一致
+    confirmTrend(direction) {
+        const filter = this.settings.trendFilter;
+        const trends = {};
+        let confirmed = true;
+
+        for (const [interval, timeframe] of this.timeframes) {
+            const price = timeframe.lastPrice === null ? undefined : timeframe.lastPrice;
+            const trend = timeframe.technicalAnalysis.getTrend(filter, price);
+            trends[interval] = trend.votes;
+            if (trend.direction !== direction) {
+                confirmed = false;
+            }
+        }
 
-                // 对于圆弧形态，检查与第二低/高点的差异
-                const sortedEmaValues = [...emaValues].sort((a, b) => pattern === 'TOP' ? b - a : a - b);
-                const secondExtreme = sortedEmaValues[1]; // 第二高/低点
-                const extremeDiff = Math.abs(currentPrice - secondExtreme);
+        if (!confirmed) {
+            this.logger.info('高级别周期趋势不一致，过滤开仓信号', { direction, trends });
+        }
+        return confirmed;
+    }
 
-                if (extremeDiff > config.trading.maxExtremeDiff) {
-                    logger.info('价格与第二极值点差异过大，不执行交易', {
-                        currentPrice,
-                        secondExtreme,
-                        difference: extremeDiff
+    getIntervals() {
+        return [this.settings.interval, ...this.timeframes.keys()];
+    }
+
+    // 执行策略返回的交易意图，成交回调产生的意图排在后面依次执行
+    async executeIntents(intents, currentPrice) {
+        const queue = [...(intents || [])];
+        while (queue.length > 0) {
+            const intent = queue.shift();
+            try {
+                // 反手时平掉反方向的持仓，close 不带方向时平掉所有持仓
+                if (intent.action === 'close') {
+                    await this.closePosition(currentPrice, intent.signal, intent.direction);
+                } else if (intent.action === 'reverse') {
+                    await this.closePosition(currentPrice, intent.signal, intent.direction === 'long' ? 'short' : 'long');
+                }
+                if (this.paused && intent.action !== 'close') {
+                    this.logger.info('已暂停开仓，忽略开仓信号', {
+                        direction: intent.direction,
+                        source: intent.signal && intent.signal.source
                     });
-                    return;
+                } else if (intent.action === 'open' || intent.action === 'reverse') {
+                    await this.openPosition(intent.direction, currentPrice, intent.signal);
+                } else if (intent.action === 'add' && this.settings.pyramiding.onSignal) {
+                    await this.addToPosition(intent.direction, currentPrice, intent.signal);
                 }
+            } catch (error) {
+                this.logger.error('执行交易信号失败', {
+                    action: intent.action,
+                    direction: intent.direction,
+                    source: intent.signal && intent.signal.source,
+                    error: error.message
+                });
             }
-            if (pattern === 'TOP' && pattern !== this.lastArcPattern) {
-                logger.info('检测到新的圆弧顶信号');
-                let position = await this.binanceApi.getCurrentPosition(config.trading.symbol);
-                if (position.type === 'long') {
-                    await this.closePosition(currentPrice);
-                }
-                if (position.type !== 'short') {
-                    await this.openPosition('short', currentPrice);
-                    this.allowAddOrder.short = true;
-                }
+            queue.push(...this.pendingIntents.splice(0));
+        }
+    }
+
+    // 所有下单都经过这里，统计发送/成交/拒绝的订单数
+    async placeOrder(side, quantity, reduceOnly = false, options = {}) {
+        const labels = { symbol: this.symbol, type: options.type || 'MARKET' };
+        metrics.orders.inc({ ...labels, status: 'sent' });
+        try {
+            const order = await this.binanceApi.placeOrder(this.symbol, side, quantity, reduceOnly, options);
+            if (order.status === 'FILLED') {
+                metrics.orders.inc({ ...labels, status: 'filled' });
             }
-            else if (pattern === 'BOTTOM' && pattern !== this.lastArcPattern) {
-                logger.info('检测到新的圆弧底信号');
-                let position = await this.binanceApi.getCurrentPosition(config.trading.symbol);
-                if (position.type === 'short') {
-                    await this.closePosition(currentPrice);
-                }
-                if (position.type !== 'long') {
-                    await this.openPosition('long', currentPrice);
-                    this.allowAddOrder.long = true;
-                }
+            return order;
+        } catch (error) {
+            metrics.orders.inc({ ...labels, status: 'rejected' });
+            throw error;
+        }
+    }
+
+    // 策略查询持仓时顺便检查持仓是否已被保护单平掉
+    async getStrategyPosition() {
+        const position = await this.getPosition();
+        const legs = this.getLegs(position);
+        for (const direction of DIRECTIONS) {
+            if (!legs[direction] && this.protectiveOrders.some(order => order.direction === direction)) {
+                await this.handleExternalClose(direction);
             }
+        }
+        return position;
+    }
+
+    async notifyFill(fill) {
+        this.emit('fill', {
+            action: fill.action,
+            direction: fill.direction,
+            price: fill.price,
+            quantity: fill.quantity,
+            realizedPnl: fill.realizedPnl,
+            source: fill.signal && fill.signal.source
+        });
+
+        try {
+            const intents = await this.strategy.onFill(fill);
+            this.pendingIntents.push(...(intents || []));
         } catch (error) {
-            logger.error('处理圆弧形态失败', { error: error.message });
+            this.logger.error('策略处理成交回调失败', { error: error.message });
         }
     }
 
-    async openPosition(direction, currentPrice) {
+    async openPosition(direction, currentPrice, signal = {}) {
+        if (direction === 'short' && !this.market.futures) {
+            this.logger.info(`${this.market.name}不能开空，忽略开空信号`, { source: signal.source });
+            return;
+        }
+        if (this.hedgeMode && this.trades[direction]) {
+            this.logger.info('该方向已有持仓，忽略开仓信号', { direction, source: signal.source });
+            return;
+        }
+        if (!this.positionBudget.tryAcquire(this.getBudgetKey(direction))) {
+            this.logger.warn('持仓数量已达上限，不执行开仓', {
+                direction,
+                used: this.positionBudget.used(),
+                maxPositions: this.positionBudget.maxPositions
+            });
+            return;
+        }
+
+        // 成交后出错 (如止损单挂单失败平仓) 时持仓额度由平仓释放，平仓失败时持仓仍在，不能释放
+        let filled = false;
         try {
             // 获取账户详细信息
-            const accountInfo = await this.binanceApi.getAccountInfo();
-            logger.info('账户信息', {
+            const accountInfo = await this.binanceApi.getAccountInfo(this.marginAsset);
+            this.logger.info('账户信息', {
                 availableBalance: accountInfo.availableBalance,
                 marginBalance: accountInfo.marginBalance
             });
 
-            // 根据是否为测试模式设置不同的参数
-            const leverage = this.testMode ? 5 : config.trading.leverage; // 测试模式使用5倍杠杆
-            const positionSize = this.testMode ? 0.05 : config.trading.positionSize; // 测试模式使用1%仓位
-
-            // 设置杠杆倍数
-            await this.binanceApi.setLeverage(config.trading.symbol, leverage);
-
-            // 计算下单数量
-            const availableBalance = accountInfo.availableBalance;
-            const orderValue = availableBalance * positionSize;
-            let quantity = (orderValue * leverage) / currentPrice;
-
-            // 获取交易对规则
-            const exchangeInfo = await this.binanceApi.getExchangeInfo(config.trading.symbol);
-            const symbolInfo = exchangeInfo.symbols.find(s => s.symbol === config.trading.symbol);
+            // 根据是否为测试模式设置不同的参数，现货没有杠杆
+            const leverage = !this.market.futures ? 1 : this.testMode ? 5 : this.settings.leverage; // 测试模式使用5倍杠杆
+            const positionSize = this.testMode ? 0.05 : this.settings.positionSize; // 测试模式使用1%仓位
 
-            if (!symbolInfo) {
-                throw new Error(`未找到交易对 ${config.trading.symbol} 的信息`);
+            // 风控审批
+            const approval = await this.riskManager.approveEntry({
+                symbol: this.symbol,
+                leverage,
+                accountInfo
+            });
+            if (!approval.approved) {
+                this.logger.warn('风控拒绝开仓', {
+                    direction,
+                    reason: approval.reason
+                });
+                this.positionBudget.release(this.getBudgetKey(direction));
+                return;
             }
 
-            // 处理数量精度
-            const quantityPrecision = symbolInfo.quantityPrecision || 3;
-            const roundedQuantity = Math.floor(quantity * Math.pow(10, quantityPrecision)) / Math.pow(10, quantityPrecision);
+            // 设置杠杆倍数
+            if (this.market.futures) {
+                await this.binanceApi.setLeverage(this.symbol, leverage);
+            }
 
-            // 检查最小交易量
-            const lotSizeFilter = symbolInfo.filters.find(f => f.filterType === 'LOT_SIZE');
-            const minQty = parseFloat(lotSizeFilter.minQty);
+            // 计算下单数量，币本位合约按合约面值换算为张数
+            const rules = await this.symbolRules.get(this.symbol);
+            const availableBalance = accountInfo.availableBalance;
+            const sizing = this.calculateOrderQuantity(direction, accountInfo, currentPrice, leverage, positionSize, rules);
 
-            if (roundedQuantity < minQty) {
-                throw new Error(`下单数量 ${roundedQuantity} 小于最小交易量 ${minQty}`);
-            }
+            // 按交易对规则处理数量精度，并检查最小交易量和最小名义价值
+            const roundedQuantity = rules.roundQuantity(sizing.quantity);
+            rules.validateOrder({ quantity: roundedQuantity, price: currentPrice });
 
             // 记录下单信息
-            logger.info('准备下单', {
+            this.logger.info('准备下单', {
                 mode: this.testMode ? '测试模式' : '正常模式',
+                sizing: sizing.mode,
                 direction,
                 leverage,
                 positionSize,
                 availableBalance,
-                orderValue,
+                stopDistance: sizing.stopDistance,
                 quantity: roundedQuantity,
                 currentPrice
             });
 
-            // 执行下单
-            const orderResult = await this.binanceApi.placeOrder(
-                config.trading.symbol,
+            // 执行下单，限价追单可能只部分成交，按实际成交数量记录持仓
+            const execution = await this.executor.execute(
                 direction === 'long' ? 'BUY' : 'SELL',
-                roundedQuantity
+                roundedQuantity,
+                currentPrice,
+                rules,
+                this.settings.execution,
+                this.getLegOptions(direction)
             );
+            const fill = await this.resolveFill(execution, direction, 0, rules);
+            const quantity = fill.executedQty;
+            if (quantity <= 0) {
+                throw new Error(`开仓订单未成交 (订单 ${fill.orderId})`);
+            }
+            filled = true;
 
             // 发送开仓信号
-            await this.sendSignal(`${config.trading.symbol} ${direction === 'long' ? '开多' : '开空'} 价格:${currentPrice} 数量:${roundedQuantity}`);
+            this.notify('open', `${this.symbol} ${direction === 'long' ? '开多' : '开空'} 价格:${fill.avgPrice} 数量:${quantity}`, {
+                direction,
+                price: fill.avgPrice,
+                quantity,
+                leverage,
+                source: signal.source || 'MANUAL'
+            });
 
-            logger.info('开仓成功', {
+            this.logger.info('开仓成功', {
                 direction,
-                quantity: roundedQuantity,
-                price: currentPrice,
-                orderId: orderResult.orderId
+                quantity,
+                price: fill.avgPrice,
+                signalPrice: currentPrice,
+                commission: fill.commission,
+                makerQty: fill.makerQty,
+                feeSavings: fill.feeSavings,
+                orderId: fill.orderId
             });
 
             this.allowAddOrder[direction] = true;
+
+            this.trades[direction] = {
+                tradeId: fill.orderId,
+                direction,
+                source: signal.source || 'MANUAL',
+                entryPrice: fill.avgPrice,     // 加仓后为加权平均开仓价
+                quantity,                      // 当前总持仓数量
+                baseQuantity: quantity,        // 首次开仓数量，加仓数量按其比例计算
+                adds: 0,
+                lastFillPrice: fill.avgPrice,
+                stopDistance: sizing.stopDistance, // ATR仓位模式下的止损距离，为 null 时按 stopLoss 比例止损
+                leverage,
+                openTime: Date.now()
+            };
+            this.recordJournal('open', {
+                tradeId: fill.orderId,
+                direction,
+                source: this.trades[direction].source,
+                ema5: signal.ema5,
+                ema50: signal.ema50,
+                orderId: fill.orderId,
+                price: fill.avgPrice,
+                signalPrice: currentPrice,
+                quantity,
+                leverage,
+                fee: fill.commission,
+                feeAsset: fill.commissionAsset,
+                makerQty: fill.makerQty,
+                feeSavings: fill.feeSavings
+            });
+
+            // 在交易所挂止损/止盈单，进程退出后持仓仍有保护
+            await this.placeProtectiveOrders(direction, fill.avgPrice, quantity, rules);
+            this.saveState();
+
+            await this.notifyFill({
+                action: 'open',
+                direction,
+                price: fill.avgPrice,
+                quantity,
+                signal
+            });
         } catch (error) {
-            logger.error('开仓失败', {
+            if (!filled) {
+                this.positionBudget.release(this.getBudgetKey(direction));
+            }
+            this.logger.error('开仓失败', {
                 error: error.message,
                 details: error.response?.data
             });
+            this.notify('error', `${this.symbol} 开仓失败: ${error.message}`, { direction, error: error.message });
             throw error;
         }
     }
 
-    async closePosition(currentPrice) {
-        try {
-            // 1. 获取当前持仓信息
-            const position = await this.binanceApi.getCurrentPosition(config.trading.symbol);
+    // 价格朝持仓方向移动 triggerMove 比例 (相对上次成交价) 时加仓
+    async checkPyramiding(currentPrice) {
+        const pyramiding = this.settings.pyramiding;
+        if (!pyramiding.enabled || !pyramiding.triggerMove || this.paused) return;
 
-            if (!position.type) {
-                logger.info('当前无持仓，无需平仓');
+        for (const trade of DIRECTIONS.map(direction => this.trades[direction]).filter(Boolean)) {
+            if (!this.allowAddOrder[trade.direction] || trade.adds >= pyramiding.maxAdds) continue;
+
+            const move = trade.direction === 'long'
+                ? (currentPrice - trade.lastFillPrice) / trade.lastFillPrice
+                : (trade.lastFillPrice - currentPrice) / trade.lastFillPrice;
+            if (move < pyramiding.triggerMove) continue;
+
+            try {
+                await this.addToPosition(trade.direction, currentPrice, { source: 'PYRAMID_MOVE' });
+            } catch (error) {
+                this.logger.error('执行加仓失败', { error: error.message });
+            }
+        }
+    }
+
+    async addToPosition(direction, currentPrice, signal = {}) {
+        const pyramiding = this.settings.pyramiding;
+        const trade = this.trades[direction];
+        if (!pyramiding.enabled || !trade || !this.allowAddOrder[direction]) {
+            return;
+        }
+        if (trade.adds >= pyramiding.maxAdds) {
+            this.logger.debug('加仓次数已达上限', { adds: trade.adds, maxAdds: pyramiding.maxAdds });
+            return;
+        }
+
+        if (!this.positionBudget.tryAcquire(this.getBudgetKey(direction))) {
+            this.logger.warn('持仓数量已达上限，不执行加仓', {
+                direction,
+                used: this.positionBudget.used(),
+                maxPositions: this.positionBudget.maxPositions
+            });
+            return;
+        }
+
+        let filled = false;
+        try {
+            const accountInfo = await this.binanceApi.getAccountInfo(this.marginAsset);
+            const approval = await this.riskManager.approveEntry({
+                symbol: this.symbol,
+                leverage: trade.leverage || this.settings.leverage,
+                accountInfo
+            });
+            if (!approval.approved) {
+                this.logger.warn('风控拒绝加仓', {
+                    direction,
+                    reason: approval.reason
+                });
+                this.positionBudget.sync(this.getBudgetKey(direction), 1 + trade.adds);
                 return;
             }
 
-            // 2. 获取交易对规则
-            const exchangeInfo = await this.binanceApi.getExchangeInfo(config.trading.symbol);
-            const symbolInfo = exchangeInfo.symbols.find(s => s.symbol === config.trading.symbol);
+            // 每次加仓的数量按首次开仓数量的比例计算，比例不足时沿用最后一个
+            const fractions = pyramiding.sizeFractions;
+            const fraction = fractions[Math.min(trade.adds, fractions.length - 1)];
+            const rules = await this.symbolRules.get(this.symbol);
+            const roundedQuantity = rules.roundQuantity(trade.baseQuantity * fraction);
+            rules.validateOrder({ quantity: roundedQuantity, price: currentPrice });
+
+            this.logger.info('准备加仓', {
+                direction,
+                add: trade.adds + 1,
+                fraction,
+                quantity: roundedQuantity,
+                currentPrice,
+                source: signal.source
+            });
+
+            const execution = await this.executor.execute(
+                direction === 'long' ? 'BUY' : 'SELL',
+                roundedQuantity,
+                currentPrice,
+                rules,
+                this.settings.execution,
+                this.getLegOptions(direction)
+            );
+            const fill = await this.resolveFill(execution, direction, trade.quantity, rules);
+            const quantity = fill.executedQty;
+            if (quantity <= 0) {
+                throw new Error(`加仓订单未成交 (订单 ${fill.orderId})`);
+            }
+            filled = true;
+
+            // 更新加权平均开仓价
+            trade.entryPrice = this.market.averagePrice(trade.entryPrice, trade.quantity, fill.avgPrice, quantity);
+            trade.quantity = rules.roundQuantity(trade.quantity + quantity, false);
+            trade.adds++;
+            trade.lastFillPrice = fill.avgPrice;
+
+            this.notify('open', `${this.symbol} ${direction === 'long' ? '加多' : '加空'} 价格:${fill.avgPrice} 数量:${quantity} 均价:${trade.entryPrice.toFixed(2)} 第${trade.adds}次加仓`, {
+                direction,
+                price: fill.avgPrice,
+                quantity,
+                entryPrice: trade.entryPrice,
+                add: trade.adds,
+                source: signal.source || 'MANUAL'
+            });
+
+            this.logger.info('加仓成功', {
+                direction,
+                add: trade.adds,
+                quantity,
+                price: fill.avgPrice,
+                totalQuantity: trade.quantity,
+                entryPrice: trade.entryPrice,
+                orderId: fill.orderId
+            });
+
+            this.recordJournal('add', {
+                tradeId: trade.tradeId,
+                direction,
+                source: signal.source || 'MANUAL',
+                entrySource: trade.source,
+                ema5: signal.ema5,
+                ema50: signal.ema50,
+                orderId: fill.orderId,
+                price: fill.avgPrice,
+                signalPrice: currentPrice,
+                entryPrice: trade.entryPrice,
+                quantity,
+                leverage: trade.leverage,
+                fee: fill.commission,
+                feeAsset: fill.commissionAsset,
+                makerQty: fill.makerQty,
+                feeSavings: fill.feeSavings
+            });
+
+            // 按新的均价和总数量重新挂保护单
+            await this.cancelProtectiveOrders(direction);
+            await this.placeProtectiveOrders(direction, trade.entryPrice, trade.quantity, rules);
+            this.saveState();
+
+            await this.notifyFill({
+                action: 'add',
+                direction,
+                price: fill.avgPrice,
+                quantity,
+                signal
+            });
+        } catch (error) {
+            // 成交后的额度已按加仓次数占用，或已由平仓释放
+            if (!filled) {
+                this.positionBudget.sync(this.getBudgetKey(direction), 1 + trade.adds);
+            }
+            this.logger.error('加仓失败', {
+                error: error.message,
+                details: error.response?.data
+            });
+            this.notify('error', `${this.symbol} 加仓失败: ${error.message}`, { direction, error: error.message });
+            throw error;
+        }
+    }
+
+    // balance: 可用余额 * positionSize * 杠杆
+    // atr: 价格反向移动 atrMultiplier 倍ATR时亏损 riskPerTrade 比例的权益，不超过可用余额按杠杆能开的数量
+    // 余额和权益以保证金资产计，数量和盈亏按市场换算 (币本位为合约张数)
+    calculateOrderQuantity(direction, accountInfo, currentPrice, leverage, positionSize, rules) {
+        const contractSize = rules.contractSize;
+        const maxQuantity = this.market.getQuantity(accountInfo.availableBalance * leverage, currentPrice, contractSize);
+        const sizing = this.settings.sizing;
+
+        if (!this.testMode && sizing && sizing.mode === 'atr') {
+            const atr = this.technicalAnalysis.calculateATR();
+            if (atr) {
+                const stopDistance = atr * sizing.atrMultiplier;
+                const stopPrice = direction === 'long' ? currentPrice - stopDistance : currentPrice + stopDistance;
+                const lossPerUnit = -this.market.calculatePnl(direction, currentPrice, stopPrice, 1, contractSize);
+                const riskAmount = accountInfo.marginBalance * sizing.riskPerTrade;
+                return {
+                    mode: 'atr',
+                    quantity: Math.min(riskAmount / lossPerUnit, maxQuantity),
+                    stopDistance
+                };
+            }
+            this.logger.warn('ATR数据不足，按余额比例计算下单数量');
+        }
+
+        return {
+            mode: 'balance',
+            quantity: maxQuantity * positionSize,
+            stopDistance: null
+        };
+    }
+
+    async placeProtectiveOrders(direction, entryPrice, quantity, rules) {
+        const protection = this.settings.protectiveOrders;
+        if (!protection || !protection.enabled) return;
+
+        // 现货手续费可能从买入的币中扣除，按实际余额挂单
+        if (!this.market.futures) {
+            const position = await this.getPosition();
+            quantity = rules.roundQuantity(position.qty, false);
+        }
+
+        const side = direction === 'long' ? 'SELL' : 'BUY';
+        const sign = direction === 'long' ? 1 : -1;
+        const stopDistance = this.trades[direction] && this.trades[direction].stopDistance;
+
+        // 现货只有止损单
+        const types = this.market.protectiveOrderTypes;
+        const orders = [];
+        if (protection.stopLoss) {
+            orders.push({
+                name: '止损',
+                type: types.stopLoss,
+                stopPrice: rules.formatPrice(stopDistance
+                    ? entryPrice - sign * stopDistance
+                    : entryPrice * (1 - sign * this.settings.stopLoss))
+            });
+        }
+        if (protection.takeProfit && types.takeProfit) {
+            orders.push({
+                name: '止盈',
+                type: types.takeProfit,
+                stopPrice: rules.formatPrice(entryPrice * (1 + sign * this.settings.takeProfit))
+            });
+        }
+        if (protection.trailingStop && types.trailingStop) {
+            // 回调比例范围 0.1% - 10%
+            const callbackRate = Math.min(10, Math.max(0.1, this.settings.trailingStop * 100));
+            orders.push({
+                name: '追踪止损',
+                type: types.trailingStop,
+                callbackRate: callbackRate.toFixed(1)
+            });
+        }
+
+        for (const order of orders) {
+            try {
+                const result = await this.placeOrder(side, quantity, true, {
+                    type: order.type,
+                    stopPrice: order.stopPrice,
+                    callbackRate: order.callbackRate,
+                    workingType: protection.workingType,
+                    ...this.getLegOptions(direction)
+                });
+                this.protectiveOrders.push({ orderId: result.orderId, type: order.type, direction });
+            } catch (error) {
+                this.logger.error(`${order.name}单挂单失败`, {
+                    error: error.message,
+                    details: error.response?.data,
+                    stopPrice: order.stopPrice
+                });
+
+                // 没有止损保护的高杠杆持仓风险过大，直接平仓
+                if (order.type === types.stopLoss) {
+                    this.notify('error', `${this.symbol} 止损单挂单失败，立即平仓`, { error: error.message });
+                    await this.closePosition(entryPrice, { source: 'STOP_ORDER_FAILED' }, direction);
+                    return;
+                }
+            }
+        }
+
+        this.logger.info('保护单已挂出', {
+            direction,
+            entryPrice,
+            orders: orders.map(({ type, stopPrice, callbackRate }) => ({ type, stopPrice, callbackRate }))
+        });
+    }
+
+    // 不传 direction 时撤销所有保护单
+    async cancelProtectiveOrders(direction) {
+        const orders = this.protectiveOrders.filter(order => !direction || order.direction === direction);
+        for (const order of orders) {
+            try {
+                await this.binanceApi.cancelOrder(this.symbol, order.orderId);
+            } catch (error) {
+                this.logger.error('撤销保护单失败', {
+                    error: error.message,
+                    orderId: order.orderId,
+                    type: order.type
+                });
+            }
+        }
+        this.protectiveOrders = this.protectiveOrders.filter(order => !orders.includes(order));
+    }
+
+    // 优先读取用户数据流缓存，未就绪时回退到REST接口
+    async getPosition() {
+        if (this.accountStream && this.accountStream.isReady()) {
+            return this.accountStream.getPosition(this.symbol);
+        }
+        return this.binanceApi.getCurrentPosition(this.symbol);
+    }
+
+    // 持仓的多空两腿，不支持双向持仓的接口 (现货/模拟交易所) 只返回净持仓
+    getLegs(position) {
+        if (position.legs) return position.legs;
+        return {
+            long: position.type === 'long' ? position : null,
+            short: position.type === 'short' ? position : null
+        };
+    }
+
+    // 双向持仓的订单通过 positionSide 指定开平哪一腿
+    getLegOptions(direction) {
+        return this.hedgeMode ? { positionSide: direction.toUpperCase() } : {};
+    }
+
+    // 持仓额度按交易对占用，双向持仓时两腿分别占用
+    getBudgetKey(direction) {
+        return this.hedgeMode ? `${this.symbol}:${direction}` : this.symbol;
+    }
+
+    // 该方向持仓占用的额度: 开仓一个，每次加仓再占一个
+    getBudgetSlots(direction) {
+        const trade = this.trades[direction];
+        return 1 + (trade ? trade.adds || 0 : 0);
+    }
 
-            if (!symbolInfo) {
-                throw new Error(`未找到交易对 ${config.trading.symbol} 的信息`);
+    // 获取实际成交均价和手续费，优先使用用户数据流的成交回报
+    // 下单响应可能只是受理 (NEW)，没有成交回报时查询订单的最终状态，仍未结束时 executedQty 为 null (成交数量未知)
+    async getOrderFill(order, fallbackPrice) {
+        if (this.accountStream && this.accountStream.isReady()) {
+            const summary = await this.accountStream.waitForFill(order.orderId);
+            if (summary) {
+                return {
+                    avgPrice: summary.avgPrice,
+                    executedQty: summary.executedQty,
+                    commission: summary.commission,
+                    commissionAsset: summary.commissionAsset,
+                    realizedProfit: summary.realizedProfit
+                };
             }
+        }
+
+        let result = order;
+        if (!FINAL_STATUSES.includes(result.status) && result.orderId) {
+            try {
+                result = await this.binanceApi.getOrder(this.symbol, order.orderId) || result;
+            } catch (error) {
+                this.logger.warn('查询订单成交失败', { orderId: order.orderId, error: error.message });
+            }
+        }
 
-            // 3. 处理数量精度
-            const quantityPrecision = symbolInfo.quantityPrecision || 3;
-            const roundedQuantity = Math.floor(position.qty * Math.pow(10, quantityPrecision)) / Math.pow(10, quantityPrecision);
+        return {
+            avgPrice: parseFloat(result.avgPrice) || fallbackPrice,
+            executedQty: FINAL_STATUSES.includes(result.status) ? parseFloat(result.executedQty) || 0 : null,
+            commission: result.commission !== undefined ? parseFloat(result.commission) : null,
+            commissionAsset: result.commissionAsset || null,
+            realizedProfit: null
+        };
+    }
 
-            // 4. 检查最小交易量
-            const lotSizeFilter = symbolInfo.filters.find(f => f.filterType === 'LOT_SIZE');
-            const minQty = parseFloat(lotSizeFilter.minQty);
+    // 成交数量未知时按该方向持仓数量的变化确定，previousQty 为下单前的持仓数量
+    async resolveFill(fill, direction, previousQty, rules) {
+        if (fill.executedQty !== null) return fill;
+
+        const leg = this.getLegs(await this.getPosition())[direction];
+        const executedQty = leg ? Math.max(0, rules.roundQuantity(leg.qty - previousQty, false)) : 0;
+        this.logger.warn('成交数量未知，按持仓变化确定', { direction, previousQty, executedQty, orderId: fill.orderId });
+        return {
+            ...fill,
+            executedQty,
+            // 开仓时持仓均价即成交均价
+            avgPrice: leg && previousQty === 0 ? leg.entryPrice : fill.avgPrice,
+            takerQty: fill.takerQty === null ? rules.roundQuantity(executedQty - fill.makerQty, false) : fill.takerQty
+        };
+    }
 
-            if (roundedQuantity < minQty) {
-                throw new Error(`平仓数量 ${roundedQuantity} 小于最小交易量 ${minQty}`);
+    // direction 方向的持仓已被交易所的保护单平掉，撤销该方向剩余的保护单
+    // 止损平仓的亏损同样计入账户风控的日内已实现盈亏
+    async handleExternalClose(direction) {
+        this.logger.info('持仓已被保护单平仓，撤销剩余保护单', { direction });
+        const trade = this.trades[direction] || {};
+        const fill = await this.getProtectiveFill(direction);
+        let realizedPnl = null;
+        if (fill) {
+            const rules = await this.symbolRules.get(this.symbol);
+            realizedPnl = fill.realizedProfit !== null
+                ? fill.realizedProfit
+                : (trade.entryPrice
+                    ? this.market.calculatePnl(direction, trade.entryPrice, fill.avgPrice, fill.executedQty, rules.contractSize)
+                    : null);
+        } else {
+            this.logger.warn('未找到保护单的成交记录，无法计算已实现盈亏', { direction });
+        }
+
+        this.recordJournal('close', {
+            tradeId: trade.tradeId || null,
+            direction,
+            source: 'PROTECTIVE_ORDER',
+            entrySource: trade.source || null,
+            orderId: fill ? fill.orderId : null,
+            entryPrice: trade.entryPrice || null,
+            price: fill ? fill.avgPrice : null,
+            quantity: fill ? fill.executedQty : null,
+            fee: fill ? fill.commission : null,
+            feeAsset: fill ? fill.commissionAsset : null,
+            realizedPnl
+        });
+        const slots = this.getBudgetSlots(direction);
+        this.trades[direction] = null;
+        if (realizedPnl !== null) {
+            this.riskManager.recordRealizedPnl(realizedPnl);
+        }
+        await this.cancelProtectiveOrders(direction);
+        this.allowAddOrder[direction] = false;
+        this.positionBudget.release(this.getBudgetKey(direction), slots);
+        this.saveState();
+        this.notify('close', `${this.symbol} 持仓已被止损/止盈单平仓${realizedPnl !== null ? ` 盈亏:${realizedPnl.toFixed(2)}` : ''}`, {
+            direction,
+            pnl: realizedPnl,
+            source: 'PROTECTIVE_ORDER'
+        });
+    }
+
+    // 查找平掉 direction 方向持仓的保护单成交，优先使用用户数据流的成交回报
+    async getProtectiveFill(direction) {
+        for (const order of this.protectiveOrders.filter(item => item.direction === direction)) {
+            let result = this.accountStream ? this.accountStream.getOrderSummary(order.orderId) : null;
+            if (!result) {
+                try {
+                    result = await this.binanceApi.getOrder(this.symbol, order.orderId);
+                } catch (error) {
+                    this.logger.warn('查询保护单失败', { orderId: order.orderId, error: error.message });
+                    continue;
+                }
+            }
+
+            const executedQty = result ? parseFloat(result.executedQty) || 0 : 0;
+            if (executedQty > 0) {
+                return {
+                    orderId: order.orderId,
+                    type: order.type,
+                    avgPrice: parseFloat(result.avgPrice),
+                    executedQty,
+                    commission: result.commission !== undefined ? parseFloat(result.commission) : null,
+                    commissionAsset: result.commissionAsset || null,
+                    realizedProfit: typeof result.realizedProfit === 'number' ? result.realizedProfit : null
+                };
             }
+        }
+        return null;
+    }
 
-            // 5. 计算预期盈亏
-            const entryPrice = position.entryPrice;
-            const pnl = position.type === 'long'
-                ? (currentPrice - entryPrice) * roundedQuantity
-                : (entryPrice - currentPrice) * roundedQuantity;
+    // 双向持仓时 direction 指定平哪一腿，不传时平掉所有持仓；单向持仓平掉净持仓
+    async closePosition(currentPrice, signal = {}, direction) {
+        const legs = this.getLegs(await this.getPosition());
+        const directions = (this.hedgeMode && direction ? [direction] : DIRECTIONS).filter(item => legs[item]);
 
-            // 6. 记录平仓信息
-            logger.info('准备平仓', {
+        if (directions.length === 0) {
+            this.logger.info('当前无持仓，无需平仓', { direction });
+            return;
+        }
+        for (const item of directions) {
+            await this.closeLeg(legs[item], currentPrice, signal);
+        }
+    }
+
+    async closeLeg(position, currentPrice, signal) {
+        const trade = this.trades[position.type];
+        try {
+            // 1. 获取交易对规则
+            const rules = await this.symbolRules.get(this.symbol);
+
+            // 2. 处理数量精度
+            const roundedQuantity = rules.roundQuantity(position.qty);
+
+            // 3. 检查最小交易量，平仓单不受最小名义价值限制
+            rules.validateOrder({ quantity: roundedQuantity, price: currentPrice, reduceOnly: true });
+
+            // 4. 计算预期盈亏，现货持仓来自余额，没有开仓价时使用本地记录
+            const entryPrice = position.entryPrice || (trade ? trade.entryPrice : currentPrice);
+            const pnl = this.market.calculatePnl(position.type, entryPrice, currentPrice, roundedQuantity, rules.contractSize);
+
+            // 5. 记录平仓信息
+            this.logger.info('准备平仓', {
                 positionType: position.type,
                 quantity: roundedQuantity,
-                entryPrice: position.entryPrice,
+                entryPrice,
                 currentPrice,
                 unrealizedPnl: position.unrealizedProfit,
                 expectedPnl: pnl,
                 leverage: position.leverage
             });
 
-            // 7. 执行平仓
-            const orderResult = await this.binanceApi.placeOrder(
-                config.trading.symbol,
+            // 6. 执行平仓，现货的保护单冻结了持仓余额，需要先撤销
+            if (!this.market.futures) {
+                await this.cancelProtectiveOrders(position.type);
+            }
+            const orderResult = await this.placeOrder(
                 position.type === 'long' ? 'SELL' : 'BUY',
                 roundedQuantity,
-                true
+                true,
+                this.getLegOptions(position.type)
             );
 
+            // 7. 按实际成交价计算盈亏
+            const fill = await this.getOrderFill(orderResult, currentPrice);
+            const realizedPnl = fill.realizedProfit !== null
+                ? fill.realizedProfit
+                : this.market.calculatePnl(position.type, entryPrice, fill.avgPrice, roundedQuantity, rules.contractSize);
+
             // 发送平仓信号
-            await this.sendSignal(`${config.trading.symbol} ${position.type === 'long' ? '平多' : '平空'} 价格:${currentPrice} 数量:${roundedQuantity} 盈亏:${pnl.toFixed(2)}`);
+            this.notify('close', `${this.symbol} ${position.type === 'long' ? '平多' : '平空'} 价格:${fill.avgPrice} 数量:${roundedQuantity} 盈亏:${realizedPnl.toFixed(2)}`, {
+                direction: position.type,
+                price: fill.avgPrice,
+                quantity: roundedQuantity,
+                pnl: realizedPnl,
+                source: signal.source || 'MANUAL'
+            });
 
-            // 8. 记录平仓结果
-            logger.info('平仓成功', {
+            this.logger.info('平仓成功', {
                 positionType: position.type,
                 quantity: roundedQuantity,
-                price: currentPrice,
+                price: fill.avgPrice,
+                signalPrice: currentPrice,
                 orderId: orderResult.orderId,
-                expectedPnl: pnl
+                expectedPnl: pnl,
+                realizedPnl,
+                commission: fill.commission
             });
 
-            // 9. 重置加仓标记
-            this.allowAddOrder = { long: false, short: false };
+            this.recordJournal('close', {
+                tradeId: trade ? trade.tradeId : null,
+                direction: position.type,
+                source: signal.source || 'MANUAL',
+                entrySource: trade ? trade.source : null,
+                ema5: signal.ema5,
+                ema50: signal.ema50,
+                orderId: orderResult.orderId,
+                entryPrice,
+                price: fill.avgPrice,
+                signalPrice: currentPrice,
+                quantity: roundedQuantity,
+                fee: fill.commission,
+                feeAsset: fill.commissionAsset,
+                realizedPnl
+            });
+            const slots = this.getBudgetSlots(position.type);
+            this.trades[position.type] = null;
+            this.riskManager.recordRealizedPnl(realizedPnl);
+
+            // 8. 撤销该方向剩余的保护单，重置加仓标记并释放开仓和加仓占用的额度
+            await this.cancelProtectiveOrders(position.type);
+            this.allowAddOrder[position.type] = false;
+            this.positionBudget.release(this.getBudgetKey(position.type), slots);
+            this.saveState();
+
+            await this.notifyFill({
+                action: 'close',
+                direction: position.type,
+                price: fill.avgPrice,
+                quantity: roundedQuantity,
+                signal,
+                realizedPnl
+            });
 
-            // 10. 获取最新账户信息
-            const accountInfo = await this.binanceApi.getAccountInfo();
-            logger.info('平仓后账户信息', {
+            // 9. 获取最新账户信息
+            if (this.accountStream && this.accountStream.isReady()) {
+                this.logger.info('平仓后账户余额', this.accountStream.getBalance(this.marginAsset));
+                return;
+            }
+            const accountInfo = await this.binanceApi.getAccountInfo(this.marginAsset);
+            this.logger.info('平仓后账户信息', {
                 availableBalance: accountInfo.availableBalance,
                 marginBalance: accountInfo.marginBalance,
                 unrealizedProfit: accountInfo.unrealizedProfit
             });
 
         } catch (error) {
-            logger.error('平仓失败', {
+            this.logger.error('平仓失败', {
                 error: error.message,
                 details: error.response?.data,
-                symbol: config.trading.symbol
+                symbol: this.symbol,
+                direction: position.type
             });
+            this.notify('error', `${this.symbol} 平仓失败: ${error.message}`, { error: error.message });
             throw error;
         }
     }
 
-    // 添加一个紧急平仓方法
-    async emergencyClosePosition() {
+    // 添加一个紧急平仓方法，双向持仓时可只平 direction 方向
+    async emergencyClosePosition(direction) {
         try {
-            logger.warn('执行紧急平仓');
-            const position = await this.binanceApi.getCurrentPosition(config.trading.symbol);
+            this.logger.warn('执行紧急平仓', { direction });
+            const position = await this.getPosition();
 
             if (!position.type) {
-                logger.info('当前无持仓，无需紧急平仓');
+                this.logger.info('当前无持仓，无需紧急平仓');
                 return;
             }
 
-            const currentPrice = await this.binanceApi.getLatestPrice(config.trading.symbol);
-            await this.closePosition(currentPrice);
+            const currentPrice = await this.binanceApi.getLatestPrice(this.symbol);
+            await this.closePosition(currentPrice, { source: 'EMERGENCY' }, direction);
 
-            logger.info('紧急平仓完成');
+            this.logger.info('紧急平仓完成');
         } catch (error) {
-            logger.error('紧急平仓失败', {
+            this.logger.error('紧急平仓失败', {
                 error: error.message,
                 details: error.response?.data
             });
@@ -490,82 +1352,68 @@ class TradingBot {
         }
     }
 
-    // 添加一个检查持仓状态的方法
-    async checkPositionStatus() {
-        try {
-            const position = await this.binanceApi.getCurrentPosition(config.trading.symbol);
-            const currentPrice = await this.binanceApi.getLatestPrice(config.trading.symbol);
+    // 单个持仓的紧急止损检查，由 BotManager 定时调用，双向持仓时两腿分别检查
+    async checkEmergencyStop(equity) {
+        if (this.lastPrice === null) return;
 
-            if (!position.type) {
-                return null;
-            }
-
-            const pnlPercent = ((position.unrealizedProfit || 0) / position.initialMargin) * 100;
+        const legs = this.getLegs(await this.getPosition());
+        for (const position of DIRECTIONS.map(direction => legs[direction]).filter(Boolean)) {
+            if (!position.entryPrice) continue;
 
-            // 检查是否需要止损
-            if (pnlPercent <= -config.trading.stopLoss * 100) {
-                logger.warn('触发止损信号', {
-                    pnlPercent,
-                    stopLoss: -config.trading.stopLoss * 100
-                });
-                await this.closePosition(currentPrice);
-                return;
-            }
-
-            // 检查是否需要止盈
-            if (pnlPercent >= config.trading.takeProfit * 100) {
-                logger.info('触发止盈信号', {
-                    pnlPercent,
-                    takeProfit: config.trading.takeProfit * 100
-                });
-                await this.closePosition(currentPrice);
-                return;
-            }
+            const rules = await this.symbolRules.get(this.symbol);
+            const pnl = this.market.calculatePnl(position.type, position.entryPrice, this.lastPrice, position.qty, rules.contractSize);
+            const reason = this.riskManager.checkPosition(position, this.lastPrice, equity, pnl);
+            if (!reason) continue;
 
-            return {
-                type: position.type,
-                size: position.qty,
-                entryPrice: position.entryPrice,
-                currentPrice,
-                pnlPercent,
-                unrealizedProfit: position.unrealizedProfit
-            };
-        } catch (error) {
-            logger.error('检查持仓状态失败', { error: error.message });
-            throw error;
+            this.logger.warn('触发紧急止损', { reason, direction: position.type, price: this.lastPrice });
+            this.notify('risk-breach', `${this.symbol} 触发紧急止损: ${reason}`, { reason, direction: position.type });
+            await this.emergencyClosePosition(position.type);
         }
     }
 
     stop() {
-        if (this.wsManager) {
-            this.wsManager.close();
-        }
-        logger.info('交易机器人已停止');
+        this.logger.info('交易机器人已停止');
     }
 
-    async sendSignal(text) {
-        try {
-            const FormData = require('form-data');
-            const axios = require('axios');
-            
-            const formData = new FormData();
-            formData.append('text', text);
+    recordJournal(event, trade) {
+        if (!this.journal) return;
 
-            const response = await axios.post('http://114.132.237.91:5000/sendxinhao', formData, {
-                headers: formData.getHeaders()
-            });
+        const record = { symbol: this.symbol, ...trade };
+        if (event === 'open') {
+            this.journal.recordOpen(record);
+        } else if (event === 'add') {
+            this.journal.recordAdd(record);
+        } else {
+            this.journal.recordClose(record);
+        }
+    }
 
-            logger.info('信号发送成功', {
-                text,
-                response: response.data
-            });
-        } catch (error) {
-            logger.error('信号发送失败', {
-                error: error.message,
-                text
-            });
+    emit(event, data) {
+        if (this.events) {
+            this.events.emit(event, { symbol: this.symbol, time: Date.now(), ...data });
         }
     }
+
+    // 控制接口使用的运行状态
+    getStatus() {
+        const { ema5History, ema50History } = this.technicalAnalysis;
+        return {
+            symbol: this.symbol,
+            market: this.market.type,
+            interval: this.settings.interval,
+            paused: this.paused,
+            lastPrice: this.lastPrice,
+            ema5: ema5History.length > 0 ? ema5History[ema5History.length - 1] : null,
+            ema50: ema50History.length > 0 ? ema50History[ema50History.length - 1] : null,
+            hedgeMode: this.hedgeMode,
+            trades: this.trades
+        };
+    }
+
+    notify(event, text, data = {}) {
+        if (!this.notifyEnabled) return;
+        notify(event, text, { symbol: this.symbol, ...data });
+    }
 }
 
 module.exports = TradingBot; 
\ No newline at end of file
@@ -0,0 +1,358 @@
+const WebSocket = require('ws');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// 订单的最终状态
+const TERMINAL_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED'];
+
+// 用户数据流: 通过 listenKey 接收成交、持仓和余额推送，并维护内存缓存
+// U本位和币本位合约的推送格式相同，现货不使用
+class UserDataStream {
+    constructor(binanceApi) {
+        this.binanceApi = binanceApi;
+        this.ws = null;
+        this.listenKey = null;
+        this.keepAliveTimer = null;
+        this.reconnectAttempts = 0;
+        this.isReconnecting = false;
+        this.closed = false;
+        this.synced = false;
+        this.pendingMessages = null;   // 同步快照期间缓存的推送
+
+        this.balances = new Map();     // asset -> { walletBalance, crossWalletBalance }
+        this.positions = new Map();    // symbol:positionSide -> { symbol, positionSide, amount, entryPrice, unrealizedProfit }
+        this.leverages = new Map();
+        this.orders = new Map();       // orderId -> 成交汇总
+        this.fillWaiters = new Map();  // orderId -> [resolve]
+    }
+
+    async start() {
+        this.closed = false;
+        await this.connect();
+    }
+
+    async connect() {
+        try {
+            this.listenKey = await this.binanceApi.createListenKey();
+
+            // 先建立连接再同步快照，快照期间的推送缓存起来，快照完成后按顺序重放，避免漏掉中间的变化
+            const wsEndpoint = `${this.binanceApi.market.wsUrl}/${this.listenKey}`;
+            this.pendingMessages = [];
+            this.ws = new WebSocket(wsEndpoint);
+            this.setupWebSocketHandlers();
+            this.setupKeepAlive();
+
+            logger.info('正在建立用户数据流连接');
+        } catch (error) {
+            logger.error('创建用户数据流失败', { error: error.message });
+            this.handleReconnect();
+        }
+    }
+
+    // 通过REST接口初始化缓存，之后由推送增量更新
+    async syncSnapshot() {
+        const accountInfo = await this.binanceApi.getAccountSnapshot();
+
+        accountInfo.balances.forEach(({ asset, walletBalance, crossWalletBalance }) => {
+            this.balances.set(asset, { walletBalance, crossWalletBalance });
+        });
+
+        this.positions.clear();
+        accountInfo.positions.forEach(position => {
+            this.leverages.set(position.symbol, parseInt(position.leverage));
+            const amount = parseFloat(position.positionAmt);
+            if (amount !== 0) {
+                this.setPosition(position.symbol, position.positionSide, {
+                    amount,
+                    entryPrice: parseFloat(position.entryPrice),
+                    unrealizedProfit: parseFloat(position.unrealizedProfit)
+                });
+            }
+        });
+
+        logger.info('用户数据流缓存已同步', {
+            positions: Array.from(this.positions.keys())
+        });
+    }
+
+    // 连接建立后同步快照，再重放同步期间的推送，失败时断开连接重连
+    async syncAndReplay(ws) {
+        try {
+            await this.syncSnapshot();
+        } catch (error) {
+            logger.error('同步用户数据流缓存失败', { error: error.message });
+            ws.terminate();
+            return;
+        }
+        if (ws !== this.ws || ws.readyState !== WebSocket.OPEN) return;
+
+        const messages = this.pendingMessages || [];
+        this.pendingMessages = null;
+        messages.forEach(data => this.handleMessage(data, ws));
+        this.synced = true;
+        logger.debug('已重放同步期间的用户数据推送', { count: messages.length });
+    }
+
+    // 单向持仓的 positionSide 为 BOTH，双向持仓的多空两腿分别保存
+    setPosition(symbol, positionSide = 'BOTH', position) {
+        const key = `${symbol}:${positionSide}`;
+        if (!position) {
+            this.positions.delete(key);
+            return;
+        }
+        this.positions.set(key, { symbol, positionSide, ...position });
+    }
+
+    // 处理函数只操作所属的连接，重连或关闭后旧连接的迟到事件不影响新连接
+    setupWebSocketHandlers() {
+        const ws = this.ws;
+        ws.on('open', () => {
+            logger.info('用户数据流连接已建立');
+            this.reconnectAttempts = 0;
+            this.isReconnecting = false;
+            this.syncAndReplay(ws);
+        });
+
+        ws.on('message', (data) => {
+            if (ws !== this.ws) return;
+            if (this.pendingMessages) {
+                this.pendingMessages.push(data);
+                return;
+            }
+            this.handleMessage(data, ws);
+        });
+
+        ws.on('close', (code, reason) => {
+            if (ws !== this.ws) return;
+            this.synced = false;
+            this.cleanup();
+            if (this.closed) return;
+
+            logger.warn('用户数据流连接关闭', {
+                code,
+                reason: reason.toString()
+            });
+            this.handleReconnect();
+        });
+
+        ws.on('error', (error) => {
+            logger.error('用户数据流错误', { error: error.message });
+            ws.terminate();
+        });
+
+        ws.on('ping', () => {
+            ws.pong();
+        });
+    }
+
+    setupKeepAlive() {
+        this.cleanup();
+        this.keepAliveTimer = setInterval(async () => {
+            try {
+                await this.binanceApi.keepAliveListenKey();
+            } catch (error) {
+                // listenKey 失效时重新建立连接
+                if (this.ws) {
+                    this.ws.terminate();
+                }
+            }
+        }, config.userDataStream.keepAliveInterval);
+    }
+
+    handleMessage(data, ws = this.ws) {
+        try {
+            const message = JSON.parse(data);
+
+            switch (message.e) {
+                case 'ACCOUNT_UPDATE':
+                    this.handleAccountUpdate(message.a);
+                    break;
+                case 'ORDER_TRADE_UPDATE':
+                    this.handleOrderUpdate(message.o);
+                    break;
+                case 'ACCOUNT_CONFIG_UPDATE':
+                    if (message.ac) {
+                        this.leverages.set(message.ac.s, message.ac.l);
+                    }
+                    break;
+                case 'listenKeyExpired':
+                    logger.warn('listenKey已过期，重新连接');
+                    if (ws) {
+                        ws.terminate();
+                    }
+                    break;
+                default:
+                    break;
+            }
+        } catch (error) {
+            logger.error('处理用户数据流消息失败', {
+                error: error.message,
+                data: data.toString()
+            });
+        }
+    }
+
+    handleAccountUpdate(update) {
+        (update.B || []).forEach(balance => {
+            this.balances.set(balance.a, {
+                walletBalance: parseFloat(balance.wb),
+                crossWalletBalance: parseFloat(balance.cw)
+            });
+        });
+
+        (update.P || []).forEach(position => {
+            const amount = parseFloat(position.pa);
+            this.setPosition(position.s, position.ps, amount === 0 ? null : {
+                amount,
+                entryPrice: parseFloat(position.ep),
+                unrealizedProfit: parseFloat(position.up)
+            });
+        });
+
+        logger.debug('账户更新', {
+            reason: update.m,
+            positions: (update.P || []).map(p => ({ symbol: p.s, side: p.ps, amount: p.pa }))
+        });
+    }
+
+    handleOrderUpdate(order) {
+        const orderId = order.i;
+        const summary = this.orders.get(orderId) || {
+            orderId,
+            symbol: order.s,
+            side: order.S,
+            type: order.o,
+            commission: 0,
+            commissionAsset: order.N,
+            realizedProfit: 0
+        };
+
+        summary.status = order.X;
+        summary.avgPrice = parseFloat(order.ap);
+        summary.executedQty = parseFloat(order.z);
+
+        // 每次成交累计手续费和已实现盈亏
+        if (order.x === 'TRADE') {
+            summary.commission += parseFloat(order.n || 0);
+            summary.commissionAsset = order.N || summary.commissionAsset;
+            summary.realizedProfit += parseFloat(order.rp || 0);
+        }
+
+        this.orders.set(orderId, summary);
+        if (this.orders.size > 500) {
+            this.orders.delete(this.orders.keys().next().value);
+        }
+
+        if (order.X === 'FILLED') {
+            logger.info('订单成交回报', summary);
+        }
+
+        if (TERMINAL_STATUSES.includes(order.X)) {
+            const waiters = this.fillWaiters.get(orderId) || [];
+            this.fillWaiters.delete(orderId);
+            waiters.forEach(resolve => resolve(summary));
+        }
+    }
+
+    isReady() {
+        return this.synced && this.ws !== null && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    getPosition(symbol) {
+        const entries = Array.from(this.positions.values())
+            .filter(position => position.symbol === symbol)
+            .map(({ positionSide, amount, entryPrice, unrealizedProfit }) => ({
+                positionSide,
+                amount,
+                leverage: this.leverages.get(symbol),
+                entryPrice,
+                unrealizedProfit
+            }));
+        return this.binanceApi.buildPosition(entries);
+    }
+
+    // 推送中记录的订单成交汇总，没有时返回 null
+    getOrderSummary(orderId) {
+        return this.orders.get(orderId) || null;
+    }
+
+    getBalance(asset = this.binanceApi.market.defaultAsset) {
+        return this.balances.get(asset) || null;
+    }
+
+    // 等待订单最终状态，成交回报可能先于下单响应到达
+    waitForFill(orderId, timeout = config.userDataStream.fillTimeout) {
+        const summary = this.orders.get(orderId);
+        if (summary && TERMINAL_STATUSES.includes(summary.status)) {
+            return Promise.resolve(summary);
+        }
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                const waiters = (this.fillWaiters.get(orderId) || []).filter(w => w !== done);
+                if (waiters.length > 0) {
+                    this.fillWaiters.set(orderId, waiters);
+                } else {
+                    this.fillWaiters.delete(orderId);
+                }
+                logger.warn('等待成交回报超时', { orderId, timeout });
+                resolve(null);
+            }, timeout);
+
+            const done = (result) => {
+                clearTimeout(timer);
+                resolve(result);
+            };
+
+            const waiters = this.fillWaiters.get(orderId) || [];
+            waiters.push(done);
+            this.fillWaiters.set(orderId, waiters);
+        });
+    }
+
+    cleanup() {
+        if (this.keepAliveTimer) {
+            clearInterval(this.keepAliveTimer);
+            this.keepAliveTimer = null;
+        }
+    }
+
+    async handleReconnect() {
+        if (this.isReconnecting || this.closed) return;
+
+        this.isReconnecting = true;
+        this.reconnectAttempts++;
+        const delay = Math.min(
+            config.websocket.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1),
+            60000
+        );
+
+        logger.info('用户数据流准备重连', {
+            attempt: this.reconnectAttempts,
+            delay
+        });
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+        this.isReconnecting = false;
+        this.connect();
+    }
+
+    async close() {
+        this.closed = true;
+        this.synced = false;
+        this.cleanup();
+        if (this.ws) {
+            this.ws.close();
+            this.ws = null;
+        }
+
+        try {
+            await this.binanceApi.closeListenKey();
+        } catch (error) {
+            // 关闭失败不影响退出，listenKey 会自动过期
+        }
+        logger.info('用户数据流已关闭');
+    }
+}
+
+module.exports = UserDataStream;
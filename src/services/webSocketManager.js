@@ -1,12 +1,17 @@
 const WebSocket = require('ws');
 const config = require('../config');
 const logger = require('../utils/logger');
-const BinanceApi = require('./binanceApi');
+const { getMarket } = require('./markets');
+const { metrics } = require('./metrics');
 
 class WebSocketManager {
-    constructor(onMessage) {
-        this.wsUrl = config.api.wsUrl;
+    // streams: [{ symbol, interval }]，通过 market 的组合流统一推送
+    constructor(onMessage, streams, market = getMarket()) {
+        this.market = market;
+        this.wsUrl = market.streamUrl;
+        this.heartbeatInterval = market.pingInterval || config.websocket.pingInterval;
         this.onMessage = onMessage;
+        this.streams = streams;
         this.ws = null;
         this.pingInterval = null;
         this.pongTimeout = null;
@@ -14,43 +19,12 @@ class WebSocketManager {
         this.isReconnecting = false;
         this.lastMessageTime = Date.now();
         this.subscriptions = new Set();
-        this.binanceApi = new BinanceApi();
     }
 
     async connect() {
         try {
-            // 先获取历史K线数据
-            const klines = await this.binanceApi.getHistoricalKlines(
-                config.trading.symbol,
-                config.trading.interval,
-                100 // 获取100根K线数据
-            );
-
-            // 只处理已闭合的K线数据
-            const closedKlines = klines.slice(0, -1);
-            
-            // 将历史K线数据传给onMessage处理
-            closedKlines.forEach(kline => {
-                const formattedKline = {
-                    e: "kline",
-                    k: {
-                        t: kline[0], // 开盘时间
-                        T: kline[6], // 收盘时间
-                        s: config.trading.symbol,
-                        i: config.trading.interval,
-                        o: kline[1], // 开盘价
-                        h: kline[2], // 最高价
-                        l: kline[3], // 最低价
-                        c: kline[4], // 收盘价
-                        v: kline[5], // 成交量
-                        x: true // 表示已闭合
-                    }
-                };
-                this.onMessage(formattedKline);
-            });
-
-            // 建立WebSocket连接
-            const wsEndpoint = `${this.wsUrl}/${config.trading.symbol.toLowerCase()}@kline_${config.trading.interval}`;
+            // 建立WebSocket连接，历史K线和断线期间的缺口由各交易机器人的 CandleStore 补齐
+            const wsEndpoint = this.getEndpoint();
             this.ws = new WebSocket(wsEndpoint);
             
             this.setupWebSocketHandlers();
@@ -64,6 +38,14 @@ class WebSocketManager {
         }
     }
 
+    // 组合流地址，订阅的K线流放在 streams 参数中
+    getEndpoint() {
+        const streamNames = this.streams
+            .map(({ symbol, interval }) => `${symbol.toLowerCase()}@kline_${interval}`)
+            .join('/');
+        return `${this.wsUrl}?streams=${streamNames}`;
+    }
+
     setupWebSocketHandlers() {
         this.ws.on('open', () => {
             this.handleOpen();
@@ -99,6 +81,7 @@ class WebSocketManager {
 
     handleOpen() {
         logger.info('WebSocket连接已建立');
+        metrics.wsConnected.set({ market: this.market.type }, 1);
         this.reconnectAttempts = 0;
         this.isReconnecting = false;
         this.lastMessageTime = Date.now();
@@ -124,9 +107,9 @@ class WebSocketManager {
                 return;
             }
 
-            // 处理业务消息
+            // 处理业务消息，组合流的数据包装在 data 字段中
             if (this.onMessage) {
-                this.onMessage(message);
+                this.onMessage(message.stream ? message.data : message);
             }
         } catch (error) {
             logger.error('处理WebSocket消息失败', {
@@ -144,7 +127,8 @@ class WebSocketManager {
         });
 
         this.cleanup();
-        
+        metrics.wsConnected.set({ market: this.market.type }, 0);
+
         if (!this.isReconnecting) {
             this.handleReconnect();
         }
@@ -182,7 +166,7 @@ class WebSocketManager {
         // 设置定期ping
         this.pingInterval = setInterval(() => {
             if (this.ws.readyState === WebSocket.OPEN) {
-                this.ws.ping();
+                this.sendPing();
                 logger.debug('发送ping');
                 // 设置pong超时检测
                 this.pongTimeout = setTimeout(() => {
@@ -190,7 +174,11 @@ class WebSocketManager {
                     this.ws.terminate();
                 }, config.websocket.pongTimeout);
             }
-        }, config.websocket.pingInterval);
+        }, this.heartbeatInterval);
+    }
+
+    sendPing() {
+        this.ws.ping();
     }
 
     setupConnectionMonitor() {
@@ -227,6 +215,7 @@ class WebSocketManager {
 
         if (this.reconnectAttempts < config.websocket.maxReconnectAttempts) {
             this.reconnectAttempts++;
+            metrics.wsReconnects.inc({ market: this.market.type });
             const delay = Math.min(
                 config.websocket.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1),
                 30000
@@ -292,6 +281,15 @@ class WebSocketManager {
         }
     }
 
+    getHealth() {
+        return {
+            connected: this.ws !== null && this.ws.readyState === WebSocket.OPEN,
+            lastMessageAge: Date.now() - this.lastMessageTime,
+            reconnectAttempts: this.reconnectAttempts,
+            reconnecting: this.isReconnecting
+        };
+    }
+
     close() {
         this.cleanup();
         if (this.ws) {
@@ -0,0 +1,70 @@
+// 策略基类
+// 回调返回交易意图数组，由 TradingBot 执行:
+//   { action: 'open', direction: 'long' | 'short', signal }
+//   { action: 'close', direction?: 'long' | 'short', signal }  双向持仓时只平 direction 方向，不带方向时平掉所有持仓
+//   { action: 'reverse', direction: 'long' | 'short', signal }  先平掉反方向的持仓再开仓
+//   { action: 'add', direction: 'long' | 'short', signal }      同方向加仓，需开启 trading.pyramiding.onSignal
+// signal 会写入交易日志，至少包含 source 字段
+class BaseStrategy {
+    // context: { symbol, settings, hedgeMode, technicalAnalysis, logger, getPosition, confirmTrend }
+    constructor(context) {
+        this.context = context;
+        this.name = 'base';
+    }
+
+    // 历史K线加载完成后调用
+    warmup() {
+        return;
+    }
+
+    // K线收盘时调用，收盘价已加入 technicalAnalysis
+    async onCandle(candle) {
+        return [];
+    }
+
+    // 未收盘K线的实时价格推送
+    async onTick(tick) {
+        return [];
+    }
+
+    // 开仓/加仓/平仓成交后调用，fill: { action, direction, price, quantity, signal }
+    async onFill(fill) {
+        return [];
+    }
+
+    // 按 trading.trendFilter 过滤开仓意图，趋势不一致时反手降级为只平仓
+    applyTrendFilter(intents) {
+        const confirmTrend = this.context.confirmTrend;
+        if (!confirmTrend) return intents;
+
+        return intents
+            .map(intent => {
+                if (intent.action === 'close' || confirmTrend(intent.direction)) {
+                    return intent;
+                }
+                if (intent.action !== 'reverse') return null;
+                return { ...intent, action: 'close', direction: intent.direction === 'long' ? 'short' : 'long' };
+            })
+            .filter(Boolean);
+    }
+
+    // 持仓的多空两腿，双向持仓时两腿可同时存在，单向持仓时最多一腿
+    getLegs(position) {
+        if (position.legs) return { ...position.legs };
+        return {
+            long: position.type === 'long' ? position : null,
+            short: position.type === 'short' ? position : null
+        };
+    }
+
+    // 策略内部状态，用于持久化
+    getState() {
+        return {};
+    }
+
+    setState(state) {
+        return;
+    }
+}
+
+module.exports = BaseStrategy;
@@ -0,0 +1,260 @@
+const BaseStrategy = require('./baseStrategy');
+
+// EMA5/EMA50 交叉 + EMA5 圆弧顶/底策略
+class EmaArcStrategy extends BaseStrategy {
+    constructor(context) {
+        super(context);
+        this.name = 'emaArc';
+        this.lastArcPattern = null; // 记录上一次的圆弧形态
+        this.lastCrossSignal = null; // 记录上一次的突破信号
+        this.crossPrice = null; // 记录突破时的价格
+    }
+
+    get technicalAnalysis() {
+        return this.context.technicalAnalysis;
+    }
+
+    get logger() {
+        return this.context.logger;
+    }
+
+    get settings() {
+        return this.context.settings;
+    }
+
+    // 计算初始EMA值
+    warmup() {
+        const { ema5, ema50 } = this.technicalAnalysis.calculateEMAs();
+
+        if (ema5 && ema50) {
+            this.technicalAnalysis.updateEmaHistory(ema5, ema50);
+            this.logger.info('历史数据初始化完成', {
+                ema5: ema5.toFixed(2),
+                ema50: ema50.toFixed(2)
+            });
+        }
+    }
+
+    // K线收盘时更新历史数据
+    async onCandle(candle) {
+        const { ema5, ema50 } = this.technicalAnalysis.calculateEMAs();
+        if (ema5 && ema50) {
+            this.technicalAnalysis.updateEmaHistory(ema5, ema50);
+        }
+        return [];
+    }
+
+    async onTick(tick) {
+        const currentPrice = tick.price;
+        const { ema5, ema50 } = this.technicalAnalysis.calculateEMAs(currentPrice);
+        if (!ema5 || !ema50) return [];
+
+        this.technicalAnalysis.updateLastEma(ema5, ema50);
+
+        // 同一次推送只查询一次持仓，前一个意图执行后的持仓按预期状态处理
+        let legs = null;
+        const getLegs = async () => {
+            if (!legs) {
+                legs = this.getLegs(await this.context.getPosition());
+            }
+            return legs;
+        };
+
+        const intents = [];
+
+        // 实时检查交易信号，多空两腿分别判断
+        const crossIntents = await this.checkTradeSignals(ema5, ema50, currentPrice, getLegs);
+        intents.push(...crossIntents);
+        crossIntents.forEach(intent => this.applyIntent(legs, intent));
+
+        // 检查圆弧形态
+        const arc = this.technicalAnalysis.checkArcPattern(ema5, ema50, this.settings);
+        if (arc && arc.type !== this.lastArcPattern) {
+            this.logger.info(`检测到新的${arc.type === 'TOP' ? '圆弧顶' : '圆弧底'}形态`, {
+                index: arc.index,
+                value: arc.value,
+                strength: arc.strength
+            });
+            intents.push(...await this.handleArcPattern(arc.type, currentPrice, ema5, ema50, getLegs));
+            this.lastArcPattern = arc.type;
+        }
+
+        return this.applyTrendFilter(intents);
+    }
+
+    // 意图执行后预期的持仓
+    applyIntent(legs, intent) {
+        const opposite = intent.direction === 'long' ? 'short' : 'long';
+        if (intent.action === 'close') {
+            if (intent.direction) {
+                legs[intent.direction] = null;
+            } else {
+                legs.long = null;
+                legs.short = null;
+            }
+        } else if (intent.action === 'open' || intent.action === 'reverse') {
+            if (intent.action === 'reverse') {
+                legs[opposite] = null;
+            }
+            legs[intent.direction] = legs[intent.direction] || { type: intent.direction };
+        }
+    }
+
+    async checkTradeSignals(ema5, ema50, currentPrice, getLegs) {
+        // 检查EMA交叉信号
+        const prevEma5 = this.technicalAnalysis.previousEma5;
+        const prevEma50 = this.technicalAnalysis.previousEma50;
+
+        if (!prevEma5 || !prevEma50) {
+            this.technicalAnalysis.previousEma5 = ema5;
+            this.technicalAnalysis.previousEma50 = ema50;
+            return [];
+        }
+
+        // 判断是否需要检查持仓状态
+        const priceAboveEmas = currentPrice > ema5 && currentPrice > ema50;
+        const priceBelowEmas = currentPrice < ema5 && currentPrice < ema50;
+        const hasEmaCross = (prevEma5 > prevEma50 && ema5 < ema50) ||
+                           (prevEma5 < prevEma50 && ema5 > ema50);
+
+        // 只有在可能需要交易时才获取持仓信息
+        if (!priceAboveEmas && !priceBelowEmas && !hasEmaCross) {
+            return [];
+        }
+
+        const legs = await getLegs();
+        const signal = { source: 'EMA_BREAK', ema5, ema50 };
+        const intents = [];
+
+        // 检查平仓条件
+        if (legs.short && priceAboveEmas) {
+            this.logger.info('空单平仓条件触发: 价格突破EMA5和EMA50', {
+                currentPrice: currentPrice.toFixed(2),
+                ema5: ema5.toFixed(2),
+                ema50: ema50.toFixed(2),
+                positionType: 'short'
+            });
+            this.lastCrossSignal = null;
+            intents.push({ action: 'close', direction: 'short', signal });
+        }
+
+        if (legs.long && priceBelowEmas) {
+            this.logger.info('多单平仓条件触发: 价格跌破EMA5和EMA50', {
+                currentPrice: currentPrice.toFixed(2),
+                ema5: ema5.toFixed(2),
+                ema50: ema50.toFixed(2),
+                positionType: 'long'
+            });
+            this.lastCrossSignal = null;
+            intents.push({ action: 'close', direction: 'long', signal });
+        }
+
+        if (!hasEmaCross) {
+            return intents;
+        }
+
+        // 检查开仓条件，单向持仓时只在没有持仓 (且本次没有平仓) 时考虑开新仓，双向持仓时对应方向没有持仓即可
+        const crossDirection = ema5 > ema50 ? 'long' : 'short';
+        if (this.context.hedgeMode ? legs[crossDirection] : (legs.long || legs.short)) {
+            return intents;
+        }
+
+        let currentSignal = null;
+        if (prevEma5 > prevEma50 && ema5 < ema50) {
+            currentSignal = 'DOWN_CROSS';
+            this.crossPrice = currentPrice;
+        } else if (prevEma5 < prevEma50 && ema5 > ema50) {
+            currentSignal = 'UP_CROSS';
+            this.crossPrice = currentPrice;
+        }
+
+        if (!currentSignal || currentSignal === this.lastCrossSignal) {
+            return intents;
+        }
+
+        const newPositionType = currentSignal === 'DOWN_CROSS' ? 'short' : 'long';
+        this.logger.info(`检测到新的${newPositionType === 'long' ? '上涨' : '下跌'}突破信号`);
+        this.lastCrossSignal = currentSignal;
+        intents.push({
+            action: 'open',
+            direction: newPositionType,
+            signal: { source: 'EMA_CROSS', ema5, ema50 }
+        });
+        return intents;
+    }
+
+    async handleArcPattern(pattern, currentPrice, ema5, ema50, getLegs) {
+        const emaValues = this.technicalAnalysis.ema5History;
+
+        // 检查是否已经发生突破
+        const hasBreakout = pattern === 'TOP' ? ema5 < ema50 : ema5 > ema50;
+
+        if (hasBreakout) {
+            // 如果已经发生突破，检查价格差异
+            if (!this.crossPrice) {
+                return []; // 如果没有记录突破价格，不执行交易
+            }
+
+            const priceDiff = Math.abs(currentPrice - this.crossPrice);
+            const maxPriceDiff = this.technicalAnalysis.resolveThreshold(this.settings.maxPriceDiff, this.crossPrice);
+            if (maxPriceDiff === null || priceDiff > maxPriceDiff) {
+                this.logger.info('价格与突破点差异过大，不执行交易', {
+                    currentPrice,
+                    crossPrice: this.crossPrice,
+                    difference: priceDiff,
+                    maxAllowed: maxPriceDiff
+                });
+                return [];
+            }
+
+            // 对于圆弧形态，检查与第二低/高点的差异
+            const sortedEmaValues = [...emaValues].sort((a, b) => pattern === 'TOP' ? b - a : a - b);
+            const secondExtreme = sortedEmaValues[1]; // 第二高/低点
+            const extremeDiff = Math.abs(currentPrice - secondExtreme);
+            const maxExtremeDiff = this.technicalAnalysis.resolveThreshold(this.settings.maxExtremeDiff, currentPrice);
+
+            if (maxExtremeDiff === null || extremeDiff > maxExtremeDiff) {
+                this.logger.info('价格与第二极值点差异过大，不执行交易', {
+                    currentPrice,
+                    secondExtreme,
+                    difference: extremeDiff,
+                    maxAllowed: maxExtremeDiff
+                });
+                return [];
+            }
+        }
+
+        const signal = { source: `ARC_${pattern}`, ema5, ema50 };
+        const direction = pattern === 'TOP' ? 'short' : 'long';
+        const opposite = pattern === 'TOP' ? 'long' : 'short';
+
+        this.logger.info(`检测到新的${pattern === 'TOP' ? '圆弧顶' : '圆弧底'}信号`);
+        const legs = await getLegs();
+        // 已有同方向持仓时加仓，双向持仓时同时平掉反方向的一腿
+        if (legs[direction]) {
+            const intents = legs[opposite] ? [{ action: 'close', direction: opposite, signal }] : [];
+            intents.push({ action: 'add', direction, signal });
+            return intents;
+        }
+        if (legs[opposite]) {
+            return [{ action: 'reverse', direction, signal }];
+        }
+        return [{ action: 'open', direction, signal }];
+    }
+
+    getState() {
+        return {
+            lastArcPattern: this.lastArcPattern,
+            lastCrossSignal: this.lastCrossSignal,
+            crossPrice: this.crossPrice
+        };
+    }
+
+    setState(state) {
+        this.lastArcPattern = state.lastArcPattern || null;
+        this.lastCrossSignal = state.lastCrossSignal || null;
+        this.crossPrice = state.crossPrice || null;
+    }
+}
+
+module.exports = EmaArcStrategy;
@@ -0,0 +1,25 @@
+const path = require('path');
+const EmaArcStrategy = require('./emaArcStrategy');
+
+const strategies = {
+    emaArc: EmaArcStrategy
+};
+
+function registerStrategy(name, StrategyClass) {
+    strategies[name] = StrategyClass;
+}
+
+// 按名称创建策略，未注册的名称按模块路径加载
+function createStrategy(name, context) {
+    let StrategyClass = strategies[name];
+    if (!StrategyClass) {
+        try {
+            StrategyClass = require(path.resolve(name));
+        } catch (error) {
+            throw new Error(`未找到策略 ${name}`);
+        }
+    }
+    return new StrategyClass(context);
+}
+
+module.exports = { createStrategy, registerStrategy };
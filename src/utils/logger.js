@@ -59,7 +59,10 @@ if (config.logging.telegram.enabled) {
     transports.push(new TelegramLogger({
         level: config.logging.telegram.level,
         botToken: config.logging.telegram.botToken,
-        chatId: config.logging.telegram.chatId
+        chatId: config.logging.telegram.chatId,
+        apiUrl: config.logging.telegram.apiUrl,
+        batchInterval: config.logging.telegram.batchInterval,
+        maxMessagesPerMinute: config.logging.telegram.maxMessagesPerMinute
     }));
 }
 
@@ -95,39 +98,4 @@ logger.endTime = (label) => {
     logger.timers.delete(label);
 };
 
-// Telegram日志处理器
-class TelegramLogger {
-    constructor(options) {
-        this.name = 'telegram';
-        this.level = options.level;
-        this.botToken = options.botToken;
-        this.chatId = options.chatId;
-    }
-
-    async log(info, callback) {
-        try {
-            const message = `[${info.level.toUpperCase()}] ${info.message}`;
-            await this.sendTelegramMessage(message);
-        } catch (error) {
-            console.error('Telegram发送消息失败:', error);
-        }
-        callback();
-    }
-
-    async sendTelegramMessage(message) {
-        const url = `https://api.telegram.org/bot${this.botToken}/sendMessage`;
-        const params = {
-            chat_id: this.chatId,
-            text: message,
-            parse_mode: 'HTML'
-        };
-
-        try {
-            await axios.post(url, params);
-        } catch (error) {
-            console.error('发送Telegram消息失败:', error);
-        }
-    }
-}
-
 module.exports = logger; 
\ No newline at end of file
@@ -0,0 +1,22 @@
+const config = require('../config');
+
+// 合并全局交易配置与单个交易对的覆盖项
+function getSymbolSettings(entry) {
+    const { symbols, ...defaults } = config.trading;
+    const overrides = typeof entry === 'string' ? { symbol: entry } : entry;
+    return { ...defaults, ...overrides };
+}
+
+function getTradingSymbols() {
+    const settingsList = config.trading.symbols.map(getSymbolSettings);
+    const seen = new Set();
+    for (const settings of settingsList) {
+        if (seen.has(settings.symbol)) {
+            throw new Error(`交易对 ${settings.symbol} 重复配置`);
+        }
+        seen.add(settings.symbol);
+    }
+    return settingsList;
+}
+
+module.exports = { getSymbolSettings, getTradingSymbols };
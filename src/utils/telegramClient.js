@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+// Telegram Bot API 请求封装，apiUrl 可指向本地模拟服务
+class TelegramClient {
+    constructor({ botToken, apiUrl = 'https://api.telegram.org', timeout = 10000 }) {
+        this.botToken = botToken;
+        this.apiUrl = apiUrl.replace(/\/$/, '');
+        this.timeout = timeout;
+    }
+
+    async call(method, params = {}, options = {}) {
+        const response = await axios.post(`${this.apiUrl}/bot${this.botToken}/${method}`, params, {
+            timeout: options.timeout || this.timeout,
+            signal: options.signal
+        });
+
+        if (!response.data || !response.data.ok) {
+            throw new Error(`Telegram ${method} 失败: ${response.data && response.data.description}`);
+        }
+        return response.data.result;
+    }
+
+    sendMessage(chatId, text) {
+        return this.call('sendMessage', {
+            chat_id: chatId,
+            text,
+            disable_web_page_preview: true
+        });
+    }
+
+    // 长轮询获取新消息，timeout 单位为秒
+    getUpdates(offset, timeout, signal) {
+        return this.call('getUpdates', {
+            offset,
+            timeout,
+            allowed_updates: ['message']
+        }, {
+            timeout: (timeout + 10) * 1000,
+            signal
+        });
+    }
+}
+
+// 429 响应中的重试等待时间 (毫秒)
+function getRetryAfter(error) {
+    const parameters = error.response && error.response.data && error.response.data.parameters;
+    return parameters && parameters.retry_after ? parameters.retry_after * 1000 : null;
+}
+
+module.exports = { TelegramClient, getRetryAfter };
@@ -0,0 +1,125 @@
+const Transport = require('winston-transport');
+const { TelegramClient, getRetryAfter } = require('./telegramClient');
+
+const MAX_MESSAGE_LENGTH = 4096;
+const MAX_BUFFER_SIZE = 200;
+
+// Telegram日志传输器: 按时间窗口合并日志后发送，并限制每分钟的消息数量
+// 发送失败只输出到 stderr，避免日志再次进入本传输器形成循环
+class TelegramLogger extends Transport {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'telegram';
+        this.chatId = options.chatId;
+        this.client = new TelegramClient({
+            botToken: options.botToken,
+            apiUrl: options.apiUrl
+        });
+        this.batchInterval = options.batchInterval || 5000;
+        this.maxMessagesPerMinute = options.maxMessagesPerMinute || 20;
+
+        this.buffer = [];
+        this.dropped = 0;
+        this.sentTimes = [];        // 最近一分钟的发送时间
+        this.blockedUntil = 0;      // 429 限流解除时间
+        this.timer = null;
+        this.sending = null;
+    }
+
+    log(info, callback) {
+        setImmediate(() => this.emit('logged', info));
+
+        const { level, message, timestamp, ...meta } = info;
+        let line = `[${String(level).toUpperCase()}] ${message}`;
+        if (Object.keys(meta).length > 0) {
+            line += ` ${JSON.stringify(meta)}`;
+        }
+
+        // 发送不及时时丢弃最早的日志，避免内存持续增长
+        if (this.buffer.length >= MAX_BUFFER_SIZE) {
+            this.buffer.shift();
+            this.dropped++;
+        }
+        // 截断时预留丢弃提示的位置，保证每批至少能发出一条
+        this.buffer.push(line.slice(0, MAX_MESSAGE_LENGTH - 100));
+        this.scheduleFlush(this.batchInterval);
+
+        callback();
+    }
+
+    scheduleFlush(delay) {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, delay);
+        this.timer.unref();
+    }
+
+    // 距离下次允许发送的等待时间
+    getWaitTime(now) {
+        this.sentTimes = this.sentTimes.filter(time => now - time < 60000);
+        const rateWait = this.sentTimes.length >= this.maxMessagesPerMinute
+            ? 60000 - (now - this.sentTimes[0])
+            : 0;
+        return Math.max(rateWait, this.blockedUntil - now, 0);
+    }
+
+    async flush() {
+        if (this.sending || this.buffer.length === 0) return;
+
+        const wait = this.getWaitTime(Date.now());
+        if (wait > 0) {
+            this.scheduleFlush(wait);
+            return;
+        }
+
+        const text = this.takeBatch();
+        this.sentTimes.push(Date.now());
+        this.sending = this.client.sendMessage(this.chatId, text)
+            .catch(error => {
+                const retryAfter = getRetryAfter(error);
+                if (retryAfter) {
+                    this.blockedUntil = Date.now() + retryAfter;
+                    this.buffer.unshift(text);
+                }
+                console.error('Telegram日志发送失败:', error.message);
+            })
+            .finally(() => {
+                this.sending = null;
+                if (this.buffer.length > 0) {
+                    this.scheduleFlush(0);
+                }
+            });
+        await this.sending;
+    }
+
+    // 从缓冲区取出不超过单条消息长度的日志
+    takeBatch() {
+        const lines = [];
+        let length = 0;
+
+        if (this.dropped > 0) {
+            lines.push(`(已丢弃 ${this.dropped} 条日志)`);
+            length += lines[0].length + 1;
+            this.dropped = 0;
+        }
+
+        while (this.buffer.length > 0 && length + this.buffer[0].length + 1 <= MAX_MESSAGE_LENGTH) {
+            const line = this.buffer.shift();
+            lines.push(line);
+            length += line.length + 1;
+        }
+        return lines.join('\n');
+    }
+
+    close() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.flush();
+    }
+}
+
+module.exports = TelegramLogger;
@@ -0,0 +1,75 @@
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const BinanceApi = require('../src/services/binanceApi');
+const BotManager = require('../src/services/botManager');
+const SimulatedExchange = require('../src/services/simulatedExchange');
+const { SymbolRulesCache } = require('../src/services/symbolRules');
+const { getTradingSymbols } = require('../src/utils/symbolSettings');
+
+// 不写状态快照和交易日志，模拟盘状态文件放到临时目录
+beforeEach(() => {
+    config.exchange.mode = 'paper';
+    config.exchange.paper.stateFile = path.join(os.tmpdir(), `cytrade-paper-${process.pid}.json`);
+    config.journal.enabled = false;
+    config.state.enabled = false;
+    config.candles.persist = false;
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('模拟盘', () => {
+    test('交易对规则使用规则缓存，并通过实盘行情接口刷新', async () => {
+        const { symbol } = getTradingSymbols()[0];
+        const exchangeInfo = await new SimulatedExchange().getExchangeInfo(symbol);
+        const getExchangeInfo = jest.spyOn(BinanceApi.prototype, 'getExchangeInfo').mockResolvedValue(exchangeInfo);
+
+        const botManager = new BotManager();
+        const exchange = botManager.getExchange('usdm');
+        expect(exchange.symbolRules).toBeInstanceOf(SymbolRulesCache);
+        expect(botManager.getBot(symbol).symbolRules).toBe(exchange.symbolRules);
+
+        await exchange.symbolRules.refresh();
+        const rules = await exchange.symbolRules.get(symbol);
+        expect(getExchangeInfo).toHaveBeenCalledTimes(1);
+        expect(rules.minQty).toBe(config.backtest.minQty);
+    });
+});
+
+describe('交易日志', () => {
+    test('所有交易对共用 BotManager 的交易日志', () => {
+        config.journal.enabled = true;
+        const botManager = new BotManager();
+
+        expect(botManager.journal).not.toBeNull();
+        getTradingSymbols().forEach(({ symbol }) => {
+            expect(botManager.getBot(symbol).journal).toBe(botManager.journal);
+        });
+    });
+});
+
+describe('全部平仓', () => {
+    test('部分交易对平仓失败时仍平掉其余交易对，并抛出列出失败交易对的错误', async () => {
+        const botManager = new BotManager();
+        const bots = [
+            { symbol: 'BTCUSDT', emergencyClosePosition: jest.fn().mockRejectedValue(new Error('余额不足')) },
+            { symbol: 'ETHUSDT', emergencyClosePosition: jest.fn().mockResolvedValue() },
+            { symbol: 'SOLUSDT', emergencyClosePosition: jest.fn().mockRejectedValue(new Error('超时')) }
+        ];
+
+        const error = await botManager.closeAllPositions(bots).catch(error => error);
+        expect(error).toBeInstanceOf(AggregateError);
+        expect(error.message).toBe('平仓失败: BTCUSDT (余额不足), SOLUSDT (超时)');
+        expect(error.errors).toHaveLength(2);
+        bots.forEach(bot => expect(bot.emergencyClosePosition).toHaveBeenCalledTimes(1));
+    });
+
+    test('全部成功时不抛出错误', async () => {
+        const botManager = new BotManager();
+        const bots = [{ symbol: 'BTCUSDT', emergencyClosePosition: jest.fn().mockResolvedValue() }];
+
+        await expect(botManager.closeAllPositions(bots)).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,347 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { BybitApi } = require('../src/services/bybitApi');
+const BybitWebSocketManager = require('../src/services/bybitWebSocketManager');
+const { getMarket } = require('../src/services/markets');
+const { metrics } = require('../src/services/metrics');
+
+const API_KEY = 'test-key';
+const API_SECRET = 'test-secret';
+
+// 录制的 Bybit v5 接口响应和推送消息
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'bybit', `${name}.json`), 'utf8'));
+}
+
+// 按接口路径返回录制的响应，记录发出的请求
+function mockBybit(routes) {
+    const requests = [];
+    jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, headers: {}, data: fixture('server-time') });
+    jest.spyOn(axios, 'request').mockImplementation(async request => {
+        const url = new URL(request.url);
+        const recorded = {
+            ...request,
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams),
+            body: request.data ? JSON.parse(request.data) : undefined
+        };
+        requests.push(recorded);
+
+        const route = routes[url.pathname];
+        if (!route) {
+            throw new Error(`未录制的接口 ${url.pathname}`);
+        }
+        return { status: 200, headers: {}, data: fixture(typeof route === 'function' ? route(recorded) : route) };
+    });
+    return requests;
+}
+
+function createApi() {
+    return new BybitApi(getMarket('bybit'), API_KEY, API_SECRET);
+}
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('Bybit 请求签名', () => {
+    test('GET 请求对查询字符串签名，时间戳使用服务器时间', async () => {
+        const requests = mockBybit({ '/v5/position/list': 'position-list' });
+        await createApi().getCurrentPosition('SOLUSDT');
+
+        const [request] = requests;
+        const headers = request.headers;
+        const queryString = request.url.split('?')[1];
+        const expected = crypto
+            .createHmac('sha256', API_SECRET)
+            .update(`${headers['X-BAPI-TIMESTAMP']}${API_KEY}${headers['X-BAPI-RECV-WINDOW']}${queryString}`)
+            .digest('hex');
+
+        expect(queryString).toBe('category=linear&symbol=SOLUSDT');
+        expect(headers['X-BAPI-API-KEY']).toBe(API_KEY);
+        expect(headers['X-BAPI-SIGN']).toBe(expected);
+        expect(Math.abs(headers['X-BAPI-TIMESTAMP'] - fixture('server-time').time)).toBeLessThan(5000);
+    });
+
+    test('POST 请求对JSON请求体签名', async () => {
+        const requests = mockBybit({
+            '/v5/order/create': 'order-create',
+            '/v5/order/realtime': 'order-realtime-filled'
+        });
+        await createApi().placeOrder('SOLUSDT', 'BUY', 12.5, false, { positionSide: 'LONG' });
+
+        const request = requests.find(item => item.path === '/v5/order/create');
+        const headers = request.headers;
+        const expected = crypto
+            .createHmac('sha256', API_SECRET)
+            .update(`${headers['X-BAPI-TIMESTAMP']}${API_KEY}${headers['X-BAPI-RECV-WINDOW']}${request.data}`)
+            .digest('hex');
+
+        expect(request.method).toBe('POST');
+        expect(headers['Content-Type']).toBe('application/json');
+        expect(headers['X-BAPI-SIGN']).toBe(expected);
+    });
+
+    test('非0的 retCode 转换为带错误码的异常', async () => {
+        jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, headers: {}, data: fixture('server-time') });
+        jest.spyOn(axios, 'request').mockResolvedValue({
+            status: 200,
+            headers: {},
+            data: { retCode: 110007, retMsg: 'ab not enough for new order', result: {}, retExtInfo: {}, time: 1718000000000 }
+        });
+
+        await expect(createApi().placeOrder('SOLUSDT', 'BUY', 1)).rejects.toMatchObject({
+            code: 110007,
+            response: { data: { code: 110007, msg: 'ab not enough for new order' } }
+        });
+    });
+});
+
+describe('持仓和账户转换为统一接口', () => {
+    test('双向持仓拆分为多空两腿', async () => {
+        mockBybit({ '/v5/position/list': 'position-list' });
+        const position = await createApi().getCurrentPosition('SOLUSDT');
+
+        expect(position.type).toBe('long');
+        expect(position.qty).toBe(12.5);
+        expect(position.legs.long).toEqual({
+            type: 'long',
+            qty: 12.5,
+            leverage: 10,
+            entryPrice: 150.12,
+            markPrice: 149.5,
+            unrealizedProfit: -7.75
+        });
+        expect(position.legs.short).toMatchObject({ type: 'short', qty: 4, entryPrice: 148.3 });
+    });
+
+    test('统一账户余额和持仓', async () => {
+        mockBybit({
+            '/v5/account/wallet-balance': 'wallet-balance',
+            '/v5/position/list': 'position-list'
+        });
+        const account = await createApi().getAccountInfo('USDT');
+
+        expect(account).toMatchObject({
+            asset: 'USDT',
+            totalWalletBalance: 10510.5221,
+            availableBalance: 10274.512,
+            unrealizedProfit: -12.4,
+            marginBalance: 10498.1221,
+            maintMargin: 32.5433
+        });
+        expect(account.initialMargin).toBeCloseTo(223.6101, 8);
+        expect(account.positions).toEqual([
+            expect.objectContaining({ symbol: 'SOLUSDT', positionSide: 'LONG', positionAmt: '12.5', entryPrice: '150.12' }),
+            expect.objectContaining({ symbol: 'SOLUSDT', positionSide: 'SHORT', positionAmt: '-4', entryPrice: '148.3' })
+        ]);
+    });
+});
+
+describe('订单转换为统一接口', () => {
+    test('市价单下单参数和成交结果', async () => {
+        const requests = mockBybit({
+            '/v5/order/create': 'order-create',
+            '/v5/order/realtime': 'order-realtime-filled'
+        });
+        const order = await createApi().placeOrder('SOLUSDT', 'BUY', 12.5, false, { positionSide: 'LONG' });
+
+        expect(requests[0].body).toEqual({
+            category: 'linear',
+            symbol: 'SOLUSDT',
+            side: 'Buy',
+            orderType: 'Market',
+            qty: '12.5',
+            positionIdx: 1
+        });
+        expect(order).toMatchObject({
+            orderId: '1a2b3c4d-0000-4000-8000-000000000001',
+            side: 'BUY',
+            type: 'MARKET',
+            positionSide: 'LONG',
+            status: 'FILLED',
+            executedQty: '12.5',
+            avgPrice: '150.12',
+            commission: '1.032075',
+            commissionAsset: 'USDT'
+        });
+    });
+
+    test('REST 请求指标按发起请求的接口方法记录', async () => {
+        mockBybit({
+            '/v5/order/create': 'order-create',
+            '/v5/order/realtime': 'order-realtime-filled'
+        });
+        const key = operation => JSON.stringify(['bybit', operation, '200']);
+        const placed = metrics.restRequests.values.get(key('placeOrder')) || 0;
+        const queried = metrics.restRequests.values.get(key('getOrder')) || 0;
+
+        await createApi().placeOrder('SOLUSDT', 'BUY', 12.5, false, { positionSide: 'LONG' });
+
+        expect(metrics.restRequests.values.get(key('placeOrder'))).toBe(placed + 1);
+        expect(metrics.restRequests.values.get(key('getOrder'))).toBe(queried + 1);
+    });
+
+    test('止损单使用触发价和触发方向', async () => {
+        const requests = mockBybit({ '/v5/order/create': 'order-create' });
+        await createApi().placeOrder('SOLUSDT', 'SELL', 12.5, true, {
+            type: 'STOP_MARKET',
+            stopPrice: '147.1',
+            workingType: 'MARK_PRICE'
+        });
+
+        expect(requests[0].body).toMatchObject({
+            side: 'Sell',
+            orderType: 'Market',
+            reduceOnly: true,
+            positionIdx: 0,
+            triggerPrice: '147.1',
+            triggerDirection: 2,
+            triggerBy: 'MarkPrice'
+        });
+    });
+
+    test('只挂单转换为 PostOnly 限价单', async () => {
+        const requests = mockBybit({ '/v5/order/create': 'order-create' });
+        const order = await createApi().placeOrder('SOLUSDT', 'BUY', 1, false, {
+            type: 'LIMIT',
+            price: '150.01',
+            timeInForce: 'GTX'
+        });
+
+        expect(requests[0].body).toMatchObject({ orderType: 'Limit', price: '150.01', timeInForce: 'PostOnly' });
+        expect(order.status).toBe('NEW');
+    });
+
+    test('条件单按触发方向还原为止损/止盈类型', async () => {
+        mockBybit({ '/v5/order/realtime': 'order-realtime-open' });
+        const orders = await createApi().getOpenOrders('SOLUSDT');
+
+        expect(orders.map(({ type, side, status, reduceOnly, closePosition, stopPrice, positionSide }) => ({
+            type, side, status, reduceOnly, closePosition, stopPrice, positionSide
+        }))).toEqual([
+            { type: 'STOP_MARKET', side: 'SELL', status: 'NEW', reduceOnly: true, closePosition: true, stopPrice: '147.1', positionSide: 'LONG' },
+            { type: 'TAKE_PROFIT_MARKET', side: 'SELL', status: 'NEW', reduceOnly: true, closePosition: true, stopPrice: '157.63', positionSide: 'LONG' }
+        ]);
+    });
+});
+
+describe('K线和交易对规则', () => {
+    test('倒序的K线转换为升序的 Binance 格式', async () => {
+        const requests = mockBybit({ '/v5/market/kline': 'kline' });
+        const klines = await createApi().getHistoricalKlines('SOLUSDT', '1h', 3);
+
+        expect(requests[0].query).toEqual({ category: 'linear', symbol: 'SOLUSDT', interval: '60', limit: '3' });
+        expect(klines).toEqual([
+            [1717992000000, '148.9', '149.9', '148.7', '149.6', '7544.1', 1717995599999],
+            [1717995600000, '149.6', '150.5', '149.2', '150.3', '9011.7', 1717999199999],
+            [1717999200000, '150.3', '150.9', '149.8', '150.1', '8123.4', 1718002799999]
+        ]);
+    });
+
+    test('交易对信息转换为 filters', async () => {
+        mockBybit({ '/v5/market/instruments-info': 'instruments-info' });
+        const info = await createApi().getExchangeInfo('SOLUSDT');
+
+        expect(info.symbols[0]).toEqual({
+            symbol: 'SOLUSDT',
+            baseAsset: 'SOL',
+            quoteAsset: 'USDT',
+            marginAsset: 'USDT',
+            filters: [
+                { filterType: 'PRICE_FILTER', tickSize: '0.010', minPrice: '0.010', maxPrice: '199999.980' },
+                { filterType: 'LOT_SIZE', stepSize: '0.1', minQty: '0.1', maxQty: '79770.0' },
+                { filterType: 'MARKET_LOT_SIZE', stepSize: '0.1', minQty: '0.1', maxQty: '12810.0' },
+                { filterType: 'MIN_NOTIONAL', notional: '5' }
+            ]
+        });
+    });
+});
+
+describe('Bybit K线推送', () => {
+    function createManager(onMessage = jest.fn()) {
+        return new BybitWebSocketManager(onMessage, [{ symbol: 'SOLUSDT', interval: '1h' }], getMarket('bybit'));
+    }
+
+    test('按周期和交易对订阅主题', () => {
+        const manager = createManager();
+        manager.ws = { readyState: 1, send: jest.fn() };
+        manager.resubscribe();
+
+        expect(JSON.parse(manager.ws.send.mock.calls[0][0])).toMatchObject({
+            op: 'subscribe',
+            args: ['kline.60.SOLUSDT']
+        });
+    });
+
+    test('K线推送转换为 Binance kline 事件', () => {
+        const onMessage = jest.fn();
+        createManager(onMessage).handleMessage(Buffer.from(JSON.stringify(fixture('ws-kline'))));
+
+        expect(onMessage).toHaveBeenCalledWith({
+            e: 'kline',
+            E: 1718000300123,
+            s: 'SOLUSDT',
+            k: {
+                t: 1718000000000,
+                T: 1718003599999,
+                s: 'SOLUSDT',
+                i: '1h',
+                o: '150.1',
+                c: '150.74',
+                h: '150.9',
+                l: '149.95',
+                v: '1203.4',
+                q: '181102.3',
+                x: false
+            }
+        });
+    });
+
+    test('心跳和订阅响应不转发', () => {
+        const onMessage = jest.fn();
+        const manager = createManager(onMessage);
+        const handlePong = jest.spyOn(manager, 'handlePong');
+
+        manager.handleMessage(Buffer.from(JSON.stringify(fixture('ws-pong'))));
+        manager.handleMessage(Buffer.from(JSON.stringify(fixture('ws-subscribe'))));
+
+        expect(handlePong).toHaveBeenCalledTimes(1);
+        expect(onMessage).not.toHaveBeenCalled();
+    });
+
+    test('心跳响应不刷新最后消息时间，行情停止推送时可被检测到', () => {
+        const manager = createManager();
+        manager.lastMessageTime = 0;
+        manager.handleMessage(Buffer.from(JSON.stringify(fixture('ws-pong'))));
+        expect(manager.lastMessageTime).toBe(0);
+
+        manager.handleMessage(Buffer.from(JSON.stringify(fixture('ws-kline'))));
+        expect(manager.lastMessageTime).toBeGreaterThan(0);
+    });
+
+    test('连接状态和重连次数按 bybit 市场记录', async () => {
+        jest.useFakeTimers();
+        try {
+            const key = JSON.stringify(['bybit']);
+            const reconnects = metrics.wsReconnects.values.get(key) || 0;
+            const manager = createManager();
+            manager.ws = { readyState: 1, send: jest.fn() };
+            const connect = jest.spyOn(manager, 'connect').mockResolvedValue();
+
+            manager.handleOpen();
+            expect(metrics.wsConnected.values.get(key)).toBe(1);
+
+            manager.handleClose(1006, Buffer.from(''));
+            expect(metrics.wsConnected.values.get(key)).toBe(0);
+            expect(metrics.wsReconnects.values.get(key)).toBe(reconnects + 1);
+
+            await jest.runOnlyPendingTimersAsync();
+            expect(connect).toHaveBeenCalled();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
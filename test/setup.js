@@ -0,0 +1,5 @@
+// 测试时不写日志文件，只输出错误
+const config = require('../src/config');
+
+config.logging.file.enabled = false;
+config.logging.level = 'error';
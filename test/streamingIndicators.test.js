@@ -0,0 +1,138 @@
+const { EMA, RSI, MACD, BollingerBands, ATR, OBV, VWAP } = require('technicalindicators');
+const {
+    StreamingEMA,
+    StreamingRSI,
+    StreamingMACD,
+    StreamingBollingerBands,
+    StreamingATR,
+    StreamingOBV,
+    StreamingVWAP
+} = require('../src/services/streamingIndicators');
+
+// 固定的K线序列: 正弦趋势加伪随机波动，结果可复现
+function buildCandles(count) {
+    let seed = 42;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+    const candles = [];
+    let close = 30000;
+    for (let i = 0; i < count; i++) {
+        const open = close;
+        close = open + Math.sin(i / 10) * 80 + (random() - 0.5) * 200;
+        candles.push({
+            openTime: i * 60 * 60 * 1000,
+            open,
+            high: Math.max(open, close) + random() * 50,
+            low: Math.min(open, close) - random() * 50,
+            close,
+            volume: 10 + random() * 100
+        });
+    }
+    return candles;
+}
+
+const candles = buildCandles(300);
+const closes = candles.map(candle => candle.close);
+const TOLERANCE = 1e-6;
+
+// 逐根 update 并收集有值的结果，与 technicalindicators 的输出按末尾对齐比较
+function stream(indicator, inputs) {
+    return inputs.map(input => indicator.update(input)).filter(value => value !== undefined);
+}
+
+function expectClose(actual, expected, tolerance = TOLERANCE) {
+    expect(actual.length).toBeGreaterThan(0);
+    const tail = actual.slice(-expected.length);
+    expect(tail.length).toBe(expected.length);
+    tail.forEach((value, i) => {
+        expect(Math.abs(value - expected[i])).toBeLessThanOrEqual(tolerance * Math.max(1, Math.abs(expected[i])));
+    });
+}
+
+describe('streamingIndicators 与 technicalindicators 一致', () => {
+    test('EMA', () => {
+        [5, 50].forEach(period => {
+            expectClose(stream(new StreamingEMA(period), closes), EMA.calculate({ period, values: closes }));
+        });
+    });
+
+    test('RSI', () => {
+        // technicalindicators 的 RSI 保留两位小数
+        expectClose(stream(new StreamingRSI(14), closes), RSI.calculate({ period: 14, values: closes }), 1e-9);
+    });
+
+    test('MACD', () => {
+        const expected = MACD.calculate({
+            values: closes,
+            fastPeriod: 12,
+            slowPeriod: 26,
+            signalPeriod: 9,
+            SimpleMAOscillator: false,
+            SimpleMASignal: false
+        });
+        const actual = stream(new StreamingMACD(12, 26, 9), closes);
+        expectClose(actual.map(value => value.MACD), expected.map(value => value.MACD));
+        const signals = expected.filter(value => value.signal !== undefined);
+        expectClose(actual.filter(value => value.signal !== undefined).map(value => value.signal), signals.map(value => value.signal));
+        expectClose(actual.filter(value => value.signal !== undefined).map(value => value.histogram), signals.map(value => value.histogram));
+    });
+
+    test('布林带', () => {
+        const expected = BollingerBands.calculate({ period: 20, stdDev: 2, values: closes });
+        const actual = stream(new StreamingBollingerBands(20, 2), closes);
+        ['middle', 'upper', 'lower', 'pb'].forEach(key => {
+            expectClose(actual.map(value => value[key]), expected.map(value => value[key]));
+        });
+    });
+
+    test('ATR', () => {
+        const expected = ATR.calculate({
+            period: 14,
+            high: candles.map(candle => candle.high),
+            low: candles.map(candle => candle.low),
+            close: closes
+        });
+        expectClose(stream(new StreamingATR(14), candles), expected);
+    });
+
+    test('OBV', () => {
+        const expected = OBV.calculate({ close: closes, volume: candles.map(candle => candle.volume) });
+        expectClose(stream(new StreamingOBV(), candles), expected);
+    });
+
+    test('VWAP', () => {
+        const expected = VWAP.calculate({
+            high: candles.map(candle => candle.high),
+            low: candles.map(candle => candle.low),
+            close: closes,
+            volume: candles.map(candle => candle.volume)
+        });
+        expectClose(stream(new StreamingVWAP(), candles), expected);
+    });
+});
+
+describe('peek 不改变已提交的状态', () => {
+    test('peek 的结果等于提交同一价格后的值', () => {
+        const indicators = [new StreamingEMA(20), new StreamingRSI(14), new StreamingBollingerBands(20, 2)];
+        closes.slice(0, 100).forEach(price => indicators.forEach(indicator => indicator.update(price)));
+
+        indicators.forEach(indicator => {
+            const before = JSON.stringify(indicator.value);
+            const peeked = indicator.peek(closes[100]);
+            expect(JSON.stringify(indicator.value)).toBe(before);
+            expect(indicator.update(closes[100])).toEqual(peeked);
+        });
+    });
+
+    test('K线指标的 peek', () => {
+        const indicators = [new StreamingATR(14), new StreamingOBV(), new StreamingVWAP()];
+        candles.slice(0, 100).forEach(candle => indicators.forEach(indicator => indicator.update(candle)));
+
+        indicators.forEach(indicator => {
+            const peeked = indicator.peek(candles[100]);
+            expect(indicator.update(candles[100])).toBeCloseTo(peeked, 9);
+        });
+    });
+});
@@ -0,0 +1,79 @@
+const config = require('../src/config');
+const TechnicalAnalysis = require('../src/services/technicalAnalysis');
+const { SwingDetector } = require('../src/services/swingDetector');
+const EmaArcStrategy = require('../src/strategies/emaArcStrategy');
+
+const HOUR = 60 * 60 * 1000;
+
+// 60根横盘K线之后先涨后跌，EMA5 形成圆弧顶
+function arcPrices() {
+    const prices = [];
+    for (let i = 0; i < 60; i++) prices.push(100 + (i % 2 === 0 ? 0.2 : -0.2));
+    for (let i = 1; i <= 8; i++) prices.push(100 + i * 2);
+    for (let i = 1; i <= 6; i++) prices.push(116 - i * 2);
+    return prices;
+}
+
+// 按 TradingBot 的调用顺序: 收盘K线加入后调用 onCandle，未收盘K线推送调用 onTick
+function createStrategy(technicalAnalysis) {
+    return new EmaArcStrategy({
+        symbol: 'BTCUSDT',
+        settings: { ...config.trading, minEmaDiff: 0, maxPriceDiff: 1000, maxExtremeDiff: 1000 },
+        technicalAnalysis,
+        logger: { info() {}, debug() {}, warn() {} },
+        getPosition: async () => ({ type: null, qty: 0 })
+    });
+}
+
+async function replay(prices, { ticks = false } = {}) {
+    const technicalAnalysis = new TechnicalAnalysis();
+    const strategy = createStrategy(technicalAnalysis);
+    for (const [index, price] of prices.entries()) {
+        const candle = { openTime: index * HOUR, closeTime: (index + 1) * HOUR - 1, open: price, high: price, low: price, close: price, volume: 1 };
+        technicalAnalysis.addCandle(candle);
+        await strategy.onCandle(candle);
+        if (ticks && index + 1 < prices.length) {
+            await strategy.onTick({ price: (price + prices[index + 1]) / 2 });
+        }
+    }
+    return technicalAnalysis;
+}
+
+describe('EMA历史', () => {
+    test('每根收盘K线只记录一个值，长度不超过上限', async () => {
+        const prices = arcPrices();
+        const technicalAnalysis = await replay(prices);
+        const closed = prices.length - config.indicators.ema50Period + 1;
+
+        expect(technicalAnalysis.ema5History).toHaveLength(Math.min(closed, config.indicators.maxEma5History));
+        expect(technicalAnalysis.ema50History).toHaveLength(technicalAnalysis.ema5History.length);
+        technicalAnalysis.ema5History.slice(1).forEach((value, index) => {
+            expect(value).not.toBe(technicalAnalysis.ema5History[index]);
+        });
+    });
+
+    test('实时推送只更新最后一个值，收盘时替换为收盘值', async () => {
+        const withTicks = await replay(arcPrices(), { ticks: true });
+        const closedOnly = await replay(arcPrices());
+
+        expect(withTicks.ema5History).toEqual(closedOnly.ema5History);
+        expect(withTicks.ema50History).toEqual(closedOnly.ema50History);
+    });
+
+    test('摆动点检测能在实际的EMA5历史中找到圆弧顶', async () => {
+        const technicalAnalysis = await replay(arcPrices());
+        const history = technicalAnalysis.ema5History;
+        const swing = new SwingDetector({ window: 8, leftStrength: 2, rightStrength: 2 }).detect(history);
+
+        expect(swing).toMatchObject({ type: 'TOP', value: Math.max(...history) });
+        expect(swing.strength).toBeGreaterThanOrEqual(2);
+    });
+
+    test('默认参数下 checkArcPattern 返回圆弧顶', async () => {
+        const technicalAnalysis = await replay(arcPrices().slice(0, -3));
+        const { ema5, ema50 } = technicalAnalysis.calculateEMAs();
+        const arc = technicalAnalysis.checkArcPattern(ema5, ema50, { ...config.trading, minEmaDiff: 0 });
+
+        expect(arc).toMatchObject({ type: 'TOP' });
+    });
+});